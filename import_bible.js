@@ -0,0 +1,249 @@
+// import_bible.js
+// Load a Bible text into the SQLite schema the server reads (books, verses.text_plain).
+//
+//   node import_bible.js [options] <file...>
+//     --format F    usfm | osis | json | csv | tsv   (default: from file name / content)
+//     --db FILE     target database (default: eden_lite.db next to this script)
+//     --prefix P    write P + "verses", e.g. kjv_ for a table_prefix translation
+//     --replace     also delete verses of the imported books that are not in the input
+//     --strict      treat missing or duplicate verses as errors
+//     --force       write even when some rows had errors (those rows are skipped)
+//     --dry-run     parse and check only
+//
+// Existing verses are matched by (book, chapter, verse) and updated in place, so their
+// ids (and the tokens pointing at them) survive a re-import. Afterwards the FTS index
+// is rebuilt. Exit code is 1 when nothing was written because of errors.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { findCanonBook } from "./lib/canon.js";
+import { IMPORT_FORMATS, detectFormat, parseBible, checkContinuity } from "./lib/importers.js";
+import { ensureFtsIndex, DEFAULT_TOKENIZE } from "./lib/ftsIndex.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LIST_MAX = 50;
+
+const { values: opts, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: "string" },
+    db: { type: "string", default: path.join(__dirname, "eden_lite.db") },
+    prefix: { type: "string", default: "" },
+    replace: { type: "boolean", default: false },
+    strict: { type: "boolean", default: false },
+    force: { type: "boolean", default: false },
+    "dry-run": { type: "boolean", default: false }
+  }
+});
+
+function printList(title, items, show = x => x) {
+  if (!items.length) return;
+  console.log(`${title} (${items.length}):`);
+  for (const x of items.slice(0, LIST_MAX)) console.log("  " + show(x));
+  if (items.length > LIST_MAX) console.log(`  ... and ${items.length - LIST_MAX} more`);
+}
+
+// canon number -> book_id in the target DB, adding missing books
+async function bookIds(db, byBook) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS books (book_id INTEGER PRIMARY KEY, code TEXT, name TEXT)`);
+  const existing = await db.all(`SELECT book_id, code, name FROM books`);
+  const ids = new Map();
+  for (const r of existing) {
+    const canon = findCanonBook(r.code) || findCanonBook(r.name);
+    if (canon && !ids.has(canon.num)) ids.set(canon.num, r.book_id);
+  }
+  const taken = new Set(existing.map(r => Number(r.book_id)));
+  for (const { canon } of byBook.values()) {
+    if (ids.has(canon.num)) continue;
+    const id = taken.has(canon.num) ? Math.max(...taken) + 1 : canon.num;
+    await db.run(`INSERT INTO books (book_id, code, name) VALUES (?, ?, ?)`, [id, canon.code, canon.name]);
+    console.log(`Added book ${canon.name} as book_id ${id}`);
+    taken.add(id);
+    ids.set(canon.num, id);
+  }
+  return ids;
+}
+
+// The views the server reads next to <prefix>verses. Older databases may have them as
+// tables (copies of the text); those are refilled after the import (refreshCopies) so
+// they don't keep serving the old text.
+function derivedViews(prefix) {
+  const verses = `${prefix}verses`;
+  return {
+    [`${prefix}verses_api`]: {
+      columns: ["id", "book_id", "chapter", "verse", "text_plain", "text"],
+      select: `SELECT id, book_id, chapter, verse, text_plain, text_plain AS text FROM ${verses}`
+    },
+    [`${prefix}verses_with_book`]: {
+      columns: ["id", "book_id", "book", "chapter", "verse", "text_plain", "text"],
+      select: `SELECT v.id, v.book_id, b.name AS book, v.chapter, v.verse, v.text_plain, v.text_plain AS text
+       FROM ${verses} v JOIN books b ON b.book_id = v.book_id`
+    }
+  };
+}
+
+// Create the missing views; returns the names that exist as tables instead
+async function ensureViews(db, views) {
+  const copies = [];
+  for (const [name, { select }] of Object.entries(views)) {
+    const row = await db.get(`SELECT type FROM sqlite_master WHERE name = ?`, [name]);
+    if (!row) await db.exec(`CREATE VIEW ${name} AS ${select}`);
+    else if (row.type === "table") copies.push(name);
+    else if (row.type !== "view") throw new Error(`${name} is a ${row.type}, expected a view over the verses table; rename or drop it and import again`);
+  }
+  return copies;
+}
+
+// Rewrite tables standing in for views with what the view would return now
+async function refreshCopies(db, views, copies) {
+  for (const name of copies) {
+    const have = new Set((await db.all(`PRAGMA table_info(${name})`)).map(c => c.name));
+    const cols = views[name].columns.filter(c => have.has(c)).join(", ");
+    await db.run(`DELETE FROM ${name}`);
+    await db.run(`INSERT INTO ${name} (${cols}) SELECT ${cols} FROM (${views[name].select})`);
+    console.log(`Refreshed ${name} (a table here, not a view)`);
+  }
+}
+
+async function writeVerses(db, byBook, prefix) {
+  const verses = `${prefix}verses`;
+  await db.exec(`CREATE TABLE IF NOT EXISTS ${verses} (id INTEGER PRIMARY KEY, book_id INTEGER, chapter INTEGER, verse INTEGER, text_plain TEXT)`);
+  await db.exec(`CREATE INDEX IF NOT EXISTS idx_${verses}_ref ON ${verses} (book_id, chapter, verse)`);
+  const views = derivedViews(prefix);
+  const copies = await ensureViews(db, views);
+  const hasTokens = !prefix && (await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'tokens'`));
+
+  const counts = { inserted: 0, updated: 0, unchanged: 0, removed: 0 };
+  const ids = await bookIds(db, byBook);
+  for (const { canon, rows } of byBook.values()) {
+    const bookId = ids.get(canon.num);
+    const current = new Map(
+      (await db.all(`SELECT id, chapter, verse, text_plain FROM ${verses} WHERE book_id = ?`, [bookId]))
+        .map(r => [`${r.chapter}:${r.verse}`, r])
+    );
+    for (const r of rows) {
+      const key = `${r.chapter}:${r.verse}`;
+      const old = current.get(key);
+      current.delete(key);
+      if (!old) {
+        await db.run(`INSERT INTO ${verses} (book_id, chapter, verse, text_plain) VALUES (?, ?, ?, ?)`, [bookId, r.chapter, r.verse, r.text]);
+        counts.inserted++;
+      } else if (old.text_plain !== r.text) {
+        await db.run(`UPDATE ${verses} SET text_plain = ? WHERE id = ?`, [r.text, old.id]);
+        counts.updated++;
+      } else counts.unchanged++;
+    }
+    // whatever is left in `current` was not in the input
+    if (opts.replace && current.size) {
+      const stale = [...current.values()].map(r => r.id);
+      for (let i = 0; i < stale.length; i += 500) {
+        const chunk = stale.slice(i, i + 500);
+        const marks = chunk.map(() => "?").join(", ");
+        if (hasTokens) await db.run(`DELETE FROM tokens WHERE verse_id IN (${marks})`, chunk);
+        await db.run(`DELETE FROM ${verses} WHERE id IN (${marks})`, chunk);
+      }
+      counts.removed += stale.length;
+    }
+  }
+  await refreshCopies(db, views, copies);
+  return counts;
+}
+
+async function main() {
+  if (!files.length) {
+    console.error("usage: node import_bible.js [--format usfm|osis|json|csv|tsv] [--db FILE] [--prefix P] [--replace] [--strict] [--force] [--dry-run] <file...>");
+    return 1;
+  }
+  if (opts.format && !IMPORT_FORMATS.includes(opts.format)) {
+    console.error(`Unknown format "${opts.format}" (use ${IMPORT_FORMATS.join(", ")})`);
+    return 1;
+  }
+  if (!/^[a-z0-9_]*$/i.test(opts.prefix)) {
+    console.error("--prefix may only contain letters, digits and _");
+    return 1;
+  }
+
+  // read
+  const rows = [];
+  const errors = [];
+  for (const file of files) {
+    let source;
+    try {
+      source = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+      continue;
+    }
+    const format = opts.format || detectFormat(file, source);
+    if (!format) {
+      errors.push(`${file}: cannot tell the format, pass --format`);
+      continue;
+    }
+    const result = parseBible(format, source, path.basename(file));
+    console.log(`${file}: ${result.rows.length} verses (${format})`);
+    rows.push(...result.rows);
+    errors.push(...result.errors);
+  }
+
+  // check
+  const check = checkContinuity(rows);
+  for (const { canon, rows: bookRows } of check.byBook.values()) {
+    const chapters = new Set(bookRows.map(r => r.chapter)).size;
+    console.log(`  ${canon.name}: ${chapters} chapters, ${bookRows.length} verses`);
+  }
+  for (const u of check.unknownBooks) errors.push(`unknown book "${u.book}" (${u.rows} verses skipped)`);
+  printList("Errors", errors);
+  printList("Duplicate verses, first kept", check.duplicates, d => `${d.ref}  at ${d.at}${d.first !== d.at ? ` (first at ${d.first})` : ""}`);
+  printList("Missing chapters", check.missingChapters);
+  printList("Missing verses", check.missingVerses);
+
+  const warnings = check.duplicates.length + check.missingChapters.length + check.missingVerses.length;
+  if ((errors.length && !opts.force) || (opts.strict && warnings)) {
+    console.error(`Nothing written: ${errors.length} error(s)${opts.strict ? `, ${warnings} continuity problem(s)` : ""}${errors.length ? " (--force skips the bad rows)" : ""}`);
+    return 1;
+  }
+  if (!check.byBook.size) {
+    console.error("Nothing to import");
+    return 1;
+  }
+  if (opts["dry-run"]) {
+    console.log("Dry run: nothing written");
+    return 0;
+  }
+
+  // write
+  const db = await open({ filename: opts.db, driver: sqlite3.Database });
+  try {
+    await db.exec("PRAGMA busy_timeout = 5000;");
+    await db.exec("BEGIN");
+    let counts;
+    try {
+      counts = await writeVerses(db, check.byBook, opts.prefix);
+      await db.exec("COMMIT");
+    } catch (e) {
+      await db.exec("ROLLBACK");
+      throw e;
+    }
+    console.log(`Wrote ${opts.db} (${opts.prefix}verses): ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.removed} removed`);
+
+    // dependent indexes
+    const tr = { code: opts.prefix ? opts.prefix.replace(/_$/, "") : "default", schema: "main", prefix: opts.prefix, verses: `main.${opts.prefix}verses` };
+    const status = await ensureFtsIndex(db, tr, { force: true, tokenize: process.env.FTS_TOKENIZE || DEFAULT_TOKENIZE, log: console });
+    console.log(`FTS index ${status.table}: ${status.indexedRows} rows`);
+    await db.exec("ANALYZE");
+  } finally {
+    await db.close();
+  }
+  return 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error("Import failed:", err);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,156 @@
+// import_crossrefs.js
+// Load cross references (OpenBible.info / TSK layout, see lib/crossrefs.js) into the
+// cross_references table the /api/crossrefs routes read.
+//
+//   node import_crossrefs.js [options] <file...>
+//     --db FILE        target database (default: eden_lite.db next to this script)
+//     --replace        delete every existing cross reference first
+//     --min-votes N    skip pairs with fewer votes than N
+//     --force          write even when some lines had errors (those lines are skipped)
+//     --dry-run        parse and check only
+//
+// Pairs already in the table keep their row and get the new vote count. Books are
+// matched to the DB's books table; pairs touching a book the DB lacks are skipped.
+// Exit code is 1 when nothing was written because of errors.
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { findCanonBook } from "./lib/canon.js";
+import { parseCrossRefs } from "./lib/crossrefs.js";
+import { migrate } from "./lib/migrations.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LIST_MAX = 50;
+
+const { values: opts, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    db: { type: "string", default: path.join(__dirname, "eden_lite.db") },
+    replace: { type: "boolean", default: false },
+    "min-votes": { type: "string" },
+    force: { type: "boolean", default: false },
+    "dry-run": { type: "boolean", default: false }
+  }
+});
+
+function printList(title, items) {
+  if (!items.length) return;
+  console.log(`${title} (${items.length}):`);
+  for (const x of items.slice(0, LIST_MAX)) console.log("  " + x);
+  if (items.length > LIST_MAX) console.log(`  ... and ${items.length - LIST_MAX} more`);
+}
+
+// canon number -> book_id of the target DB
+async function bookIds(db) {
+  const ids = new Map();
+  for (const r of await db.all(`SELECT book_id, code, name FROM books ORDER BY CAST(book_id AS INTEGER)`)) {
+    const canon = findCanonBook(r.code) || findCanonBook(r.name);
+    if (canon && !ids.has(canon.num)) ids.set(canon.num, r.book_id);
+  }
+  return ids;
+}
+
+async function main() {
+  if (!files.length) {
+    console.error("usage: node import_crossrefs.js [--db FILE] [--replace] [--min-votes N] [--force] [--dry-run] <file...>");
+    return 1;
+  }
+  const minVotes = opts["min-votes"] === undefined ? null : Number(opts["min-votes"]);
+  if (minVotes !== null && !Number.isInteger(minVotes)) {
+    console.error("--min-votes must be a whole number");
+    return 1;
+  }
+
+  // read
+  const rows = [];
+  const errors = [];
+  for (const file of files) {
+    let source;
+    try {
+      source = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+      continue;
+    }
+    const result = parseCrossRefs(source, path.basename(file));
+    console.log(`${file}: ${result.rows.length} cross references`);
+    rows.push(...result.rows);
+    errors.push(...result.errors);
+  }
+  const kept = minVotes === null ? rows : rows.filter(r => r.votes >= minVotes);
+  if (kept.length < rows.length) console.log(`  ${rows.length - kept.length} below --min-votes ${minVotes}`);
+
+  printList("Errors", errors);
+  if (errors.length && !opts.force) {
+    console.error(`Nothing written: ${errors.length} error(s) (--force skips the bad lines)`);
+    return 1;
+  }
+  if (!kept.length) {
+    console.error("Nothing to import");
+    return 1;
+  }
+  if (opts["dry-run"]) {
+    console.log("Dry run: nothing written");
+    return 0;
+  }
+
+  // write
+  const db = await open({ filename: opts.db, driver: sqlite3.Database });
+  try {
+    await db.exec("PRAGMA busy_timeout = 5000;");
+    await migrate(db);
+    const ids = await bookIds(db);
+    const missing = new Map(); // book name -> pairs skipped
+
+    const counts = { inserted: 0, updated: 0, removed: 0, skipped: 0 };
+    await db.exec("BEGIN");
+    try {
+      if (opts.replace) counts.removed = (await db.run(`DELETE FROM cross_references`)).changes;
+      const before = (await db.get(`SELECT COUNT(*) AS n FROM cross_references`)).n;
+      let written = 0;
+      for (const r of kept) {
+        const fromId = ids.get(r.from.canon.num);
+        const toId = ids.get(r.to.canon.num);
+        if (fromId === undefined || toId === undefined) {
+          const name = fromId === undefined ? r.from.canon.name : r.to.canon.name;
+          missing.set(name, (missing.get(name) || 0) + 1);
+          counts.skipped++;
+          continue;
+        }
+        const side = (id, p) => [id, p.startChapter, p.startVerse, p.endChapter, p.endVerse];
+        await db.run(
+          `INSERT INTO cross_references (from_book_id, from_chapter, from_verse, from_end_chapter, from_end_verse,
+                                         to_book_id, to_chapter, to_verse, to_end_chapter, to_end_verse, votes)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT DO UPDATE SET votes = excluded.votes`,
+          [...side(fromId, r.from), ...side(toId, r.to), r.votes]
+        );
+        written++;
+      }
+      // an upsert can't tell us which way it went; the row count can
+      counts.inserted = (await db.get(`SELECT COUNT(*) AS n FROM cross_references`)).n - before;
+      counts.updated = written - counts.inserted;
+      await db.exec("COMMIT");
+    } catch (e) {
+      await db.exec("ROLLBACK");
+      throw e;
+    }
+    printList("Skipped, book not in the DB", [...missing].map(([name, n]) => `${name} (${n} pairs)`));
+    console.log(`Wrote ${opts.db} (cross_references): ${counts.inserted} inserted, ${counts.updated} updated, ${counts.removed} removed, ${counts.skipped} skipped`);
+    await db.exec("ANALYZE cross_references");
+  } finally {
+    await db.close();
+  }
+  return 0;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error("Import failed:", err);
+    process.exitCode = 1;
+  }
+);
@@ -1,27 +1,275 @@
 // inspect_db.js
+// Database diagnostics and validation.
+//
+//   node inspect_db.js [command] [options]
+//     schema              tables/views with their columns and row counts
+//     check               canon integrity: unknown/missing books, missing chapters,
+//                         verse gaps and duplicates, orphan tokens, Strong's numbers
+//                         in tokens that the lexicon lacks
+//     compare             verses vs verses_api / verses_with_book, row by row
+//     show <book> <ch>    one chapter from each verse table (what the old script printed)
+//     all                 schema + check + compare (default)
+//   options:
+//     --db FILE           database (default: eden_lite.db next to this script)
+//     --version CODE      only this translation (default: every translation)
+//     --limit N           problems listed per check (default 20; counts are always full)
+//     --json              machine-readable output
+//
+// Exit status: 0 when every check passes (warnings allowed), 1 when one fails, 2 on bad usage.
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
 import sqlite3 from "sqlite3";
 import { open } from "sqlite";
-(async () => {
-  const db = await open({ filename: './eden_lite.db', driver: sqlite3.Database });
-  console.log("=== books sample (first 80 rows) ===");
-  console.log(await db.all("SELECT book_id, code, name FROM books ORDER BY CAST(book_id AS INTEGER) LIMIT 120"));
+import { CANON, findCanonBook } from "./lib/canon.js";
+import { loadTranslations, pickTranslation, hasTable } from "./lib/translations.js";
+import { checkContinuity } from "./lib/importers.js";
+import { normalizeStrong } from "./lib/lexicon.js";
 
-  console.log("=== find book 'john' ===");
-  console.log(await db.all("SELECT book_id, code, name FROM books WHERE LOWER(name) LIKE 'john%'"));
-  console.log(await db.all("SELECT book_id, code, name FROM books WHERE LOWER(name) = 'john'"));
-  console.log(await db.all("SELECT book_id FROM books WHERE code = 'john'"));
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const COMMANDS = ["schema", "check", "compare", "show", "all"];
 
-  console.log("=== chapters in verses (book_id=43) ===");
-  console.log(await db.all("SELECT DISTINCT chapter FROM verses WHERE book_id = 43 ORDER BY chapter"));
+const { values: opts, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    db: { type: "string", default: path.join(__dirname, "eden_lite.db") },
+    version: { type: "string" },
+    limit: { type: "string", default: "20" },
+    json: { type: "boolean", default: false }
+  }
+});
+const [command = "all", ...args] = positionals;
+const LIMIT = Math.max(0, parseInt(opts.limit, 10) || 0);
 
-  console.log("=== verses in verses (book_id=43 chapter=3) ===");
-  console.log(await db.all("SELECT id, verse, COALESCE(text_plain, text, '') AS text FROM verses WHERE book_id = 43 AND chapter = 3 ORDER BY verse"));
+// One check result. level "error" fails the run, "warning" is reported only.
+function result(name, problems, { level = "error", detail } = {}) {
+  return {
+    name,
+    ok: problems.length === 0,
+    level,
+    count: problems.length,
+    ...(detail ? { detail } : {}),
+    problems: problems.slice(0, LIMIT)
+  };
+}
 
-  console.log("=== verses in verses_api (if exists) ===");
-  try { console.log(await db.all("SELECT id, verse, COALESCE(text_plain, text, '') AS text FROM verses_api WHERE book_id = 43 AND chapter = 3 ORDER BY verse")); } catch(e){ console.log("verses_api error:", e.message); }
+// -------------------------
+// schema
+// -------------------------
+async function schema(db) {
+  const objects = await db.all(
+    `SELECT name, type FROM sqlite_master
+     WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%' AND name NOT LIKE '%verses_fts_%'
+     ORDER BY type, name`
+  );
+  const out = [];
+  for (const o of objects) {
+    const columns = (await db.all(`PRAGMA table_info("${o.name}")`)).map(c => c.name);
+    let rows = null, error = null;
+    try {
+      rows = (await db.get(`SELECT COUNT(*) AS n FROM "${o.name}"`)).n;
+    } catch (e) {
+      error = e.message; // e.g. a view over a missing table
+    }
+    out.push({ name: o.name, type: o.type, columns, rows, ...(error ? { error } : {}) });
+  }
+  return out;
+}
 
-  console.log("=== verses in verses_with_book (if exists) ===");
-  try { console.log(await db.all("SELECT id, verse, COALESCE(text_plain, text, '') AS text FROM verses_with_book WHERE book_id = 43 AND chapter = 3 ORDER BY verse")); } catch(e){ console.log("verses_with_book error:", e.message); }
+// -------------------------
+// check
+// -------------------------
+async function checkTranslation(db, tr) {
+  const checks = [];
+  const books = await db.all(`SELECT book_id, code, name FROM books`);
+  const canonOf = new Map(books.map(b => [String(b.book_id), findCanonBook(b.code) || findCanonBook(b.name)]));
 
-  await db.close();
-})();
+  const verses = await db.all(`SELECT book_id, chapter, verse FROM ${tr.verses} ORDER BY book_id, chapter, verse`);
+  const rows = verses.map(v => {
+    const canon = canonOf.get(String(v.book_id));
+    return { book: canon ? canon.name : `book_id ${v.book_id}`, chapter: v.chapter, verse: v.verse, at: `book_id ${v.book_id}` };
+  });
+  const c = checkContinuity(rows);
+
+  const present = new Set([...c.byBook.keys()]);
+  const missingBooks = CANON.filter(b => !present.has(b.num)).map(b => b.name);
+  checks.push(result(`${tr.code}: books match the canon`, c.unknownBooks.map(u => `${u.book} (${u.rows} verses)`)));
+  checks.push(result(`${tr.code}: every canon book has verses`, missingBooks, { level: "warning" }));
+  checks.push(result(`${tr.code}: no missing chapters`, c.missingChapters));
+  checks.push(result(`${tr.code}: no gaps in verse numbering`, c.missingVerses));
+  checks.push(result(`${tr.code}: no duplicate verses`, c.duplicates.map(d => d.ref)));
+  return checks;
+}
+
+async function checkTokens(db) {
+  const checks = [];
+  const main = { schema: "main", prefix: "" };
+  if (!(await hasTable(db, main, "tokens"))) return [result("tokens table present", ["tokens table missing"], { level: "warning" })];
+
+  const orphans = await db.all(
+    `SELECT t.id, t.verse_id FROM tokens t
+     LEFT JOIN main.verses v ON v.id = t.verse_id
+     WHERE v.id IS NULL
+     ORDER BY t.id`
+  );
+  checks.push(result("tokens point at existing verses", orphans.map(o => `token ${o.id} -> verse_id ${o.verse_id}`)));
+
+  if (!(await hasTable(db, main, "lexicon"))) {
+    checks.push(result("lexicon table present", ["lexicon table missing"], { level: "warning" }));
+    return checks;
+  }
+  // compare normalized numbers so "G0026" in tokens still finds "G26" in the lexicon
+  const lexicon = await db.all(`SELECT strong, language FROM lexicon`);
+  const known = new Set(lexicon.flatMap(l => [String(l.strong), normalizeStrong(l.strong, l.language)]).filter(Boolean));
+  const used = await db.all(`SELECT strong, COUNT(*) AS n FROM tokens WHERE strong IS NOT NULL AND TRIM(strong) <> '' GROUP BY strong ORDER BY strong`);
+  const missing = used.filter(u => !known.has(String(u.strong)) && !known.has(normalizeStrong(u.strong)));
+  checks.push(result("Strong's numbers in tokens exist in the lexicon", missing.map(m => `${m.strong} (${m.n} tokens)`)));
+  return checks;
+}
+
+// -------------------------
+// compare: the views the server reads first should agree with the verses table
+// -------------------------
+async function compareView(db, tr, view) {
+  const name = view.slice(view.indexOf(".") + 1).replace(tr.prefix, "");
+  if (!(await hasTable(db, tr, name))) return result(`${tr.code}: ${name} matches verses`, [], { level: "warning", detail: "view missing" });
+  const cols = (await db.all(`PRAGMA ${tr.schema}.table_info("${tr.prefix}${name}")`)).map(c => c.name);
+  const text = ["text_plain", "text"].filter(c => cols.includes(c)).map(c => `x.${c}`);
+  const textExpr = text.length ? `COALESCE(${text.join(", ")}, '')` : "''";
+
+  let diffs;
+  try {
+    diffs = await db.all(
+      `SELECT v.id, 'different' AS kind FROM ${tr.verses} v JOIN ${view} x ON x.id = v.id
+       WHERE x.book_id IS NOT v.book_id OR x.chapter IS NOT v.chapter OR x.verse IS NOT v.verse
+          OR ${textExpr} IS NOT COALESCE(v.text_plain, '')
+       UNION ALL
+       SELECT v.id, 'missing from view' FROM ${tr.verses} v WHERE v.id NOT IN (SELECT id FROM ${view})
+       UNION ALL
+       SELECT x.id, 'only in view' FROM ${view} x WHERE x.id NOT IN (SELECT id FROM ${tr.verses})
+       ORDER BY 1`
+    );
+  } catch (e) {
+    return result(`${tr.code}: ${name} matches verses`, [e.message]);
+  }
+  return result(`${tr.code}: ${name} matches verses`, diffs.map(d => `id ${d.id}: ${d.kind}`));
+}
+
+// -------------------------
+// show <book> <chapter>
+// -------------------------
+async function show(db, tr, bookInput, chapter) {
+  const canon = findCanonBook(bookInput);
+  const book = await db.get(
+    `SELECT book_id, code, name FROM books
+     WHERE book_id = ? OR LOWER(code) = LOWER(?) OR LOWER(name) = LOWER(?) OR LOWER(name) = LOWER(?)
+     ORDER BY CAST(book_id AS INTEGER) LIMIT 1`,
+    [/^\d+$/.test(bookInput) ? Number(bookInput) : -1, bookInput, bookInput, canon ? canon.name : bookInput]
+  );
+  if (!book) return { book: null, tables: [] };
+  const tables = [];
+  for (const s of tr.sources) {
+    try {
+      const rows = await db.all(`SELECT id, verse, ${s.text} AS text FROM ${s.table} WHERE book_id = ? AND chapter = ? ORDER BY verse`, [book.book_id, chapter]);
+      tables.push({ table: s.table, rows });
+    } catch (e) {
+      tables.push({ table: s.table, error: e.message });
+    }
+  }
+  return { book, chapter: Number(chapter), tables };
+}
+
+// -------------------------
+// output
+// -------------------------
+function printChecks(title, checks) {
+  console.log(`=== ${title} ===`);
+  for (const c of checks) {
+    const mark = c.ok ? "OK  " : c.level === "error" ? "FAIL" : "WARN";
+    console.log(`${mark} ${c.name}${c.ok ? "" : ` (${c.count})`}${c.detail ? ` [${c.detail}]` : ""}`);
+    for (const p of c.problems) console.log(`       ${p}`);
+    if (c.count > c.problems.length) console.log(`       ... and ${c.count - c.problems.length} more`);
+  }
+}
+
+async function main() {
+  if (!COMMANDS.includes(command)) {
+    console.error(`Unknown command "${command}" (use ${COMMANDS.join(", ")})`);
+    return 2;
+  }
+  if (command === "show" && args.length < 2) {
+    console.error("usage: node inspect_db.js show <book> <chapter>");
+    return 2;
+  }
+
+  const db = await open({ filename: opts.db, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+  try {
+    const catalog = await loadTranslations(db, { dbPath: opts.db, log: console });
+    let translations = catalog.list;
+    if (opts.version) {
+      const tr = pickTranslation(catalog, opts.version);
+      if (!tr) {
+        console.error(`Unknown version "${opts.version}" (have ${catalog.list.map(t => t.code).join(", ")})`);
+        return 2;
+      }
+      translations = [tr];
+    }
+
+    const report = { db: opts.db, command };
+    if (command === "show") {
+      report.show = await show(db, translations[0], args[0], args[1]);
+      if (opts.json) console.log(JSON.stringify(report, null, 2));
+      else if (!report.show.book) console.log(`Book not found: ${args[0]}`);
+      else {
+        const { book, chapter, tables } = report.show;
+        for (const t of tables) {
+          console.log(`=== ${book.name} ${chapter} from ${t.table} ===`);
+          if (t.error) console.log(`  error: ${t.error}`);
+          else for (const r of t.rows) console.log(`  [${r.id}] ${r.verse}. ${r.text}`);
+        }
+      }
+      return report.show.book ? 0 : 1;
+    }
+
+    if (command === "schema" || command === "all") report.schema = await schema(db);
+    if (command === "check" || command === "all") {
+      report.check = [];
+      for (const tr of translations) report.check.push(...await checkTranslation(db, tr));
+      report.check.push(...await checkTokens(db));
+    }
+    if (command === "compare" || command === "all") {
+      report.compare = [];
+      for (const tr of translations) {
+        report.compare.push(await compareView(db, tr, tr.versesApi));
+        report.compare.push(await compareView(db, tr, tr.versesWithBook));
+      }
+    }
+    const all = [...(report.check || []), ...(report.compare || [])];
+    report.ok = all.every(c => c.ok || c.level !== "error");
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      if (report.schema) {
+        console.log("=== schema ===");
+        for (const o of report.schema) {
+          console.log(`${o.type.padEnd(5)} ${o.name.padEnd(24)} ${o.error ? `error: ${o.error}` : `${o.rows} rows`}  (${o.columns.join(", ")})`);
+        }
+      }
+      if (report.check) printChecks("check", report.check);
+      if (report.compare) printChecks("compare", report.compare);
+      if (all.length) console.log(report.ok ? "All checks passed" : "Some checks failed");
+    }
+    return report.ok ? 0 : 1;
+  } finally {
+    await db.close();
+  }
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error("inspect_db failed:", err.message);
+    process.exitCode = 1;
+  }
+);
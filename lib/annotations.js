@@ -0,0 +1,54 @@
+// lib/annotations.js
+// Private per-user annotations: bookmarks, highlights and notes. Input checks and
+// tag handling live here; the tables come from lib/migrations.js.
+import { sanitizeCommentBody } from "./comments.js";
+
+// route segment -> stored kind
+export const ANNOTATION_KINDS = { bookmarks: "bookmark", highlights: "highlight", notes: "note" };
+
+export const HIGHLIGHT_COLORS = ["yellow", "green", "blue", "pink", "purple", "orange"];
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+export const NOTE_MAX_LENGTH = 10000;
+const LABEL_MAX_LENGTH = 200;
+const MAX_TAGS = 20;
+const TAG_MAX_LENGTH = 40;
+
+// "Faith, prayer" or ["Faith", "prayer"] -> ["faith", "prayer"]; { error } when unusable
+export function normalizeTags(input) {
+  if (input === undefined || input === null || input === "") return { tags: [] };
+  const list = Array.isArray(input) ? input : typeof input === "string" ? input.split(",") : null;
+  if (!list || list.some(t => typeof t !== "string")) return { error: "tags must be a list of strings" };
+  const tags = [...new Set(list.map(t => t.trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean))];
+  if (tags.length > MAX_TAGS) return { error: `Too many tags (max ${MAX_TAGS})` };
+  if (tags.some(t => t.length > TAG_MAX_LENGTH)) return { error: `Tags are at most ${TAG_MAX_LENGTH} characters` };
+  return { tags };
+}
+
+// Check the fields of one annotation (a POST body, or the stored row merged with a
+// PATCH body). chapter/verse must already be numbers or null.
+// Returns { error } or { chapter, verse, verseEnd, color, body }.
+export function checkAnnotation(kind, { chapter, verse, verseEnd, color, body }) {
+  if (!Number.isInteger(chapter) || chapter < 1) return { error: "chapter must be a positive whole number" };
+  // a bookmark may point at a whole chapter; highlights and notes need a verse
+  if (verse === null && kind !== "bookmark") return { error: "verse is required" };
+  if (verse !== null && (!Number.isInteger(verse) || verse < 1)) return { error: "verse must be a positive whole number" };
+  if (verseEnd !== null && (verse === null || !Number.isInteger(verseEnd) || verseEnd < verse)) {
+    return { error: "verseEnd must be a whole number >= verse" };
+  }
+
+  let c = null;
+  if (kind === "highlight") {
+    c = color === undefined || color === null || color === "" ? HIGHLIGHT_COLORS[0] : String(color).toLowerCase();
+    if (!HIGHLIGHT_COLORS.includes(c) && !HEX_COLOR_RE.test(c)) {
+      return { error: `color must be one of ${HIGHLIGHT_COLORS.join(", ")} or #rrggbb` };
+    }
+  }
+
+  const text = sanitizeCommentBody(body);
+  if (kind === "note" && !text) return { error: "Note body is empty" };
+  const max = kind === "note" ? NOTE_MAX_LENGTH : LABEL_MAX_LENGTH;
+  if (text.length > max) return { error: `body too long (max ${max} characters)` };
+
+  return { chapter, verse, verseEnd: verseEnd === verse ? null : verseEnd, color: c, body: text || null };
+}
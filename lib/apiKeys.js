@@ -0,0 +1,187 @@
+// lib/apiKeys.js
+// API keys for partner sites: key format, input checks for the admin routes, and the
+// per-key limits (requests per minute, requests per UTC day). Keys are stored hashed
+// (lib/comments.js hashToken) in the api_keys table from lib/migrations.js; the
+// plaintext is shown once, when the key is created.
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+// read: every GET, plus the caller's own plans, progress and annotations
+// comment: posting, editing and deleting comments; admin: /api/admin/*
+export const API_SCOPES = ["read", "comment", "admin"];
+
+const NAME_MAX_LENGTH = 100;
+const MAX_ORIGINS = 50;
+
+export function newApiKey() {
+  return `eden_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+// First characters of a key, stored in clear so admins (and logs) can tell keys apart
+export const keyPrefix = key => String(key).slice(0, 12);
+
+// "read,comment" or ["read", "comment"] -> ["read", "comment"]; { error } when unusable
+export function normalizeScopes(input) {
+  const list = Array.isArray(input) ? input : typeof input === "string" ? input.split(/[\s,]+/) : null;
+  if (!list || list.some(s => typeof s !== "string")) return { error: "scopes must be a list of strings" };
+  const scopes = [...new Set(list.map(s => s.trim().toLowerCase()).filter(Boolean))];
+  const unknown = scopes.filter(s => !API_SCOPES.includes(s));
+  if (unknown.length) return { error: `Unknown scope(s) ${unknown.join(", ")} (known: ${API_SCOPES.join(", ")})` };
+  if (!scopes.length) return { error: "At least one scope is required" };
+  return { scopes: API_SCOPES.filter(s => scopes.includes(s)) };
+}
+
+// ["https://example.org"] -> same, checked; null/[] = any origin
+export function normalizeOrigins(input) {
+  if (input === undefined || input === null || input === "" || (Array.isArray(input) && !input.length)) return { origins: null };
+  const list = Array.isArray(input) ? input : typeof input === "string" ? input.split(/[\s,]+/).filter(Boolean) : null;
+  if (!list || list.some(o => typeof o !== "string")) return { error: "origins must be a list of strings" };
+  if (list.length > MAX_ORIGINS) return { error: `Too many origins (max ${MAX_ORIGINS})` };
+  const origins = [];
+  for (const o of list) {
+    let origin = null;
+    try {
+      origin = new URL(o).origin;
+    } catch {
+      // fall through
+    }
+    if (!origin || origin === "null" || origin !== o.replace(/\/$/, "")) return { error: `Not an origin: ${o} (scheme://host[:port])` };
+    if (!origins.includes(origin)) origins.push(origin);
+  }
+  return { origins };
+}
+
+// Limits are whole numbers >= 0 (0 = unlimited) or null (the server default)
+function checkLimit(value, name) {
+  if (value === undefined || value === null || value === "") return { value: null };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) return { error: `${name} must be a whole number >= 0 (0 = unlimited)` };
+  return { value: n };
+}
+
+// Check the fields of a key (a POST body, or the stored key merged with a PATCH body).
+// Returns { error } or { name, scopes, rateLimit, dailyQuota, origins }.
+export function checkApiKey({ name, scopes, rateLimit, dailyQuota, origins }) {
+  const n = typeof name === "string" ? name.trim() : "";
+  if (!n) return { error: "name is required" };
+  if (n.length > NAME_MAX_LENGTH) return { error: `name too long (max ${NAME_MAX_LENGTH} characters)` };
+  const s = normalizeScopes(scopes === undefined ? ["read"] : scopes);
+  if (s.error) return s;
+  const r = checkLimit(rateLimit, "rateLimit");
+  if (r.error) return r;
+  const d = checkLimit(dailyQuota, "dailyQuota");
+  if (d.error) return d;
+  const o = normalizeOrigins(origins);
+  if (o.error) return o;
+  return { name: n, scopes: s.scopes, rateLimit: r.value, dailyQuota: d.value, origins: o.origins };
+}
+
+// May this caller use operation `op` ({ scope })? key is the caller's key or null,
+// anonymousScopes what callers without a key may do, origin the Origin header.
+// Admin operations are left to the admin check. Returns null when allowed, otherwise
+// { status, body } for the error response. Limits are counted separately (hit()).
+export function checkAccess(op, key, { anonymousScopes = [], origin = null } = {}) {
+  if (!key) {
+    if (op.scope === "admin" || anonymousScopes.includes(op.scope)) return null;
+    return { status: 401, body: { error: "API key required (x-api-key header or ?api_key=)", code: "api_key_required", scope: op.scope } };
+  }
+  if (key.origins && origin && !key.origins.includes(origin)) {
+    return { status: 403, body: { error: "Origin not allowed for this API key", code: "origin_not_allowed", origin } };
+  }
+  if (op.scope !== "admin" && !key.scopes.includes(op.scope)) {
+    return { status: 403, body: { error: `API key lacks the ${op.scope} scope`, code: "insufficient_scope", scope: op.scope, scopes: key.scopes } };
+  }
+  return null;
+}
+
+export const utcDay = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+// Per-key request counting. Minute windows live in memory only; daily counts start
+// from the stored row (loadDay) and are written back in batches (saveUsage) every
+// flushMs, so a busy key costs no write per request.
+//   loadDay(keyId, day) -> { requests, limited }
+//   saveUsage([{ keyId, day, requests, limited, lastUsedAt }])  (increments)
+export function createUsageTracker({ loadDay, saveUsage, flushMs = 10000 }) {
+  const minutes = new Map(); // keyId -> { count, resetAt }
+  const days = new Map(); // "keyId:day" -> { keyId, day, requests, limited, pending, pendingLimited, lastUsedAt }
+
+  async function dayEntry(keyId, day) {
+    const k = `${keyId}:${day}`;
+    let e = days.get(k);
+    if (!e) {
+      const stored = await loadDay(keyId, day);
+      e = days.get(k); // another request may have loaded it meanwhile
+      if (!e) {
+        e = { keyId, day, requests: stored.requests, limited: stored.limited, pending: 0, pendingLimited: 0, lastUsedAt: null };
+        days.set(k, e);
+      }
+    }
+    return e;
+  }
+
+  async function flush() {
+    const rows = [];
+    for (const [k, e] of days) {
+      if (e.pending || e.pendingLimited) {
+        rows.push({ keyId: e.keyId, day: e.day, requests: e.pending, limited: e.pendingLimited, lastUsedAt: e.lastUsedAt });
+        e.pending = 0;
+        e.pendingLimited = 0;
+      } else if (e.day !== utcDay()) {
+        days.delete(k); // finished day, all written
+      }
+    }
+    if (rows.length) await saveUsage(rows);
+  }
+
+  const timer = setInterval(() => flush().catch(e => logger.warn("API key usage not saved", e)), flushMs);
+  timer.unref();
+
+  return {
+    // Count one request of `key` ({ id, rateLimit, dailyQuota }; limits already
+    // resolved, 0 = unlimited). Returns { minute, day, exceeded: null | "rate" | "quota" };
+    // minute/day are { limit, remaining, resetMs } or null when unlimited.
+    async hit(key, now = Date.now()) {
+      const day = utcDay(now);
+      const e = await dayEntry(key.id, day);
+      let w = minutes.get(key.id);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + 60000 };
+        minutes.set(key.id, w);
+      }
+      w.count++;
+
+      const nextMidnight = Date.parse(`${day}T00:00:00Z`) + 86400000;
+      const minute = key.rateLimit ? { limit: key.rateLimit, remaining: Math.max(0, key.rateLimit - w.count), resetMs: w.resetAt - now } : null;
+      let exceeded = null;
+      if (key.rateLimit && w.count > key.rateLimit) exceeded = "rate";
+      else if (key.dailyQuota && e.requests >= key.dailyQuota) exceeded = "quota";
+
+      e.lastUsedAt = new Date(now).toISOString().replace("T", " ").slice(0, 19); // same form as CURRENT_TIMESTAMP
+      if (exceeded) {
+        e.limited++;
+        e.pendingLimited++;
+      } else {
+        e.requests++;
+        e.pending++;
+      }
+      const dayInfo = key.dailyQuota ? { limit: key.dailyQuota, remaining: Math.max(0, key.dailyQuota - e.requests), resetMs: nextMidnight - now } : null;
+      return { minute, day: dayInfo, exceeded };
+    },
+    flush
+  };
+}
+
+// RateLimit-* response headers (IETF draft) for a hit() result: the limit closest to
+// running out is reported, RateLimit-Policy lists both
+export function rateLimitHeaders({ minute, day }) {
+  const limits = [minute, day].filter(Boolean);
+  if (!limits.length) return {};
+  const tightest = limits.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+  const policy = [minute && `${minute.limit};w=60`, day && `${day.limit};w=86400`].filter(Boolean).join(", ");
+  return {
+    "RateLimit-Limit": String(tightest.limit),
+    "RateLimit-Remaining": String(tightest.remaining),
+    "RateLimit-Reset": String(Math.ceil(tightest.resetMs / 1000)),
+    "RateLimit-Policy": policy
+  };
+}
@@ -0,0 +1,123 @@
+// lib/canon.js
+// Canonical 66-book Protestant canon with USFM codes, OSIS ids and the common
+// abbreviations people actually type ("Jn", "1 Cor", "Ps", "Song of Songs").
+// Aliases are stored in "key" form (lowercase, no spaces or dots), see bookKey().
+
+export const CANON = [
+  { num: 1, code: "GEN", osis: "Gen", name: "Genesis", testament: "OT", aliases: ["ge", "gen", "gn"] },
+  { num: 2, code: "EXO", osis: "Exod", name: "Exodus", testament: "OT", aliases: ["ex", "exo", "exod"] },
+  { num: 3, code: "LEV", osis: "Lev", name: "Leviticus", testament: "OT", aliases: ["le", "lev", "lv"] },
+  { num: 4, code: "NUM", osis: "Num", name: "Numbers", testament: "OT", aliases: ["nu", "num", "nm", "nb"] },
+  { num: 5, code: "DEU", osis: "Deut", name: "Deuteronomy", testament: "OT", aliases: ["dt", "deu", "deut"] },
+  { num: 6, code: "JOS", osis: "Josh", name: "Joshua", testament: "OT", aliases: ["jos", "josh", "jsh"] },
+  { num: 7, code: "JDG", osis: "Judg", name: "Judges", testament: "OT", aliases: ["jdg", "judg", "jg", "jdgs"] },
+  { num: 8, code: "RUT", osis: "Ruth", name: "Ruth", testament: "OT", aliases: ["ru", "rut", "rth"] },
+  { num: 9, code: "1SA", osis: "1Sam", name: "1 Samuel", testament: "OT", aliases: ["1sa", "1sam", "1sm", "isam", "1stsamuel", "firstsamuel"] },
+  { num: 10, code: "2SA", osis: "2Sam", name: "2 Samuel", testament: "OT", aliases: ["2sa", "2sam", "2sm", "iisam", "2ndsamuel", "secondsamuel"] },
+  { num: 11, code: "1KI", osis: "1Kgs", name: "1 Kings", testament: "OT", aliases: ["1ki", "1kgs", "1kg", "1kin", "ikgs", "1stkings", "firstkings"] },
+  { num: 12, code: "2KI", osis: "2Kgs", name: "2 Kings", testament: "OT", aliases: ["2ki", "2kgs", "2kg", "2kin", "iikgs", "2ndkings", "secondkings"] },
+  { num: 13, code: "1CH", osis: "1Chr", name: "1 Chronicles", testament: "OT", aliases: ["1ch", "1chr", "1chron", "ichr", "1stchronicles", "firstchronicles"] },
+  { num: 14, code: "2CH", osis: "2Chr", name: "2 Chronicles", testament: "OT", aliases: ["2ch", "2chr", "2chron", "iichr", "2ndchronicles", "secondchronicles"] },
+  { num: 15, code: "EZR", osis: "Ezra", name: "Ezra", testament: "OT", aliases: ["ezr", "ezra"] },
+  { num: 16, code: "NEH", osis: "Neh", name: "Nehemiah", testament: "OT", aliases: ["ne", "neh"] },
+  { num: 17, code: "EST", osis: "Esth", name: "Esther", testament: "OT", aliases: ["es", "est", "esth"] },
+  { num: 18, code: "JOB", osis: "Job", name: "Job", testament: "OT", aliases: ["jb", "job"] },
+  { num: 19, code: "PSA", osis: "Ps", name: "Psalms", testament: "OT", aliases: ["ps", "psa", "psm", "pss", "psalm", "psalms"] },
+  { num: 20, code: "PRO", osis: "Prov", name: "Proverbs", testament: "OT", aliases: ["pr", "pro", "prov", "prv"] },
+  { num: 21, code: "ECC", osis: "Eccl", name: "Ecclesiastes", testament: "OT", aliases: ["ec", "ecc", "eccl", "eccles", "qoheleth"] },
+  { num: 22, code: "SNG", osis: "Song", name: "Song of Solomon", testament: "OT", aliases: ["so", "sng", "song", "sos", "songofsongs", "canticles", "canticleofcanticles"] },
+  { num: 23, code: "ISA", osis: "Isa", name: "Isaiah", testament: "OT", aliases: ["is", "isa"] },
+  { num: 24, code: "JER", osis: "Jer", name: "Jeremiah", testament: "OT", aliases: ["je", "jer", "jr"] },
+  { num: 25, code: "LAM", osis: "Lam", name: "Lamentations", testament: "OT", aliases: ["la", "lam"] },
+  { num: 26, code: "EZK", osis: "Ezek", name: "Ezekiel", testament: "OT", aliases: ["eze", "ezek", "ezk"] },
+  { num: 27, code: "DAN", osis: "Dan", name: "Daniel", testament: "OT", aliases: ["da", "dan", "dn"] },
+  { num: 28, code: "HOS", osis: "Hos", name: "Hosea", testament: "OT", aliases: ["ho", "hos"] },
+  { num: 29, code: "JOL", osis: "Joel", name: "Joel", testament: "OT", aliases: ["jl", "joe", "jol", "joel"] },
+  { num: 30, code: "AMO", osis: "Amos", name: "Amos", testament: "OT", aliases: ["am", "amo", "amos"] },
+  { num: 31, code: "OBA", osis: "Obad", name: "Obadiah", testament: "OT", aliases: ["ob", "oba", "obad"] },
+  { num: 32, code: "JON", osis: "Jonah", name: "Jonah", testament: "OT", aliases: ["jnh", "jon", "jonah"] },
+  { num: 33, code: "MIC", osis: "Mic", name: "Micah", testament: "OT", aliases: ["mi", "mic"] },
+  { num: 34, code: "NAM", osis: "Nah", name: "Nahum", testament: "OT", aliases: ["na", "nah", "nam"] },
+  { num: 35, code: "HAB", osis: "Hab", name: "Habakkuk", testament: "OT", aliases: ["hab", "hb"] },
+  { num: 36, code: "ZEP", osis: "Zeph", name: "Zephaniah", testament: "OT", aliases: ["zep", "zeph", "zp"] },
+  { num: 37, code: "HAG", osis: "Hag", name: "Haggai", testament: "OT", aliases: ["hag", "hg"] },
+  { num: 38, code: "ZEC", osis: "Zech", name: "Zechariah", testament: "OT", aliases: ["zec", "zech", "zc"] },
+  { num: 39, code: "MAL", osis: "Mal", name: "Malachi", testament: "OT", aliases: ["mal", "ml"] },
+  { num: 40, code: "MAT", osis: "Matt", name: "Matthew", testament: "NT", aliases: ["mt", "mat", "matt"] },
+  { num: 41, code: "MRK", osis: "Mark", name: "Mark", testament: "NT", aliases: ["mk", "mar", "mrk", "mark"] },
+  { num: 42, code: "LUK", osis: "Luke", name: "Luke", testament: "NT", aliases: ["lk", "luk", "luke"] },
+  { num: 43, code: "JHN", osis: "John", name: "John", testament: "NT", aliases: ["jn", "jhn", "joh", "john"] },
+  { num: 44, code: "ACT", osis: "Acts", name: "Acts", testament: "NT", aliases: ["ac", "act", "acts"] },
+  { num: 45, code: "ROM", osis: "Rom", name: "Romans", testament: "NT", aliases: ["ro", "rom", "rm"] },
+  { num: 46, code: "1CO", osis: "1Cor", name: "1 Corinthians", testament: "NT", aliases: ["1co", "1cor", "icor", "1stcorinthians", "firstcorinthians"] },
+  { num: 47, code: "2CO", osis: "2Cor", name: "2 Corinthians", testament: "NT", aliases: ["2co", "2cor", "iicor", "2ndcorinthians", "secondcorinthians"] },
+  { num: 48, code: "GAL", osis: "Gal", name: "Galatians", testament: "NT", aliases: ["ga", "gal"] },
+  { num: 49, code: "EPH", osis: "Eph", name: "Ephesians", testament: "NT", aliases: ["eph", "ephes"] },
+  { num: 50, code: "PHP", osis: "Phil", name: "Philippians", testament: "NT", aliases: ["php", "phil", "pp"] },
+  { num: 51, code: "COL", osis: "Col", name: "Colossians", testament: "NT", aliases: ["col", "co"] },
+  { num: 52, code: "1TH", osis: "1Thess", name: "1 Thessalonians", testament: "NT", aliases: ["1th", "1thes", "1thess", "ith", "1stthessalonians", "firstthessalonians"] },
+  { num: 53, code: "2TH", osis: "2Thess", name: "2 Thessalonians", testament: "NT", aliases: ["2th", "2thes", "2thess", "iith", "2ndthessalonians", "secondthessalonians"] },
+  { num: 54, code: "1TI", osis: "1Tim", name: "1 Timothy", testament: "NT", aliases: ["1ti", "1tim", "itim", "1sttimothy", "firsttimothy"] },
+  { num: 55, code: "2TI", osis: "2Tim", name: "2 Timothy", testament: "NT", aliases: ["2ti", "2tim", "iitim", "2ndtimothy", "secondtimothy"] },
+  { num: 56, code: "TIT", osis: "Titus", name: "Titus", testament: "NT", aliases: ["ti", "tit"] },
+  { num: 57, code: "PHM", osis: "Phlm", name: "Philemon", testament: "NT", aliases: ["phm", "phlm", "philem"] },
+  { num: 58, code: "HEB", osis: "Heb", name: "Hebrews", testament: "NT", aliases: ["he", "heb"] },
+  { num: 59, code: "JAS", osis: "Jas", name: "James", testament: "NT", aliases: ["jas", "jm", "jms"] },
+  { num: 60, code: "1PE", osis: "1Pet", name: "1 Peter", testament: "NT", aliases: ["1pe", "1pet", "1pt", "ipet", "1stpeter", "firstpeter"] },
+  { num: 61, code: "2PE", osis: "2Pet", name: "2 Peter", testament: "NT", aliases: ["2pe", "2pet", "2pt", "iipet", "2ndpeter", "secondpeter"] },
+  { num: 62, code: "1JN", osis: "1John", name: "1 John", testament: "NT", aliases: ["1jn", "1jo", "1joh", "1jhn", "ijn", "1stjohn", "firstjohn"] },
+  { num: 63, code: "2JN", osis: "2John", name: "2 John", testament: "NT", aliases: ["2jn", "2jo", "2joh", "2jhn", "iijn", "2ndjohn", "secondjohn"] },
+  { num: 64, code: "3JN", osis: "3John", name: "3 John", testament: "NT", aliases: ["3jn", "3jo", "3joh", "3jhn", "iiijn", "3rdjohn", "thirdjohn"] },
+  { num: 65, code: "JUD", osis: "Jude", name: "Jude", testament: "NT", aliases: ["jud", "jude", "jd"] },
+  { num: 66, code: "REV", osis: "Rev", name: "Revelation", testament: "NT", aliases: ["re", "rev", "rv", "apocalypse", "revelations"] }
+];
+
+// Normalize a typed book name into lookup-key form: "1 Cor." -> "1cor", "I John" -> "ijohn"
+export function bookKey(s) {
+  return String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[\s._\-']/g, "");
+}
+
+const BY_KEY = new Map();
+for (const b of CANON) {
+  for (const k of [bookKey(b.name), bookKey(b.code), bookKey(b.osis), ...b.aliases]) {
+    if (!BY_KEY.has(k)) BY_KEY.set(k, b);
+  }
+}
+
+// Look up a canon entry by name, USFM code, OSIS id or abbreviation. Returns null when unknown.
+export function findCanonBook(input) {
+  const key = bookKey(input);
+  if (!key) return null;
+  if (BY_KEY.has(key)) return BY_KEY.get(key);
+  // roman-numeral / ordinal-word prefixes: "II Kings", "Second Kings"
+  const ord = key.match(/^(iii|ii|i|first|second|third)(.+)$/);
+  if (ord) {
+    const n = { i: 1, first: 1, ii: 2, second: 2, iii: 3, third: 3 }[ord[1]];
+    const alt = BY_KEY.get(n + ord[2]);
+    if (alt) return alt;
+  }
+  return null;
+}
+
+// Named groups of books for scoped search, as [first, last] canon numbers
+export const CANON_GROUPS = {
+  ot: [1, 39],
+  nt: [40, 66],
+  torah: [1, 5],
+  pentateuch: [1, 5],
+  history: [6, 17],
+  wisdom: [18, 22],
+  poetry: [18, 22],
+  prophets: [23, 39],
+  "major-prophets": [23, 27],
+  "minor-prophets": [28, 39],
+  gospels: [40, 43],
+  synoptics: [40, 42],
+  pauline: [45, 57],
+  epistles: [45, 65],
+  "general-epistles": [59, 65]
+};
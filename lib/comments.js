@@ -0,0 +1,64 @@
+// lib/comments.js
+// Comment helpers: body sanitizing, edit tokens, threading. The table itself comes
+// from lib/migrations.js.
+import crypto from "crypto";
+
+export const COMMENT_STATUSES = ["pending", "approved", "hidden", "deleted"];
+
+// Strip HTML: <script>/<style> blocks go entirely, other tags are removed, text stays.
+// Runs of spaces and tabs, such as the gap left by a removed block, become one space.
+export function sanitizeCommentBody(s) {
+  return String(s || "")
+    .replace(/<(script|style|iframe|object)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, "")
+    .replace(/<\/?[a-z!][^>]*>/gi, "")
+    .replace(/javascript:/gi, "")
+    .replace(/[ \t]{2,}/g, " ")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Edit/delete secret handed to the author once; only its hash is stored
+export function newEditToken() {
+  return crypto.randomBytes(24).toString("base64url");
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+export function tokenMatches(token, hash) {
+  if (!token || !hash) return false;
+  const a = Buffer.from(hashToken(token), "hex");
+  const b = Buffer.from(hash, "hex");
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Approved comments' verse spans -> { verse: count } for one chapter
+export function countByVerse(rows) {
+  const counts = {};
+  for (const r of rows) {
+    const from = Number(r.verse);
+    const to = Math.max(from, Number(r.verseEnd ?? r.verse));
+    for (let v = from; v <= to; v++) counts[v] = (counts[v] || 0) + 1;
+  }
+  return counts;
+}
+
+// Flat rows (with parentId) -> top-level comments with nested `replies`.
+// Deleted comments are kept as placeholders only when they still have replies.
+// Replies whose parent isn't among the rows (hidden or pending) are left out with it.
+export function buildThreads(rows) {
+  const byId = new Map(rows.map(r => [r.id, { ...r, replies: [] }]));
+  const roots = [];
+  for (const c of byId.values()) {
+    if (!c.parentId) roots.push(c);
+    else if (byId.has(c.parentId)) byId.get(c.parentId).replies.push(c);
+  }
+  const prune = list => list.filter(c => {
+    c.replies = prune(c.replies);
+    return !c.deleted || c.replies.length > 0;
+  });
+  return prune(roots);
+}
@@ -0,0 +1,67 @@
+// lib/crossrefs.js
+// Cross-reference data in the OpenBible.info layout (the Treasury of Scripture
+// Knowledge plus reader votes): one pair per line, OSIS references, tab separated.
+//
+//   From Verse	To Verse	Votes
+//   Gen.1.1	Prov.8.22-Prov.8.30	59
+//   Gen.1.1	John.1.1	381
+//
+// Either side may be a verse or a range; votes (optional, default 0) may be negative.
+// The table itself comes from lib/migrations.js; import_crossrefs.js loads it.
+import { findCanonBook } from "./canon.js";
+
+const OSIS_VERSE_RE = /^([1-3]?[A-Za-z]+)\.(\d+)(?:\.(\d+))?$/;
+
+// "Gen.1.1" / "Prov.8.22-Prov.8.30" / "Ps.23" -> { canon, startChapter, startVerse, endChapter, endVerse }
+// (a chapter-only side covers the whole chapter: verse null). null when unreadable or
+// when a range runs into another book.
+export function parseOsisRange(s) {
+  const [a, b] = String(s || "").trim().split("-");
+  const start = OSIS_VERSE_RE.exec(a || "");
+  if (!start) return null;
+  const canon = findCanonBook(start[1]);
+  if (!canon) return null;
+  const end = b === undefined ? start : OSIS_VERSE_RE.exec(b);
+  if (!end || findCanonBook(end[1]) !== canon) return null;
+
+  const p = {
+    canon,
+    startChapter: Number(start[2]),
+    startVerse: start[3] === undefined ? null : Number(start[3]),
+    endChapter: Number(end[2]),
+    endVerse: end[3] === undefined ? null : Number(end[3])
+  };
+  if (p.endChapter < p.startChapter) return null;
+  if (p.endChapter === p.startChapter && p.startVerse !== null && p.endVerse !== null && p.endVerse < p.startVerse) return null;
+  return p;
+}
+
+// Whole file -> { rows: [{ from, to, votes, at }], errors: [string] }
+export function parseCrossRefs(source, file = "input") {
+  const rows = [];
+  const errors = [];
+  const lines = String(source).replace(/^﻿/, "").split(/\r?\n/);
+  lines.forEach((line, i) => {
+    const at = `${file}:${i + 1}`;
+    if (!line.trim() || line.startsWith("#")) return;
+    const cells = line.split(line.includes("\t") ? "\t" : ",").map(c => c.trim());
+    if (/^from\b/i.test(cells[0])) return; // header
+    if (cells.length < 2) {
+      errors.push(`${at}: expected "from<TAB>to<TAB>votes"`);
+      return;
+    }
+    const from = parseOsisRange(cells[0]);
+    const to = parseOsisRange(cells[1]);
+    if (!from || !to) {
+      errors.push(`${at}: cannot read reference "${!from ? cells[0] : cells[1]}"`);
+      return;
+    }
+    const votes = cells[2] === undefined || cells[2] === "" ? 0 : Number(cells[2]);
+    if (!Number.isInteger(votes)) {
+      errors.push(`${at}: votes must be a whole number, got "${cells[2]}"`);
+      return;
+    }
+    rows.push({ from, to, votes, at });
+  });
+  return { rows, errors };
+}
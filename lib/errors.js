@@ -0,0 +1,53 @@
+// lib/errors.js
+// One error shape for every JSON route: { error: { code, message, details } }.
+// Routes keep answering the short way, res.status(404).json({ error: "Book not found",
+// input }), and uniformErrors() reshapes the body on the way out: extra fields become
+// details, code comes from the status unless the body names one. The message of a
+// 500 is replaced, since it's usually err.message; routes log the real error.
+import { logger } from "./logger.js";
+
+export const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  406: "not_acceptable",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "internal_error",
+  503: "unavailable"
+};
+
+export function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? "internal_error" : "error");
+}
+
+export function errorBody(status, message, details = {}, code = errorCode(status)) {
+  return { error: { code, message: status === 500 ? "Internal server error" : message, details } };
+}
+
+// Middleware: reshape { error: "...", ...details } bodies sent with status >= 400
+export function uniformErrors(req, res, next) {
+  const json = res.json;
+  res.json = function (body) {
+    if (res.statusCode >= 400 && body && typeof body.error === "string") {
+      const { error, code, ...details } = body;
+      body = errorBody(res.statusCode, error, details, typeof code === "string" ? code : undefined);
+    }
+    return json.call(this, body);
+  };
+  next();
+}
+
+// Last handler: errors thrown past the routes (malformed JSON bodies, oversized
+// payloads, anything unexpected) in the same shape
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) logger.error(`${req.method} ${req.path} error`, err);
+  const code = err.type === "entity.parse.failed" ? "invalid_json" : errorCode(status);
+  const message = err.type === "entity.parse.failed" ? "Request body is not valid JSON" : status < 500 && err.expose ? err.message : "Internal server error";
+  res.status(status).json(errorBody(status, message, {}, code));
+}
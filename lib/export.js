@@ -0,0 +1,107 @@
+// lib/export.js
+// Writers for /api/export. Each format turns a book (or part of one) into text in
+// pieces: begin() once, chapter() before each chapter's verses, verse() per verse,
+// end() once. The route writes the pieces as they come, so a whole book is never
+// held in memory. `meta` is { book, code, osis, version, language, title }.
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// RFC 4180: quote when the field has a comma, quote or line break
+function csvField(s) {
+  const v = String(s ?? "");
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+// TSV has no quoting; tabs and line breaks inside text become spaces
+function tsvField(s) {
+  return String(s ?? "").replace(/[\t\r\n]+/g, " ");
+}
+
+// USFM: \id \h \mt1 header, \c per chapter, one \v per line
+const usfm = {
+  type: "text/x-usfm",
+  ext: "usfm",
+  begin: m => `\\id ${m.code || ""} ${m.version}\n\\usfm 3.0\n\\h ${m.book}\n\\toc1 ${m.book}\n\\mt1 ${m.book}\n`,
+  chapter: (m, c) => `\\c ${c}\n\\p\n`,
+  verse: (m, v) => `\\v ${v.verse} ${v.text}\n`,
+  end: () => ""
+};
+
+// OSIS 2.1.1 with osisIDs like John.3.16
+const osis = {
+  type: "application/xml",
+  ext: "osis.xml",
+  begin: m =>
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<osis xmlns="http://www.bibletechnologies.net/2003/OSIS/namespace">\n` +
+    `<osisText osisIDWork="${escapeXml(m.version)}" osisRefWork="Bible" xml:lang="${escapeXml(m.language || "en")}">\n` +
+    `<header><work osisWork="${escapeXml(m.version)}"><title>${escapeXml(m.title)}</title></work></header>\n` +
+    `<div type="book" osisID="${escapeXml(m.osis)}">\n<title type="main">${escapeXml(m.book)}</title>\n`,
+  chapter: (m, c, first) => `${first ? "" : "</chapter>\n"}<chapter osisID="${escapeXml(m.osis)}.${c}">\n`,
+  verse: (m, v) => `<verse osisID="${escapeXml(m.osis)}.${v.chapter}.${v.verse}">${escapeXml(v.text)}</verse>\n`,
+  end: (m, any) => `${any ? "</chapter>\n" : ""}</div>\n</osisText>\n</osis>\n`
+};
+
+// Markdown: one paragraph per chapter with <sup> verse numbers
+const markdown = {
+  type: "text/markdown",
+  ext: "md",
+  begin: m => `# ${m.title}\n`,
+  chapter: (m, c, first) => `${first ? "" : "\n"}\n## Chapter ${c}\n\n`,
+  verse: (m, v) => `<sup>${v.verse}</sup> ${v.text.replace(/([\\`*_[\]#<>])/g, "\\$1")} `,
+  end: () => "\n"
+};
+
+// Plain semantic HTML: <article> per book, <section> per chapter, ids for linking (#c3, #v3-16)
+const html = {
+  type: "text/html",
+  ext: "html",
+  begin: m =>
+    `<!DOCTYPE html>\n<html lang="${escapeXml(m.language || "en")}">\n<head>\n<meta charset="utf-8">\n` +
+    `<title>${escapeXml(m.title)}</title>\n</head>\n<body>\n<article>\n<h1>${escapeXml(m.title)}</h1>\n`,
+  chapter: (m, c, first) => `${first ? "" : "</p>\n</section>\n"}<section id="c${c}">\n<h2>Chapter ${c}</h2>\n<p>\n`,
+  verse: (m, v) => `<span class="verse" id="v${v.chapter}-${v.verse}"><sup>${v.verse}</sup> ${escapeXml(v.text)}</span>\n`,
+  end: (m, any) => `${any ? "</p>\n</section>\n" : ""}</article>\n</body>\n</html>\n`
+};
+
+function delimited(type, ext, field, sep) {
+  return {
+    type,
+    ext,
+    begin: () => ["version", "book", "chapter", "verse", "text"].join(sep) + "\r\n",
+    chapter: () => "",
+    verse: (m, v) => [m.version, m.book, v.chapter, v.verse, v.text].map(field).join(sep) + "\r\n",
+    end: () => ""
+  };
+}
+
+export const EXPORT_FORMATS = {
+  usfm,
+  osis,
+  markdown,
+  html,
+  csv: delimited("text/csv", "csv", csvField, ","),
+  tsv: delimited("text/tab-separated-values", "tsv", tsvField, "\t")
+};
+
+const FORMAT_ALIASES = { md: "markdown", xml: "osis", htm: "html", sfm: "usfm" };
+
+// ?format= value -> format name, or null when unknown
+export function exportFormat(name) {
+  const key = String(name || "").trim().toLowerCase();
+  const resolved = FORMAT_ALIASES[key] || key;
+  return Object.hasOwn(EXPORT_FORMATS, resolved) ? resolved : null;
+}
+
+// Accept header -> format name via req.accepts(); USFM first so */* gets USFM
+export function exportFormatFromAccept(req) {
+  const byType = new Map(Object.entries(EXPORT_FORMATS).map(([name, f]) => [f.type, name]));
+  const type = req.accepts([...byType.keys()]);
+  return type ? byType.get(type) : null;
+}
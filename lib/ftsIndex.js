@@ -0,0 +1,105 @@
+// lib/ftsIndex.js
+// Builds and inspects the verses_fts full-text index of a translation.
+// The index is an external-content FTS5 table over <prefix>verses (text_plain), so it
+// stores no second copy of the text. Build info goes into fts_meta in the same schema
+// and is what "stale" is judged against: a verse count or max id that no longer
+// matches, a different tokenizer, or an index we did not build ourselves.
+import { logger } from "./logger.js";
+import { withTransaction } from "./writeQueue.js";
+
+export const DEFAULT_TOKENIZE = "unicode61 remove_diacritics 2";
+
+function names(tr) {
+  return {
+    fts: `${tr.schema}.${tr.prefix}verses_fts`,
+    ftsName: `${tr.prefix}verses_fts`,
+    content: `${tr.prefix}verses`,
+    meta: `${tr.schema}.fts_meta`
+  };
+}
+
+async function exists(db, tr, name) {
+  const row = await db.get(`SELECT name FROM ${tr.schema}.sqlite_master WHERE name = ?`, [name]);
+  return row !== undefined;
+}
+
+// Current state of the index: { version, exists, stale, reason, indexedRows, sourceRows, builtAt, tokenize }
+export async function ftsStatus(db, tr, { tokenize = DEFAULT_TOKENIZE } = {}) {
+  const n = names(tr);
+  const status = { version: tr.code, table: n.fts, exists: false, stale: true, reason: null, indexedRows: null, sourceRows: null, builtAt: null, tokenize: null };
+
+  const src = await db.get(`SELECT COUNT(*) AS n, MAX(id) AS maxId FROM ${tr.verses}`);
+  status.sourceRows = src.n;
+
+  if (!(await exists(db, tr, n.ftsName))) {
+    status.reason = "missing";
+    return status;
+  }
+  status.exists = true;
+
+  let meta;
+  if (await exists(db, tr, "fts_meta")) {
+    meta = await db.get(`SELECT built_at, row_count, source_rows, source_max_id, tokenize FROM ${n.meta} WHERE name = ?`, [n.ftsName]);
+  }
+  if (!meta) {
+    status.reason = "not built by this server";
+    return status;
+  }
+  status.indexedRows = meta.row_count;
+  status.builtAt = meta.built_at;
+  status.tokenize = meta.tokenize;
+
+  if (meta.tokenize !== tokenize) status.reason = "tokenizer changed";
+  else if (meta.source_rows !== src.n || meta.source_max_id !== src.maxId) status.reason = "verses changed since last build";
+  else status.stale = false;
+  return status;
+}
+
+// (Re)create the index from scratch. Returns the new status. The server passes its
+// write queue's transaction (lib/writeQueue.js) so the build doesn't share a
+// transaction with other requests' writes; by default it is a plain BEGIN/COMMIT.
+// log: anything with info() (the JSON logger by default; the CLI scripts pass console).
+export async function buildFtsIndex(db, tr, { tokenize = DEFAULT_TOKENIZE, transaction = fn => withTransaction(db, fn), log = logger } = {}) {
+  const n = names(tr);
+  const started = Date.now();
+  await transaction(async () => {
+    await db.exec(`DROP TABLE IF EXISTS ${n.fts}`);
+    await db.exec(
+      `CREATE VIRTUAL TABLE ${n.fts} USING fts5(
+         text_plain,
+         content='${n.content}',
+         content_rowid='id',
+         tokenize='${tokenize.replace(/'/g, "''")}'
+       )`
+    );
+    await db.exec(`INSERT INTO ${n.fts}(${n.ftsName}) VALUES('rebuild')`);
+
+    await db.exec(
+      `CREATE TABLE IF NOT EXISTS ${n.meta} (
+         name TEXT PRIMARY KEY,
+         built_at TEXT,
+         row_count INTEGER,
+         source_rows INTEGER,
+         source_max_id INTEGER,
+         tokenize TEXT
+       )`
+    );
+    const src = await db.get(`SELECT COUNT(*) AS n, MAX(id) AS maxId FROM ${tr.verses}`);
+    const idx = await db.get(`SELECT COUNT(*) AS n FROM ${n.fts}_docsize`);
+    await db.run(
+      `INSERT OR REPLACE INTO ${n.meta} (name, built_at, row_count, source_rows, source_max_id, tokenize)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [n.ftsName, new Date().toISOString(), idx.n, src.n, src.maxId, tokenize]
+    );
+  });
+  log.info(`FTS index ${n.fts} built`, { ms: Date.now() - started });
+  return ftsStatus(db, tr, { tokenize });
+}
+
+// Build when missing or stale (or always with force). Returns the status afterwards.
+export async function ensureFtsIndex(db, tr, { force = false, tokenize = DEFAULT_TOKENIZE, transaction, log = logger } = {}) {
+  const status = await ftsStatus(db, tr, { tokenize });
+  if (!force && !status.stale) return status;
+  log.info(`FTS index for ${tr.code}: ${force ? "rebuild requested" : status.reason}, building...`);
+  return buildFtsIndex(db, tr, { tokenize, transaction, log });
+}
@@ -0,0 +1,326 @@
+// lib/importers.js
+// Readers for import_bible.js. Every reader turns a source file into verse rows
+//   { book, chapter, verse, verseEnd, text, at }
+// where `book` is whatever the source calls the book (matched against lib/canon.js
+// later), verseEnd is set for combined verses ("\v 1-2", osisID="Gen.1.1 Gen.1.2")
+// and `at` says where the row came from for the report.
+import { findCanonBook } from "./canon.js";
+
+// Verse text as stored in text_plain: no markup, no pilcrows, single spaces
+export function cleanVerseText(s) {
+  return String(s || "")
+    .replace(/¶/g, "")
+    .replace(/\u00A0/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// "5", "5-7", "5a" -> { verse, verseEnd }; null when not a verse number
+function verseNumber(s) {
+  const m = String(s).match(/^(\d+)[a-z]?(?:[-–](\d+)[a-z]?)?$/);
+  if (!m) return null;
+  const verse = Number(m[1]);
+  const verseEnd = m[2] ? Number(m[2]) : null;
+  return { verse, verseEnd: verseEnd && verseEnd > verse ? verseEnd : null };
+}
+
+// -------------------------
+// USFM (one or more books per file)
+// -------------------------
+// Paragraph-level markers whose line is not verse text: headings, intros, comments
+const USFM_DROP_LINE = /^\\(?:s\d?|ms\d?|mr|sr|r|sp|rem|sts|restore|cl|toc\d|toca\d|h|mt\d?|mte\d?|imt\d?|imte\d?|is\d?|ip|ipi|im|imi|ipq|imq|ipr|iq\d?|ib|ili\d?|iot|io\d?|iex|ie|usfm|ide)\b.*$/gm;
+
+export function parseUsfm(source, file = "usfm") {
+  const rows = [];
+  const errors = [];
+  // \id starts a new book, so a file may hold several
+  const books = String(source).replace(/\r\n?/g, "\n").split(/^(?=\\id\s)/m).filter(b => /^\\id\s/.test(b));
+  if (!books.length) errors.push(`${file}: no \\id line`);
+
+  for (const text of books) {
+    const code = text.match(/^\\id\s+(\S+)/)[1];
+    const header = m => (text.match(new RegExp(`^\\\\${m}\\s+(.+)$`, "m")) || [])[1];
+    const name = header("h") || header("toc1") || header("mt1") || header("mt");
+    const book = findCanonBook(code) ? code : (name || code);
+
+    const body = text
+      .replace(USFM_DROP_LINE, "")
+      // footnotes, cross references and study notes go entirely
+      .replace(/\\(f|fe|ef|x|ex)\s[\s\S]*?\\\1\*/g, "")
+      // \w word|lemma="..." strong="..."\w*  -> word
+      .replace(/\\\+?w\s+([^|\\]*?)(?:\|[^\\]*)?\\\+?w\*/g, "$1");
+
+    let chapter = null;
+    for (const seg of body.split(/(?=\\[cv]\s)/)) {
+      const m = seg.match(/^\\([cv])\s+(\S+)\s?([\s\S]*)$/);
+      if (!m) continue;
+      if (m[1] === "c") {
+        chapter = Number(m[2]);
+        if (!Number.isInteger(chapter)) errors.push(`${file} ${code}: bad chapter "${m[2]}"`);
+        continue;
+      }
+      const n = verseNumber(m[2]);
+      if (!n || !Number.isInteger(chapter)) {
+        errors.push(`${file} ${code}: bad verse "${m[2]}"${chapter ? ` in chapter ${chapter}` : " before any \\c"}`);
+        continue;
+      }
+      // remaining markers (\p, \q1, \add ... \add*, \nd ... \nd*) are dropped, their text kept
+      const verseText = cleanVerseText(m[3].replace(/\\\+?[a-z]+\d*\*?/g, " "));
+      rows.push({ book, chapter, ...n, text: verseText, at: `${file} ${code} ${chapter}:${m[2]}` });
+    }
+  }
+  return { rows, errors };
+}
+
+// -------------------------
+// OSIS XML (container <verse>...</verse> or sID/eID milestones)
+// -------------------------
+function decodeXml(s) {
+  return s
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function attr(attrs, name) {
+  const m = attrs.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return m ? (m[2] ?? m[3]) : null;
+}
+
+export function parseOsis(source, file = "osis") {
+  const rows = [];
+  const errors = [];
+  const xml = String(source)
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<note\b[^>]*\/>/g, "")
+    .replace(/<note\b[\s\S]*?<\/note>/g, "")
+    .replace(/<title\b[\s\S]*?<\/title>/g, "");
+
+  const emit = (osisID, text) => {
+    const ids = osisID.trim().split(/\s+/);
+    const first = ids[0].match(/^(?:[\w.]+:)?([^.]+)\.(\d+)\.(\d+)$/);
+    const last = ids[ids.length - 1].match(/\.(\d+)$/);
+    if (!first) {
+      errors.push(`${file}: unrecognised osisID "${osisID}"`);
+      return;
+    }
+    const verse = Number(first[3]);
+    const verseEnd = last && Number(last[1]) > verse ? Number(last[1]) : null;
+    rows.push({
+      book: first[1],
+      chapter: Number(first[2]),
+      verse,
+      verseEnd,
+      text: cleanVerseText(decodeXml(text.replace(/<[^>]+>/g, " "))),
+      at: `${file} ${ids[0]}`
+    });
+  };
+
+  let open = null; // { osisID, from }
+  const tag = /<verse\b([^>]*?)(\/?)>|<\/verse\s*>/g;
+  let m;
+  while ((m = tag.exec(xml))) {
+    if (m[0].startsWith("</")) {
+      if (open) emit(open.osisID, xml.slice(open.from, m.index));
+      open = null;
+      continue;
+    }
+    const attrs = m[1];
+    const eID = attr(attrs, "eID");
+    if (eID) {
+      if (open) emit(open.osisID, xml.slice(open.from, m.index));
+      open = null;
+      continue;
+    }
+    const osisID = attr(attrs, "osisID");
+    if (!osisID) continue;
+    if (open) emit(open.osisID, xml.slice(open.from, m.index)); // unclosed milestone
+    open = { osisID, from: tag.lastIndex };
+  }
+  if (!rows.length) errors.push(`${file}: no <verse> elements with osisID`);
+  return { rows, errors };
+}
+
+// -------------------------
+// JSON: either a flat list of verses
+//   [{ "book": "Genesis", "chapter": 1, "verse": 1, "text": "..." }, ...]
+// or books with chapters as arrays (index = number - 1) or objects keyed by number
+//   { "books": [{ "book": "GEN", "chapters": [["In the beginning...", ...], ...] }] }
+// -------------------------
+export function parseJsonBible(source, file = "json") {
+  const rows = [];
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (e) {
+    return { rows, errors: [`${file}: invalid JSON (${e.message})`] };
+  }
+  const entries = (list, toKey) =>
+    Array.isArray(list) ? list.map((v, i) => [i + 1, v]) : Object.entries(list || {}).map(([k, v]) => [toKey(k), v]);
+
+  if (Array.isArray(data) || Array.isArray(data.verses)) {
+    for (const [i, r] of (Array.isArray(data) ? data : data.verses).entries()) {
+      const n = r && verseNumber(r.verse);
+      const book = r && (r.book ?? r.bookId ?? r.code ?? r.name);
+      if (!n || !book || !Number.isInteger(Number(r.chapter))) {
+        errors.push(`${file}: row ${i + 1} needs book, chapter, verse`);
+        continue;
+      }
+      rows.push({ book: String(book), chapter: Number(r.chapter), ...n, text: cleanVerseText(r.text), at: `${file} row ${i + 1}` });
+    }
+  } else if (data && data.books) {
+    for (const [, b] of entries(data.books, k => k)) {
+      const book = b.book ?? b.code ?? b.name;
+      if (!book) {
+        errors.push(`${file}: book without book/code/name`);
+        continue;
+      }
+      for (const [chapter, verses] of entries(b.chapters, Number)) {
+        for (const [verse, text] of entries(verses, Number)) {
+          if (text === null || text === undefined) continue;
+          rows.push({ book: String(book), chapter, verse, verseEnd: null, text: cleanVerseText(text), at: `${file} ${book} ${chapter}:${verse}` });
+        }
+      }
+    }
+  } else {
+    errors.push(`${file}: expected an array of verses or { books: [...] }`);
+  }
+  return { rows, errors };
+}
+
+// -------------------------
+// CSV / TSV with a header row naming book, chapter, verse and text columns
+// (the layout /api/export?format=csv writes; other columns are ignored)
+// -------------------------
+function splitDelimited(source, sep) {
+  const records = [];
+  let field = "", record = [], quoted = false;
+  const s = String(source).replace(/^\uFEFF/, "");
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "" && sep === ",") quoted = true;
+    else if (ch === sep) { record.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      record.push(field);
+      if (record.some(f => f !== "")) records.push(record);
+      field = ""; record = [];
+    } else field += ch;
+  }
+  record.push(field);
+  if (record.some(f => f !== "")) records.push(record);
+  return records;
+}
+
+export function parseDelimited(source, file = "csv", sep = ",") {
+  const rows = [];
+  const errors = [];
+  const [head, ...records] = splitDelimited(source, sep);
+  const cols = (head || []).map(h => h.trim().toLowerCase());
+  const col = (...names) => cols.findIndex(c => names.includes(c));
+  const at = { book: col("book", "book_id", "bookid", "code", "book_name"), chapter: col("chapter"), verse: col("verse"), text: col("text", "text_plain") };
+  const missing = Object.entries(at).filter(([, i]) => i < 0).map(([k]) => k);
+  if (missing.length) return { rows, errors: [`${file}: header is missing ${missing.join(", ")}`] };
+
+  records.forEach((r, i) => {
+    const n = verseNumber((r[at.verse] || "").trim());
+    const chapter = Number(r[at.chapter]);
+    if (!n || !Number.isInteger(chapter) || !(r[at.book] || "").trim()) {
+      errors.push(`${file}: line ${i + 2} has a bad book/chapter/verse`);
+      return;
+    }
+    rows.push({ book: r[at.book].trim(), chapter, ...n, text: cleanVerseText(r[at.text]), at: `${file} line ${i + 2}` });
+  });
+  return { rows, errors };
+}
+
+// -------------------------
+// Format from --format or the file name / content
+// -------------------------
+export const IMPORT_FORMATS = ["usfm", "osis", "json", "csv", "tsv"];
+
+export function detectFormat(file, source) {
+  const ext = (String(file).toLowerCase().match(/\.([a-z]+)$/) || [])[1];
+  if (["usfm", "sfm", "ptx"].includes(ext)) return "usfm";
+  if (ext === "xml" || ext === "osis") return "osis";
+  if (ext === "json") return "json";
+  if (ext === "csv") return "csv";
+  if (ext === "tsv" || ext === "tab") return "tsv";
+  const head = String(source).slice(0, 2000).trimStart();
+  if (head.startsWith("\\id")) return "usfm";
+  if (head.startsWith("<")) return "osis";
+  if (head.startsWith("[") || head.startsWith("{")) return "json";
+  return null;
+}
+
+export function parseBible(format, source, file) {
+  switch (format) {
+    case "usfm": return parseUsfm(source, file);
+    case "osis": return parseOsis(source, file);
+    case "json": return parseJsonBible(source, file);
+    case "csv": return parseDelimited(source, file, ",");
+    case "tsv": return parseDelimited(source, file, "\t");
+  }
+  throw new Error(`unknown import format ${format}`);
+}
+
+// -------------------------
+// Checks: every row's book must be a canon book; per chapter, verses should run
+// 1..last without gaps or repeats, and chapters 1..last should all be present.
+// Returns { byBook: Map(canonNum -> { canon, rows }), unknownBooks, duplicates,
+// missingVerses, missingChapters } with refs as "John 3:16" strings.
+// Duplicates keep the first row.
+// -------------------------
+export function checkContinuity(rows) {
+  const byBook = new Map();
+  const unknownBooks = new Map(); // input -> row count
+  const duplicates = [];
+  for (const r of rows) {
+    const canon = findCanonBook(r.book);
+    if (!canon) {
+      unknownBooks.set(r.book, (unknownBooks.get(r.book) || 0) + 1);
+      continue;
+    }
+    if (!byBook.has(canon.num)) byBook.set(canon.num, { canon, rows: [], seen: new Map() });
+    const b = byBook.get(canon.num);
+    const key = `${r.chapter}:${r.verse}`;
+    if (b.seen.has(key)) {
+      duplicates.push({ ref: `${canon.name} ${key}`, at: r.at, first: b.seen.get(key).at });
+      continue;
+    }
+    b.seen.set(key, r);
+    b.rows.push(r);
+  }
+
+  const missingVerses = [];
+  const missingChapters = [];
+  for (const b of byBook.values()) {
+    const chapters = new Map(); // chapter -> Set of covered verses
+    for (const r of b.rows) {
+      if (!chapters.has(r.chapter)) chapters.set(r.chapter, new Set());
+      for (let v = r.verse; v <= (r.verseEnd || r.verse); v++) chapters.get(r.chapter).add(v);
+    }
+    const lastChapter = Math.max(...chapters.keys());
+    for (let c = 1; c <= lastChapter; c++) {
+      const verses = chapters.get(c);
+      if (!verses) {
+        missingChapters.push(`${b.canon.name} ${c}`);
+        continue;
+      }
+      const last = Math.max(...verses);
+      for (let v = 1; v <= last; v++) if (!verses.has(v)) missingVerses.push(`${b.canon.name} ${c}:${v}`);
+    }
+    b.rows.sort((x, y) => x.chapter - y.chapter || x.verse - y.verse);
+    delete b.seen;
+  }
+  return { byBook, unknownBooks: [...unknownBooks].map(([book, rows]) => ({ book, rows })), duplicates, missingVerses, missingChapters };
+}
@@ -0,0 +1,105 @@
+// lib/lexicon.js
+// Helpers for lexicon entries (Strong's numbered Hebrew/Greek words).
+
+// Short gloss from a full definition: the first clause, capped at `max` characters.
+// "to love (in a social or moral sense); ..." -> "to love"
+export function shortGloss(definition, max = 40) {
+  if (!definition) return null;
+  const first = String(definition)
+    .replace(/\([^)]*\)/g, "")
+    .split(/[;:,.\n]/)[0]
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!first) return null;
+  return first.length > max ? first.slice(0, max - 1).trimEnd() + "…" : first;
+}
+
+// Lowercase, strip accents/breathings/vowel points and transliteration marks:
+// "agapáō" -> "agapao", "ἀγάπη" -> "αγαπη", "ʼâhab" -> "ahab"
+export function foldText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[ʼʽʻʾʿ'`´]/g, "")
+    .toLowerCase()
+    .replace(/ς/g, "σ")
+    .trim();
+}
+
+// "Hebrew", "heb", "H" -> "hebrew"; "Greek", "grc", "G" -> "greek"; otherwise null
+export function normalizeLanguage(s) {
+  const v = String(s || "").trim().toLowerCase();
+  if (!v) return null;
+  if (v.startsWith("h")) return "hebrew";
+  if (v.startsWith("g")) return "greek";
+  return null;
+}
+
+// Canonical Strong's number: "g0026", "G26", "26" + language "greek" -> "G26".
+// Returns null when the input is not a Strong's number (or a bare number without language).
+export function normalizeStrong(input, language) {
+  const m = String(input || "").trim().match(/^([GgHh])?\s*0*(\d{1,5})([a-z])?$/);
+  if (!m) return null;
+  let prefix = m[1] ? m[1].toUpperCase() : null;
+  if (!prefix) {
+    const lang = normalizeLanguage(language);
+    if (!lang) return null;
+    prefix = lang === "hebrew" ? "H" : "G";
+  }
+  return `${prefix}${Number(m[2])}${m[3] || ""}`;
+}
+
+// In-memory search index over lexicon rows (a few thousand entries, folded once)
+export function buildLexiconIndex(rows) {
+  const entries = rows.map(r => {
+    const lang = normalizeLanguage(r.language) || normalizeLanguage(r.strong);
+    return {
+      row: r,
+      key: normalizeStrong(r.strong, lang),
+      lang,
+      lemma: foldText(r.lemma),
+      translit: foldText(r.transliteration),
+      definition: String(r.definition || "").toLowerCase(),
+      root: r.root ? foldText(r.root) : null
+    };
+  });
+  return { entries, byKey: new Map(entries.filter(e => e.key).map(e => [e.key, e])) };
+}
+
+// Ranked matches for q over Strong's number, lemma, transliteration and definition
+export function searchLexicon(index, { q, language }) {
+  const lang = normalizeLanguage(language);
+  const pool = lang ? index.entries.filter(e => e.lang === lang) : index.entries;
+  const needle = foldText(q);
+  if (!needle) return pool.map(e => e.row);
+
+  const strongKey = normalizeStrong(q, language);
+  const wordRe = new RegExp(`(^|[^\\p{L}])${needle.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^\\p{L}])`, "u");
+  const scored = [];
+  for (const e of pool) {
+    let score = 0;
+    if (strongKey && e.key === strongKey) score = 100;
+    else if (e.lemma === needle || e.translit === needle) score = 80;
+    else if (e.lemma.startsWith(needle) || e.translit.startsWith(needle)) score = 60;
+    else if (e.lemma.includes(needle) || e.translit.includes(needle)) score = 40;
+    else if (wordRe.test(e.definition)) score = 30;
+    else if (e.definition.includes(needle)) score = 10;
+    if (score) scored.push({ score, e });
+  }
+  scored.sort((a, b) => b.score - a.score || a.e.lemma.length - b.e.lemma.length);
+  return scored.map(s => ({ ...s.e.row, score: s.score }));
+}
+
+// Entries in the same language sharing the root (when the lexicon has one) or the
+// leading letters of the lemma: ἀγαπάω -> ἀγάπη, ἀγαπητός
+export function relatedEntries(index, key) {
+  const self = index.byKey.get(key);
+  if (!self) return null;
+  const stem = self.lemma.length > 4 ? self.lemma.slice(0, self.lemma.length - 2) : self.lemma.slice(0, 3);
+  const related = index.entries.filter(e =>
+    e !== self &&
+    e.lang === self.lang &&
+    ((self.root && e.root === self.root) || (stem && e.lemma.startsWith(stem)))
+  );
+  return { entry: self.row, stem, related: related.map(e => e.row) };
+}
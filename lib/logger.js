@@ -0,0 +1,56 @@
+// lib/logger.js
+// Structured logs: one JSON object per line on stdout,
+//   {"time":"...","level":"info","msg":"request","reqId":"...","status":200,...}
+// LOG_LEVEL (error, warn, info, debug; silent for none) sets the threshold. Code
+// running for a request (route, helper or query hook) is inside requestContext, so
+// its lines carry the request id without passing `req` around.
+import { AsyncLocalStorage } from "async_hooks";
+
+export const LOG_LEVELS = { debug: 20, info: 30, warn: 40, error: 50, silent: Infinity };
+
+// Store for the request being served: { id, sqlQueries, sqlSeconds, sources: Set }
+export const requestContext = new AsyncLocalStorage();
+
+function errorFields(e) {
+  return { name: e.name, message: e.message, ...(e.code ? { code: e.code } : {}), stack: e.stack };
+}
+
+// fields: an object of extra keys, or an Error (logged as `err`)
+function toFields(fields) {
+  if (fields instanceof Error) return { err: errorFields(fields) };
+  if (fields === undefined || fields === null) return {};
+  if (typeof fields !== "object") return { detail: fields };
+  const out = {};
+  for (const [k, v] of Object.entries(fields)) out[k] = v instanceof Error ? errorFields(v) : v;
+  return out;
+}
+
+export function createLogger({ level = "info", base = {}, write = line => process.stdout.write(line + "\n") } = {}) {
+  const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+  function emit(lvl, msg, fields) {
+    if (LOG_LEVELS[lvl] < threshold) return;
+    const ctx = requestContext.getStore();
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...base, ...(ctx ? { reqId: ctx.id } : {}), ...toFields(fields) };
+    let line;
+    try {
+      line = JSON.stringify(entry);
+    } catch {
+      line = JSON.stringify({ time: entry.time, level: lvl, msg, ...(ctx ? { reqId: ctx.id } : {}), detail: "unserializable fields" });
+    }
+    write(line);
+  }
+
+  return {
+    level: LOG_LEVELS[level] === undefined ? "info" : level,
+    enabled: lvl => LOG_LEVELS[lvl] >= threshold,
+    debug: (msg, fields) => emit("debug", msg, fields),
+    info: (msg, fields) => emit("info", msg, fields),
+    warn: (msg, fields) => emit("warn", msg, fields),
+    error: (msg, fields) => emit("error", msg, fields),
+    child: fields => createLogger({ level, base: { ...base, ...fields }, write })
+  };
+}
+
+// Shared logger for the server and lib/ modules
+export const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
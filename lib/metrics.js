@@ -0,0 +1,98 @@
+// lib/metrics.js
+// A small Prometheus registry (counters and histograms with labels, rendered in the
+// text exposition format for GET /metrics) and the query hook that times every
+// statement run through the sqlite handle.
+
+const escapeLabel = v => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelText(names, values, extra = "") {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+const formatNumber = n => (n === Infinity ? "+Inf" : String(n));
+
+export const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+export const SQL_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+export function createRegistry() {
+  const metrics = [];
+
+  // series keyed by label values in labelNames order
+  function series(labelNames, labels = {}) {
+    const values = labelNames.map(n => (labels[n] === undefined ? "" : labels[n]));
+    return { key: JSON.stringify(values), values };
+  }
+
+  return {
+    // collect: optional () => [[labels, value]], read at render time (values kept elsewhere)
+    counter(name, help, labelNames = [], collect = null) {
+      const data = new Map();
+      const metric = {
+        inc(labels, n = 1) {
+          const { key, values } = series(labelNames, labels);
+          const e = data.get(key) || data.set(key, { values, value: 0 }).get(key);
+          e.value += n;
+        },
+        render() {
+          const rows = collect ? collect().map(([labels, value]) => ({ ...series(labelNames, labels), value })) : [...data.values()];
+          return [`# HELP ${name} ${help}`, `# TYPE ${name} counter`, ...rows.map(e => `${name}${labelText(labelNames, e.values)} ${formatNumber(e.value)}`)];
+        }
+      };
+      metrics.push(metric);
+      return metric;
+    },
+
+    histogram(name, help, labelNames = [], buckets = HTTP_BUCKETS) {
+      const data = new Map();
+      const metric = {
+        observe(labels, value) {
+          const { key, values } = series(labelNames, labels);
+          let e = data.get(key);
+          if (!e) data.set(key, (e = { values, counts: buckets.map(() => 0), sum: 0, count: 0 }));
+          for (let i = 0; i < buckets.length; i++) if (value <= buckets[i]) e.counts[i]++;
+          e.sum += value;
+          e.count++;
+        },
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          for (const e of data.values()) {
+            buckets.forEach((b, i) => lines.push(`${name}_bucket${labelText(labelNames, e.values, `le="${formatNumber(b)}"`)} ${e.counts[i]}`));
+            lines.push(`${name}_bucket${labelText(labelNames, e.values, 'le="+Inf"')} ${e.count}`);
+            lines.push(`${name}_sum${labelText(labelNames, e.values)} ${e.sum}`);
+            lines.push(`${name}_count${labelText(labelNames, e.values)} ${e.count}`);
+          }
+          return lines;
+        }
+      };
+      metrics.push(metric);
+      return metric;
+    },
+
+    render() {
+      return metrics.flatMap(m => m.render()).join("\n") + "\n";
+    }
+  };
+}
+
+// Wrap db.all/get/run/exec so onQuery({ method, sql, seconds, error }) sees every
+// statement, including the ones lib/ modules run on the same handle
+export function instrumentDb(db, onQuery) {
+  for (const method of ["all", "get", "run", "exec"]) {
+    const fn = db[method].bind(db);
+    db[method] = async (sql, ...params) => {
+      const started = process.hrtime.bigint();
+      let error = null;
+      try {
+        return await fn(sql, ...params);
+      } catch (e) {
+        error = e;
+        throw e;
+      } finally {
+        onQuery({ method, sql: String(sql), seconds: Number(process.hrtime.bigint() - started) / 1e9, error });
+      }
+    };
+  }
+  return db;
+}
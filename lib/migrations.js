@@ -0,0 +1,312 @@
+// lib/migrations.js
+// Versioned schema changes for the main DB, plus the startup schema check.
+//
+// books and verses hold the Bible text and are loaded by import_bible.js; they are
+// required, never created here. Everything the server builds on top of them (the
+// verses_api / verses_with_book views, lookup indexes, the comments table) comes from
+// MIGRATIONS. Applied versions are recorded in schema_migrations; each migration runs
+// once, in its own transaction, and is written so it also works on DBs that already
+// got part of the change by hand (IF NOT EXISTS, add-column-if-missing).
+
+export class SchemaError extends Error {
+  constructor(message, problems) {
+    super(message);
+    this.name = "SchemaError";
+    this.problems = problems;
+  }
+}
+
+async function columnsOf(db, table, schema = "main") {
+  return (await db.all(`PRAGMA ${schema}.table_info("${table}")`)).map(c => c.name);
+}
+
+async function addColumns(db, table, columns) {
+  const have = new Set(await columnsOf(db, table));
+  for (const [name, type] of columns) {
+    if (!have.has(name)) await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "verse views and lookup index",
+    up: async db => {
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_verses_ref ON verses (book_id, chapter, verse)`);
+      await db.exec(`CREATE VIEW IF NOT EXISTS verses_api AS SELECT id, book_id, chapter, verse, text_plain, text_plain AS text FROM verses`);
+      await db.exec(
+        `CREATE VIEW IF NOT EXISTS verses_with_book AS
+         SELECT v.id, v.book_id, b.name AS book, v.chapter, v.verse, v.text_plain, v.text_plain AS text
+         FROM verses v JOIN books b ON b.book_id = v.book_id`
+      );
+    }
+  },
+  {
+    version: 2,
+    name: "comments table",
+    up: async db => {
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS comments (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           book TEXT NOT NULL,
+           chapter INTEGER NOT NULL,
+           verse INTEGER NOT NULL,
+           author TEXT,
+           body TEXT NOT NULL,
+           created_at TEXT DEFAULT CURRENT_TIMESTAMP
+         )`
+      );
+      // older hand-made tables lack created_at; ADD COLUMN can't default to CURRENT_TIMESTAMP
+      if (!(await columnsOf(db, "comments")).includes("created_at")) {
+        await db.exec(`ALTER TABLE comments ADD COLUMN created_at TEXT`);
+        await db.exec(`UPDATE comments SET created_at = CURRENT_TIMESTAMP`);
+      }
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_comments_verse ON comments (book, chapter, verse)`);
+    }
+  },
+  {
+    version: 3,
+    name: "comment threads, moderation and edit tokens",
+    up: async db => {
+      await addColumns(db, "comments", [
+        ["parent_id", "INTEGER"],
+        ["status", "TEXT NOT NULL DEFAULT 'approved'"],
+        ["edit_token_hash", "TEXT"],
+        ["updated_at", "TEXT"],
+        ["ip", "TEXT"]
+      ]);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments (parent_id)`);
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_comments_status ON comments (status, created_at)`);
+    }
+  },
+  {
+    version: 4,
+    name: "comment verse ranges",
+    up: async db => {
+      await addColumns(db, "comments", [["verse_end", "INTEGER"]]);
+    }
+  },
+  {
+    version: 5,
+    name: "reading plans and progress",
+    up: async db => {
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS reading_plans (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           slug TEXT NOT NULL UNIQUE,
+           name TEXT NOT NULL,
+           description TEXT,
+           builtin INTEGER NOT NULL DEFAULT 0,
+           days INTEGER NOT NULL,
+           created_at TEXT DEFAULT CURRENT_TIMESTAMP
+         )`
+      );
+      // passages: JSON [{ bookId, startChapter, endChapter }]
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS reading_plan_days (
+           plan_id INTEGER NOT NULL REFERENCES reading_plans (id) ON DELETE CASCADE,
+           day INTEGER NOT NULL,
+           passages TEXT NOT NULL,
+           verses INTEGER NOT NULL DEFAULT 0,
+           PRIMARY KEY (plan_id, day)
+         )`
+      );
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS reading_progress (
+           plan_id INTEGER NOT NULL REFERENCES reading_plans (id) ON DELETE CASCADE,
+           user_key_hash TEXT NOT NULL,
+           day INTEGER NOT NULL,
+           completed_at TEXT NOT NULL,
+           PRIMARY KEY (plan_id, user_key_hash, day)
+         )`
+      );
+    }
+  },
+  {
+    version: 6,
+    name: "user bookmarks, highlights and notes",
+    up: async db => {
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS annotations (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           user_key_hash TEXT NOT NULL,
+           kind TEXT NOT NULL,
+           book TEXT NOT NULL,
+           chapter INTEGER NOT NULL,
+           verse INTEGER,
+           verse_end INTEGER,
+           color TEXT,
+           body TEXT,
+           created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+           updated_at TEXT
+         )`
+      );
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_annotations_user ON annotations (user_key_hash, kind, book, chapter)`);
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS annotation_tags (
+           annotation_id INTEGER NOT NULL REFERENCES annotations (id) ON DELETE CASCADE,
+           tag TEXT NOT NULL,
+           PRIMARY KEY (annotation_id, tag)
+         )`
+      );
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_annotation_tags_tag ON annotation_tags (tag)`);
+    }
+  },
+  {
+    version: 7,
+    name: "cross references",
+    up: async db => {
+      // from/to are verse ranges inside one book; a null verse covers the whole chapter
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS cross_references (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           from_book_id INTEGER NOT NULL,
+           from_chapter INTEGER NOT NULL,
+           from_verse INTEGER,
+           from_end_chapter INTEGER NOT NULL,
+           from_end_verse INTEGER,
+           to_book_id INTEGER NOT NULL,
+           to_chapter INTEGER NOT NULL,
+           to_verse INTEGER,
+           to_end_chapter INTEGER NOT NULL,
+           to_end_verse INTEGER,
+           votes INTEGER NOT NULL DEFAULT 0
+         )`
+      );
+      await db.exec(`CREATE INDEX IF NOT EXISTS idx_cross_references_from ON cross_references (from_book_id, from_chapter, from_verse)`);
+      await db.exec(
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_cross_references_pair ON cross_references (
+           from_book_id, from_chapter, IFNULL(from_verse, 0), from_end_chapter, IFNULL(from_end_verse, 0),
+           to_book_id, to_chapter, IFNULL(to_verse, 0), to_end_chapter, IFNULL(to_end_verse, 0))`
+      );
+    }
+  },
+  {
+    version: 8,
+    name: "verse of the day list",
+    up: async db => {
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS votd_verses (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           book_id INTEGER NOT NULL,
+           chapter INTEGER NOT NULL,
+           verse INTEGER NOT NULL,
+           verse_end INTEGER,
+           added_at TEXT DEFAULT CURRENT_TIMESTAMP
+         )`
+      );
+    }
+  },
+  {
+    version: 9,
+    name: "API keys and daily usage",
+    up: async db => {
+      // scopes: space-separated; origins: JSON array, NULL = any; limits NULL = server default
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS api_keys (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           key_hash TEXT NOT NULL UNIQUE,
+           prefix TEXT NOT NULL,
+           name TEXT NOT NULL,
+           scopes TEXT NOT NULL,
+           rate_limit INTEGER,
+           daily_quota INTEGER,
+           origins TEXT,
+           created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+           revoked_at TEXT,
+           last_used_at TEXT
+         )`
+      );
+      await db.exec(
+        `CREATE TABLE IF NOT EXISTS api_key_usage (
+           key_id INTEGER NOT NULL,
+           day TEXT NOT NULL,
+           requests INTEGER NOT NULL DEFAULT 0,
+           limited INTEGER NOT NULL DEFAULT 0,
+           PRIMARY KEY (key_id, day)
+         )`
+      );
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Highest applied version (0 for a DB that has never been migrated)
+export async function schemaVersion(db) {
+  await db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at TEXT)`);
+  const row = await db.get(`SELECT MAX(version) AS v FROM schema_migrations`);
+  return row.v || 0;
+}
+
+// Apply pending migrations in order. Returns [{ version, name }] of what ran.
+export async function migrate(db) {
+  const current = await schemaVersion(db);
+  if (current > SCHEMA_VERSION) {
+    throw new SchemaError(`Database schema version ${current} is newer than this server (${SCHEMA_VERSION}); update the server`, []);
+  }
+  const applied = [];
+  for (const m of MIGRATIONS.filter(m => m.version > current)) {
+    await db.exec("BEGIN");
+    try {
+      await m.up(db);
+      await db.run(`INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)`, [m.version, m.name, new Date().toISOString()]);
+      await db.exec("COMMIT");
+    } catch (e) {
+      await db.exec("ROLLBACK");
+      throw new SchemaError(`Migration ${m.version} (${m.name}) failed: ${e.message}`, []);
+    }
+    applied.push({ version: m.version, name: m.name });
+  }
+  return applied;
+}
+
+// Tables the server can't run without, and the columns its queries use
+const REQUIRED = {
+  books: ["book_id", "code", "name"],
+  verses: ["id", "book_id", "chapter", "verse", "text_plain"]
+};
+const AFTER_MIGRATIONS = {
+  comments: ["id", "book", "chapter", "verse", "verse_end", "author", "body", "parent_id", "status", "edit_token_hash", "created_at", "updated_at", "ip"],
+  reading_plans: ["id", "slug", "name", "description", "builtin", "days", "created_at"],
+  reading_plan_days: ["plan_id", "day", "passages", "verses"],
+  reading_progress: ["plan_id", "user_key_hash", "day", "completed_at"],
+  annotations: ["id", "user_key_hash", "kind", "book", "chapter", "verse", "verse_end", "color", "body", "created_at", "updated_at"],
+  annotation_tags: ["annotation_id", "tag"],
+  cross_references: ["from_book_id", "from_chapter", "from_verse", "from_end_chapter", "from_end_verse", "to_book_id", "to_chapter", "to_verse", "to_end_chapter", "to_end_verse", "votes"],
+  votd_verses: ["id", "book_id", "chapter", "verse", "verse_end", "added_at"],
+  api_keys: ["id", "key_hash", "prefix", "name", "scopes", "rate_limit", "daily_quota", "origins", "created_at", "revoked_at", "last_used_at"],
+  api_key_usage: ["key_id", "day", "requests", "limited"]
+};
+// Only some routes need these; missing ones are warnings
+const OPTIONAL = {
+  tokens: ["id", "verse_id", "word_index", "surface", "strong"],
+  lexicon: ["strong", "language", "lemma", "transliteration", "definition"]
+};
+
+async function missingColumns(db, schema, table, wanted) {
+  const have = await columnsOf(db, table, schema);
+  if (!have.length) return [`${schema}.${table}: table missing`];
+  const lacking = wanted.filter(c => !have.includes(c));
+  return lacking.length ? [`${schema}.${table}: missing column(s) ${lacking.join(", ")}`] : [];
+}
+
+// Check the tables/columns the routes rely on. `stage` "data" checks only what must
+// exist before migrating; "full" also checks what migrations create and every
+// translation's verses table. Returns { errors, warnings } as readable strings.
+export async function checkSchema(db, { stage = "full", translations = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  for (const [table, cols] of Object.entries(REQUIRED)) errors.push(...await missingColumns(db, "main", table, cols));
+  if (stage === "data") return { errors, warnings };
+
+  for (const [table, cols] of Object.entries(AFTER_MIGRATIONS)) errors.push(...await missingColumns(db, "main", table, cols));
+  for (const [table, cols] of Object.entries(OPTIONAL)) warnings.push(...await missingColumns(db, "main", table, cols));
+  for (const tr of translations) {
+    if (tr.schema === "main" && tr.prefix === "") continue;
+    errors.push(...(await missingColumns(db, tr.schema, `${tr.prefix}verses`, REQUIRED.verses)).map(p => `translation ${tr.code}: ${p}`));
+  }
+  const empty = await db.get(`SELECT NOT EXISTS (SELECT 1 FROM verses) AS empty`).catch(() => null);
+  if (empty && empty.empty) warnings.push("main.verses is empty (load a Bible with import_bible.js)");
+  return { errors, warnings };
+}
@@ -0,0 +1,288 @@
+// lib/openapi.js
+// The API description (OpenAPI 3.0, served at /api/openapi.json) and the request
+// validation built from it: path and query parameters are checked against their
+// schemas before a route runs, so "/api/verses/john/abc" is a 400 instead of an
+// empty result. Operations are listed compactly below and expanded into the
+// document; an Express optional segment ("{/:verse}") becomes one path per form.
+// Only the parameter shape is checked here; whether a book or version exists is
+// still up to the route (404).
+
+// --- parameters ---
+const pathParam = (name, schema, description) => ({ name, in: "path", required: true, description, schema });
+const queryParam = (name, schema, description, required = false) => ({ name, in: "query", required, description, schema });
+const integer = (minimum = 1) => ({ type: "integer", minimum });
+const string = { type: "string" };
+const flag = { type: "boolean" }; // 1/0/true/false on the wire
+
+const P = {
+  bookId: pathParam("bookId", string, "Book id, name, OSIS code or abbreviation"),
+  chapter: pathParam("chapter", integer(), "Chapter number"),
+  verse: pathParam("verse", integer(), "Verse number"),
+  strong: pathParam("strong", string, "Strong's number (G25, H7225, or digits with ?language=)"),
+  id: pathParam("id", integer(), "Row id"),
+  slug: pathParam("slug", string, "Plan slug"),
+  day: pathParam("day", integer(), "Plan day"),
+  kind: pathParam("kind", string, "bookmarks, highlights or notes"),
+  version: queryParam("version", string, "Translation code (see /api/translations); default translation when absent"),
+  versification: queryParam("versification", string, "Numbering of chapter/verse in the request and response (english, hebrew, lxx, vulgate)"),
+  limit: queryParam("limit", integer(), "Page size (clamped to the route's maximum)"),
+  offset: queryParam("offset", integer(0), "Rows to skip"),
+  step: queryParam("step", integer(), "Distance of prev/next, default 1"),
+  language: queryParam("language", string, "greek or hebrew, for bare Strong's numbers"),
+  download: queryParam("download", flag, "Send as an attachment"),
+  user: queryParam("user", string, "User key, when the x-user-key header can't be sent")
+};
+const PAGING = [P.limit, P.offset];
+const SCOPE = [
+  queryParam("book", string, "Only this book"),
+  queryParam("from", string, "First book of a range"),
+  queryParam("to", string, "Last book of a range"),
+  queryParam("testament", string, "OT or NT"),
+  queryParam("group", string, "Canon group (ot, nt, torah, ...)"),
+  queryParam("chapterFrom", integer(), "First chapter (with book)"),
+  queryParam("chapterTo", integer(), "Last chapter (with book)")
+];
+
+// --- operations ---
+// [method, Express-style path, summary, parameters, options]
+// options: plain (text/plain), created (201), body (JSON request body), admin, userKey,
+// scope (API key scope needed, default "read"; admin routes need "admin"), public (no key ever)
+const OPERATIONS = [
+  ["get", "/", "Health check and pointer to this document", [], { public: true }],
+  ["get", "/api/openapi.json", "This document", [], { public: true }],
+  ["get", "/metrics", "Prometheus metrics (text exposition format)", [], { admin: true, produces: "text/plain" }],
+  ["get", "/api/translations", "Translations (codes for ?version=)", []],
+  ["get", "/api/books", "Books in canon order", []],
+  ["get", "/api/chapters/:bookId", "Chapter numbers of a book", [P.bookId, P.version]],
+  ["get", "/api/verses/:bookId/:chapter", "Verses of a chapter", [P.bookId, P.chapter, P.version, P.versification]],
+  ["get", "/api/verses/:bookId", "Chapter numbers of a book", [P.bookId, P.version]],
+  ["get", "/api/verses/plain/:bookId/:chapter", "Chapter as plain text, one verse per line", [P.bookId, P.chapter, P.version, P.versification], { plain: true }],
+  ["get", "/api/verse/plain/:bookId/:chapter/:verse", "One verse as plain text", [P.bookId, P.chapter, P.verse, P.version, P.versification], { plain: true }],
+  ["get", "/api/passage", "Passages for a free-form reference (\"Jn 3:16-18; Rom 8\")", [queryParam("ref", string, "Reference", true), P.version, P.versification]],
+  ["get", "/api/passage/plain", "Passages as plain text", [queryParam("ref", string, "Reference", true), P.version, P.versification], { plain: true }],
+  ["get", "/api/versification", "Supported versification schemes", []],
+  ["get", "/api/versification/map", "Map a reference between versification schemes", [queryParam("ref", string, "Reference", true), queryParam("from", string, "Scheme of ref", true), queryParam("to", string, "Target scheme, default the stored one")]],
+  ["get", "/api/export/:bookId{/:chapter{/:verse}}", "Export a book, chapter or verse (usfm, osis, markdown, html, csv, tsv)", [P.bookId, P.chapter, P.verse, queryParam("format", string, "Export format; otherwise from the Accept header"), P.version, P.download], { produces: "*/*" }],
+  ["get", "/api/parallel/:bookId/:chapter", "A chapter in several translations side by side", [P.bookId, P.chapter, queryParam("versions", string, "Comma-separated translation codes")]],
+  ["get", "/api/parallel/plain/:bookId/:chapter", "Parallel chapter as plain text", [P.bookId, P.chapter, queryParam("versions", string, "Comma-separated translation codes")], { plain: true }],
+  ["get", "/api/crossrefs/:bookId/:chapter{/:verse}", "Cross-references of a verse, or of every verse in a chapter", [P.bookId, P.chapter, P.verse, queryParam("minVotes", { type: "integer" }, "Drop references with fewer votes"), queryParam("text", flag, "Include target text (default 1)"), queryParam("limit", integer(), "Per verse"), P.version]],
+  ["get", "/api/votd", "Verse of the day", [queryParam("date", { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" }, "YYYY-MM-DD, default today"), queryParam("tz", string, "IANA time zone for today"), queryParam("source", { type: "string", enum: ["curated", "all"] }, "Pick from the curated list or every verse"), P.version]],
+  ["get", "/api/votd/plain", "Verse of the day as plain text", [queryParam("date", { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" }, "YYYY-MM-DD, default today"), queryParam("tz", string, "IANA time zone for today"), queryParam("source", { type: "string", enum: ["curated", "all"] }, "Pick from the curated list or every verse"), P.version], { plain: true }],
+  ["get", "/api/random", "Random verse; the same seed gives the same verse", [queryParam("seed", string, "Seed, echoed back"), ...SCOPE, P.version]],
+  ["get", "/api/random/plain", "Random verse as plain text", [queryParam("seed", string, "Seed"), ...SCOPE, P.version], { plain: true }],
+  ["get", "/api/admin/votd", "Curated verse of the day list", [], { admin: true }],
+  ["post", "/api/admin/votd", "Add a verse to the curated list", [], { admin: true, body: "{ ref }", created: true }],
+  ["delete", "/api/admin/votd/:id", "Remove a verse from the curated list", [P.id], { admin: true }],
+  ["get", "/api/outline", "Books, chapters and verse counts", [P.version]],
+  ["get", "/api/nav/book/:bookId", "Previous and next book", [P.bookId, P.step, P.version]],
+  ["get", "/api/nav/chapter/:bookId/:chapter", "Previous and next chapter", [P.bookId, P.chapter, P.step, P.version]],
+  ["get", "/api/nav/verse/:bookId/:chapter/:verse", "Previous and next verse", [P.bookId, P.chapter, P.verse, P.step, P.version]],
+  ["get", "/api/search", "Full-text search (words, \"phrases\", OR, NOT, prefix*)", [queryParam("q", string, "Query"), ...SCOPE, ...PAGING, P.version]],
+  ["get", "/api/search/plain", "Search results as plain text; words and phrases match as case-insensitive substrings", [queryParam("q", string, "Query (same syntax as /api/search)"), queryParam("exact", flag, "Whole words only"), ...SCOPE, ...PAGING, P.version], { plain: true }],
+  ["get", "/api/admin/index", "Full-text index status", [], { admin: true }],
+  ["post", "/api/admin/index/rebuild", "Rebuild the full-text index", [P.version], { admin: true }],
+  ["get", "/api/admin/cache", "Response cache statistics", [], { admin: true }],
+  ["delete", "/api/admin/cache", "Clear the response cache", [], { admin: true }],
+  ["get", "/api/tokens/:verseId", "Original-language tokens of a verse", [pathParam("verseId", integer(), "Verse row id")]],
+  ["get", "/api/lexicon", "Search the lexicon", [queryParam("q", string, "Word, gloss or Strong's number"), P.language, ...PAGING]],
+  ["get", "/api/lexicon/:strong", "Lexicon entry", [P.strong, P.language]],
+  ["get", "/api/lexicon/:strong/related", "Entries related to a lexicon entry", [P.strong, P.language]],
+  ["get", "/api/interlinear/:bookId/:chapter/:verse", "Interlinear verse", [P.bookId, P.chapter, P.verse, P.version]],
+  ["get", "/api/interlinear/:bookId/:chapter", "Interlinear chapter", [P.bookId, P.chapter, P.version]],
+  ["get", "/api/concordance/:strong", "Verses containing a Strong's number", [P.strong, P.language, ...PAGING, P.version]],
+  ["get", "/api/concordance/plain/:strong", "Concordance as plain text", [P.strong, P.language, ...PAGING, P.version], { plain: true }],
+  ["get", "/api/comments", "Comments on a verse", [queryParam("bookId", string, "Book", true), queryParam("chapter", integer(), "Chapter", true), queryParam("verse", integer(), "Verse", true), queryParam("thread", flag, "Nest replies")]],
+  ["post", "/api/comments", "Post a comment; the response carries its edit token", [], { body: "{ bookId, chapter, verse, verseEnd, author, body, parentId }", scope: "comment" }],
+  ["get", "/api/comments/counts/:bookId/:chapter", "Comment counts per verse of a chapter", [P.bookId, P.chapter]],
+  ["get", "/api/comments/recent", "Latest comments", [queryParam("bookId", string, "Only this book"), ...PAGING]],
+  ["patch", "/api/comments/:id", "Edit a comment (x-comment-token)", [P.id], { body: "{ body, editToken }", scope: "comment" }],
+  ["delete", "/api/comments/:id", "Delete a comment (x-comment-token)", [P.id], { scope: "comment" }],
+  ["get", "/api/admin/comments", "Comments by moderation status", [queryParam("status", string, "pending (default), approved, hidden or deleted"), ...PAGING], { admin: true }],
+  ["patch", "/api/admin/comments/:id", "Moderate a comment", [P.id], { admin: true, body: "{ status }" }],
+  ["get", "/api/admin/keys", "API keys with today's usage", [], { admin: true }],
+  ["post", "/api/admin/keys", "Create an API key; the response is the only time the key is shown", [], { admin: true, body: "{ name, scopes, rateLimit, dailyQuota, origins }", created: true }],
+  ["get", "/api/admin/keys/:id", "API key with daily usage", [P.id, queryParam("days", integer(), "Days of usage history, default 30")], { admin: true }],
+  ["patch", "/api/admin/keys/:id", "Change an API key's name, scopes, limits or origins", [P.id], { admin: true, body: "{ name, scopes, rateLimit, dailyQuota, origins }" }],
+  ["delete", "/api/admin/keys/:id", "Revoke an API key", [P.id], { admin: true }],
+  ["get", "/api/plans", "Built-in reading plans", []],
+  ["post", "/api/plans", "Create a custom reading plan", [], { body: "{ name, description, days, refs }", created: true }],
+  ["get", "/api/plans/:slug", "Reading plan and its schedule", [P.slug]],
+  ["get", "/api/plans/:slug/days/:day", "Passages of one plan day", [P.slug, P.day, P.version, P.user]],
+  ["get", "/api/plans/:slug/progress", "Days completed", [P.slug, P.user], { userKey: true }],
+  ["put", "/api/plans/:slug/progress/:day", "Mark a day completed", [P.slug, P.day, P.user], { userKey: true }],
+  ["delete", "/api/plans/:slug/progress{/:day}", "Clear one day, or all progress", [P.slug, P.day, P.user], { userKey: true }],
+  ["get", "/api/me/tags", "Tags in use with counts", [P.user], { userKey: true }],
+  ["get", "/api/me/export", "All bookmarks, highlights and notes", [queryParam("bookId", string, "Only this book"), queryParam("chapter", integer(), "Only this chapter"), queryParam("tag", string, "Only this tag"), P.download, P.user], { userKey: true }],
+  ["get", "/api/me/:kind", "Bookmarks, highlights or notes", [P.kind, queryParam("bookId", string, "Only this book"), queryParam("chapter", integer(), "Only this chapter"), queryParam("tag", string, "Only this tag"), queryParam("sort", { type: "string", enum: ["created", "ref"] }, "Newest first (default) or canon order"), ...PAGING, P.user], { userKey: true }],
+  ["post", "/api/me/:kind", "Save a bookmark, highlight or note", [P.kind, P.user], { userKey: true, body: "{ bookId, chapter, verse, verseEnd, color, body, tags }", created: true }],
+  ["get", "/api/me/:kind/:id", "One bookmark, highlight or note", [P.kind, P.id, P.user], { userKey: true }],
+  ["patch", "/api/me/:kind/:id", "Update a bookmark, highlight or note", [P.kind, P.id, P.user], { userKey: true, body: "{ verseEnd, color, body, tags }" }],
+  ["delete", "/api/me/:kind/:id", "Delete a bookmark, highlight or note", [P.kind, P.id, P.user], { userKey: true }]
+];
+
+// "/a/:x{/:y{/:z}}" -> ["/a/:x", "/a/:x/:y", "/a/:x/:y/:z"]
+function expandOptional(route) {
+  const i = route.indexOf("{");
+  if (i < 0) return [route];
+  const base = route.slice(0, i);
+  const rest = route.slice(i + 1, route.lastIndexOf("}"));
+  return [base, ...expandOptional(rest).map(r => base + r)];
+}
+
+const toTemplate = route => route.replace(/:(\w+)/g, "{$1}");
+const pathNames = route => [...route.matchAll(/:(\w+)/g)].map(m => m[1]);
+
+// One entry per concrete path: { method, route, template, parameters, ...options }
+function concreteOperations() {
+  const out = [];
+  for (const [method, route, summary, params, options = {}] of OPERATIONS) {
+    for (const r of expandOptional(route)) {
+      const names = pathNames(r);
+      const parameters = params.filter(p => p.in !== "path" || names.includes(p.name));
+      out.push({ method, route: r, template: toTemplate(r), summary, parameters, ...options, scope: options.admin ? "admin" : options.scope || "read" });
+    }
+  }
+  return out;
+}
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["error"],
+  properties: {
+    error: {
+      type: "object",
+      required: ["code", "message", "details"],
+      properties: {
+        code: { type: "string", example: "not_found" },
+        message: { type: "string", example: "Book not found" },
+        details: { type: "object", additionalProperties: true }
+      }
+    }
+  }
+};
+
+export function buildOpenApi({ title = "Eden Bible API", version = "1.0.0" } = {}) {
+  const paths = {};
+  for (const op of concreteOperations()) {
+    const ok = op.plain
+      ? { "text/plain": { schema: { type: "string" } } }
+      : { [op.produces || "application/json"]: { schema: {} } };
+    const operation = {
+      summary: op.summary,
+      operationId: `${op.method}${op.template.replace(/[{}]/g, "").replace(/[^A-Za-z0-9]+(\w)?/g, (m, c) => (c || "").toUpperCase())}`,
+      parameters: op.parameters,
+      responses: {
+        [op.created ? "201" : "200"]: { description: "OK", content: ok },
+        default: { $ref: op.plain ? "#/components/responses/PlainError" : "#/components/responses/Error" }
+      }
+    };
+    if (op.body) operation.requestBody = { required: true, description: op.body, content: { "application/json": { schema: { type: "object" } } } };
+    // OpenAPI 3.0 has no scopes for apiKey schemes; the one a key needs is x-api-key-scope
+    if (op.public) operation.security = [{}];
+    else if (op.admin) operation.security = [{ adminToken: [] }, { bearer: [] }, { apiKey: [] }, { apiKeyQuery: [] }];
+    else operation.security = [{ apiKey: [] }, { apiKeyQuery: [] }, {}];
+    if (!op.public) operation["x-api-key-scope"] = op.scope;
+    if (op.userKey) operation.description = "Data of the caller's user key (x-user-key header or ?user=)";
+    (paths[op.template] ||= {})[op.method] = operation;
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title,
+      version,
+      description: "Errors on JSON routes are { error: { code, message, details } }; plain-text routes send the message as text with the same status. " +
+        "Partner API keys go in x-api-key or ?api_key=; keyed requests get RateLimit-* headers and 429 past their limits."
+    },
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      responses: {
+        Error: { description: "Error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+        PlainError: { description: "Error message", content: { "text/plain": { schema: { type: "string" } } } }
+      },
+      securitySchemes: {
+        adminToken: { type: "apiKey", in: "header", name: "x-admin-token" },
+        bearer: { type: "http", scheme: "bearer" },
+        apiKey: { type: "apiKey", in: "header", name: "x-api-key", description: "Partner API key; scopes read, comment, admin" },
+        apiKeyQuery: { type: "apiKey", in: "query", name: "api_key" },
+        userKey: { type: "apiKey", in: "header", name: "x-user-key" }
+      }
+    }
+  };
+}
+
+// --- validation ---
+
+// Problem with one raw value against a parameter schema, or null
+function checkValue(raw, schema) {
+  if (Array.isArray(raw)) return "must be given once";
+  const value = String(raw);
+  if (schema.type === "integer") {
+    if (!/^-?\d+$/.test(value)) return "must be a whole number";
+    if (schema.minimum !== undefined && Number(value) < schema.minimum) return `must be at least ${schema.minimum}`;
+  }
+  if (schema.type === "boolean" && !["1", "0", "true", "false"].includes(value)) return "must be 1, 0, true or false";
+  if (schema.enum && !schema.enum.includes(value)) return `must be one of ${schema.enum.join(", ")}`;
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) return `must match ${schema.pattern}`;
+  return null;
+}
+
+// Express middleware: 400 when a path or query parameter of the matched operation is
+// missing or malformed. Paths that match no operation pass through untouched; matched
+// requests get req.apiOperation ({ template, scope, ... }, e.g. template
+// "/api/verses/{bookId}/{chapter}").
+export function validateRequests() {
+  const ops = concreteOperations().map(op => ({
+    ...op,
+    names: pathNames(op.route),
+    regex: new RegExp("^" + op.route.replace(/:\w+/g, "([^/]+)") + "/?$", "i")
+  }));
+  // literal segments win over parameters ("/api/me/tags" before "/api/me/:kind")
+  ops.sort((a, b) => a.names.length - b.names.length);
+
+  return function validate(req, res, next) {
+    const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+    let op, match;
+    for (const o of ops) {
+      if (o.method !== method) continue;
+      match = o.regex.exec(req.path);
+      if (match) {
+        op = o;
+        break;
+      }
+    }
+    if (!op) return next();
+    req.apiOperation = op; // route label for logs and metrics, scope for API keys
+
+    const problems = [];
+    for (const p of op.parameters) {
+      let raw;
+      if (p.in === "path") {
+        try {
+          raw = decodeURIComponent(match[op.names.indexOf(p.name) + 1]);
+        } catch {
+          raw = null;
+        }
+        if (raw === null) {
+          problems.push({ in: "path", name: p.name, message: "is not valid URL encoding" });
+          continue;
+        }
+      } else {
+        raw = req.query[p.name];
+        if (raw === undefined || raw === "") {
+          if (p.required) problems.push({ in: "query", name: p.name, message: "is required" });
+          continue;
+        }
+      }
+      const message = checkValue(raw, p.schema);
+      if (message) problems.push({ in: p.in, name: p.name, message, value: raw });
+    }
+    if (!problems.length) return next();
+
+    const first = problems[0];
+    const message = `Invalid ${first.in} parameter ${first.name}: ${first.message}`;
+    if (op.plain) return res.status(400).type("text/plain").send(message);
+    res.status(400).json({ error: message, code: "invalid_parameter", problems });
+  };
+}
@@ -0,0 +1,103 @@
+// lib/outline.js
+// In-memory outline of one translation: books -> chapters -> verse numbers, in canon
+// order. Navigation (prev/next, stepping by N books, chapters or verses) and chapter
+// listings are answered from it instead of scanning the verses table per request.
+// Positions that aren't in the text (a missing chapter, a verse past the end) still
+// navigate: "next" is the first position after them, "prev" the last one before.
+
+// books = [{ bookId, name, canon }] in order, rows = [{ book_id, chapter, verse }]
+export function buildOutline(books, rows) {
+  const byBook = new Map();
+  for (const r of rows) {
+    const id = String(r.book_id);
+    if (!byBook.has(id)) byBook.set(id, new Map());
+    const chapters = byBook.get(id);
+    const c = Number(r.chapter);
+    if (!chapters.has(c)) chapters.set(c, []);
+    chapters.get(c).push(Number(r.verse));
+  }
+
+  const outline = { books: [], index: new Map(), chapters: [], verses: [] };
+  for (const b of books) {
+    const chapters = byBook.get(b.bookId);
+    if (!chapters) continue; // no text in this translation
+    const bi = outline.books.length;
+    const entry = {
+      bookId: b.bookId,
+      name: b.name,
+      osis: b.canon ? b.canon.osis : null,
+      testament: b.canon ? b.canon.testament : null,
+      chapters: [...chapters.keys()].sort((x, y) => x - y).map(c => ({ chapter: c, verses: [...new Set(chapters.get(c))].sort((x, y) => x - y) }))
+    };
+    outline.books.push(entry);
+    outline.index.set(b.bookId, bi);
+    for (const ch of entry.chapters) {
+      outline.chapters.push([bi, ch.chapter]);
+      for (const v of ch.verses) outline.verses.push([bi, ch.chapter, v]);
+    }
+  }
+  return outline;
+}
+
+export function outlineBook(outline, bookId) {
+  const i = outline.index.get(String(bookId));
+  return i === undefined ? null : outline.books[i];
+}
+
+// Client view: counts instead of verse lists
+export function outlineSummary(outline) {
+  return {
+    books: outline.books.map(b => ({
+      bookId: b.bookId,
+      name: b.name,
+      osis: b.osis,
+      testament: b.testament,
+      chapters: b.chapters.map(c => ({ chapter: c.chapter, verses: c.verses.length })),
+      verseCount: b.chapters.reduce((n, c) => n + c.verses.length, 0)
+    })),
+    chapterCount: outline.chapters.length,
+    verseCount: outline.verses.length
+  };
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] - b[i];
+  return 0;
+}
+
+// { prev, next } positions `n` steps away from `key` in a sorted key list
+function step(list, key, n) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (compareKeys(list[mid], key) < 0) lo = mid + 1;
+    else hi = mid;
+  }
+  const exact = lo < list.length && compareKeys(list[lo], key) === 0;
+  const at = i => (i >= 0 && i < list.length ? list[i] : null);
+  return { prev: at(lo - n), next: at(exact ? lo + n : lo + n - 1) };
+}
+
+// Steps return null when the book isn't in the outline at all
+export function stepBook(outline, bookId, n = 1) {
+  const i = outline.index.get(String(bookId));
+  if (i === undefined) return null;
+  const at = j => (j >= 0 && j < outline.books.length ? outline.books[j] : null);
+  return { prev: at(i - n), next: at(i + n) };
+}
+
+export function stepChapter(outline, bookId, chapter, n = 1) {
+  const bi = outline.index.get(String(bookId));
+  if (bi === undefined) return null;
+  const s = step(outline.chapters, [bi, chapter], n);
+  const out = k => (k ? { bookId: outline.books[k[0]].bookId, chapter: k[1] } : null);
+  return { prev: out(s.prev), next: out(s.next) };
+}
+
+export function stepVerse(outline, bookId, chapter, verse, n = 1) {
+  const bi = outline.index.get(String(bookId));
+  if (bi === undefined) return null;
+  const s = step(outline.verses, [bi, chapter, verse], n);
+  const out = k => (k ? { bookId: outline.books[k[0]].bookId, chapter: k[1], verse: k[2] } : null);
+  return { prev: out(s.prev), next: out(s.next) };
+}
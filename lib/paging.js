@@ -0,0 +1,16 @@
+// lib/paging.js
+// ?limit= / ?offset= handling shared by the list routes.
+
+// Read limit/offset from a query object; bad or missing values fall back to defaults
+export function parsePaging(query, { limit = 50, max = 500 } = {}) {
+  let l = parseInt(query.limit, 10);
+  if (!Number.isFinite(l) || l < 1) l = limit;
+  let o = parseInt(query.offset, 10);
+  if (!Number.isFinite(o) || o < 0) o = 0;
+  return { limit: Math.min(l, max), offset: o };
+}
+
+// Paging block for responses; nextOffset is null on the last page
+export function pageInfo(total, { limit, offset }) {
+  return { total, limit, offset, nextOffset: offset + limit < total ? offset + limit : null };
+}
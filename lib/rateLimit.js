@@ -0,0 +1,30 @@
+// lib/rateLimit.js
+// Fixed-window in-memory rate limiter as express middleware.
+// Good enough for a single process; counters reset on restart.
+
+export function createRateLimiter({ windowMs = 60000, max = 5, key = req => req.ip, message = "Too many requests" } = {}) {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  // drop expired windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [k, w] of hits) if (w.resetAt <= now) hits.delete(k);
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    const k = key(req);
+    let w = hits.get(k);
+    if (!w || w.resetAt <= now) {
+      w = { count: 0, resetAt: now + windowMs };
+      hits.set(k, w);
+    }
+    w.count++;
+    if (w.count > max) {
+      res.set("Retry-After", String(Math.ceil((w.resetAt - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    next();
+  };
+}
@@ -0,0 +1,67 @@
+// lib/readingPlans.js
+// Reading plans: chapters in some order, cut into days of roughly equal length.
+// Length is measured in verses, from the chapter/verse counts actually in the DB,
+// so a plan over a partial Bible still comes out even.
+
+// Book order for the chronological plan (approximate, whole books; Job with the
+// patriarchs, Psalms with David, the prophets with the kings they served under)
+export const CHRONOLOGICAL_ORDER = [
+  "Gen", "Job", "Exod", "Lev", "Num", "Deut", "Josh", "Judg", "Ruth", "1Sam", "2Sam", "1Chr", "Ps",
+  "1Kgs", "Prov", "Eccl", "Song", "2Kgs", "2Chr", "Jonah", "Amos", "Hos", "Isa", "Mic", "Joel", "Nah",
+  "Zeph", "Hab", "Jer", "Lam", "Obad", "Ezek", "Dan", "Ezra", "Hag", "Zech", "Esth", "Neh", "Mal",
+  "Matt", "Mark", "Luke", "John", "Acts", "Jas", "Gal", "1Thess", "2Thess", "1Cor", "2Cor", "Rom",
+  "Eph", "Phil", "Col", "Phlm", "1Tim", "Titus", "1Pet", "2Tim", "2Pet", "Heb", "Jude", "1John",
+  "2John", "3John", "Rev"
+];
+
+export const BUILTIN_PLANS = [
+  { slug: "canonical-year", name: "Bible in a year", description: "Genesis to Revelation in canonical order", days: 365, testament: null, order: "canonical" },
+  { slug: "chronological-year", name: "Chronological Bible in a year", description: "The whole Bible in approximate historical order", days: 365, testament: null, order: "chronological" },
+  { slug: "nt-90", name: "New Testament in 90 days", description: "Matthew to Revelation", days: 90, testament: "NT", order: "canonical" }
+];
+
+// chapters = [{ bookId, canon, chapter, verses }] in canonical order -> the plan's order
+export function orderChapters(chapters, { testament = null, order = "canonical" } = {}) {
+  let list = testament ? chapters.filter(c => c.canon && c.canon.testament === testament) : chapters.slice();
+  if (order === "chronological") {
+    const rank = new Map(CHRONOLOGICAL_ORDER.map((osis, i) => [osis, i]));
+    const pos = c => (c.canon && rank.has(c.canon.osis) ? rank.get(c.canon.osis) : CHRONOLOGICAL_ORDER.length);
+    list = list
+      .map((c, i) => ({ c, i }))
+      .sort((a, b) => pos(a.c) - pos(b.c) || a.i - b.i)
+      .map(x => x.c);
+  }
+  return list;
+}
+
+// Cut ordered chapters into `days` days of about the same number of verses.
+// Every day gets at least one chapter, so short selections give shorter plans.
+// Returns [[{ bookId, startChapter, endChapter }]] (consecutive chapters of a book merged).
+export function splitIntoDays(chapters, days) {
+  const n = Math.min(days, chapters.length);
+  const total = chapters.reduce((sum, c) => sum + c.verses, 0);
+  const out = [];
+  let i = 0, done = 0;
+  for (let d = 1; d <= n; d++) {
+    const target = (total * d) / n;
+    const day = [chapters[i]];
+    done += chapters[i++].verses;
+    // keep adding while under target, leaving at least one chapter per remaining day
+    while (i < chapters.length && chapters.length - i > n - d && (d === n || done + chapters[i].verses / 2 <= target)) {
+      day.push(chapters[i]);
+      done += chapters[i++].verses;
+    }
+    out.push(mergeChapters(day));
+  }
+  return out;
+}
+
+function mergeChapters(list) {
+  const parts = [];
+  for (const c of list) {
+    const last = parts[parts.length - 1];
+    if (last && last.bookId === c.bookId && last.endChapter === c.chapter - 1) last.endChapter = c.chapter;
+    else parts.push({ bookId: c.bookId, startChapter: c.chapter, endChapter: c.chapter });
+  }
+  return parts;
+}
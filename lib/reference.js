@@ -0,0 +1,124 @@
+// lib/reference.js
+// Free-form scripture reference parser.
+// Understands "Jn 3:16", "John 3:16-18", "Gen 1:26-2:3", "Rom 8", "Ps 1-3",
+// "1 Cor 13:4,7; 14:1", "Jn 3:16; Rom 8" and single-chapter books ("Jude 3").
+// The parser only knows about the canon in lib/canon.js; it never touches the DB.
+import { findCanonBook } from "./canon.js";
+
+export class RefParseError extends Error {
+  constructor(message, segment) {
+    super(message);
+    this.name = "RefParseError";
+    this.segment = segment;
+  }
+}
+
+const SINGLE_CHAPTER = new Set(["OBA", "PHM", "2JN", "3JN", "JUD"]);
+
+// "Song of Solomon 2:1" -> book "Song of Solomon", rest "2:1"
+const BOOK_RE = /^\s*((?:[123]\s*)?[a-z][a-z.'\s]*?)\s*(?=\d|$)/i;
+// C, C-C, C:V, C:V-V, C:V-C:V (verse letters like "16a" are accepted and ignored)
+const LOC_RE = /^(\d+)(?::(\d+)[ab]?)?(?:-(\d+)(?::(\d+)[ab]?)?)?$/i;
+
+function normalizeInput(s) {
+  return String(s || "")
+    .replace(/[\u2010-\u2015\u2212]/g, "-") // en/em dashes and friends
+    .replace(/(\d)\s*\.\s*(?=\d)/g, "$1:")  // "John 3.16" -> "John 3:16"
+    .replace(/\s*([:\-])\s*/g, "$1")
+    .trim();
+}
+
+// Parse a reference string into a list of passages:
+//   { book, bookInput, startChapter, startVerse, endChapter, endVerse }
+// book is the canon entry (or null when the name is not a known abbreviation; the
+// caller may still resolve bookInput against the DB). A null startVerse/endVerse
+// means "from the start" / "to the end" of that chapter; a null startChapter means
+// the whole book.
+// Throws RefParseError for anything it cannot read.
+export function parseReference(input) {
+  const text = normalizeInput(input);
+  if (!text) throw new RefParseError("Empty reference", "");
+
+  const passages = [];
+  let ctx = null; // { book, bookInput, chapter, hasVerse } carried across "," and ";"
+
+  // split on ";" first (a new context may start), then on "," (continues the context)
+  for (const group of text.split(";")) {
+    const items = group.split(",").map(s => s.trim());
+    items.forEach((item, i) => {
+      if (!item) throw new RefParseError("Empty item in reference list", group.trim());
+
+      let loc = item;
+      const bm = item.match(BOOK_RE);
+      if (bm && bm[1].trim()) {
+        const bookInput = bm[1].replace(/\s+/g, " ").trim();
+        loc = item.slice(bm[0].length).trim();
+        const book = findCanonBook(bookInput);
+        ctx = { book, bookInput: book ? book.name : bookInput, chapter: null, hasVerse: false };
+        if (!loc) {
+          passages.push({ book, bookInput: ctx.bookInput, startChapter: null, startVerse: null, endChapter: null, endVerse: null });
+          return;
+        }
+      } else if (!ctx) {
+        throw new RefParseError("Reference must start with a book name", item);
+      }
+
+      const m = loc.match(LOC_RE);
+      if (!m) throw new RefParseError(`Cannot read "${item}"`, item);
+      let [, a, b, c, d] = m;
+      a = Number(a);
+      b = b !== undefined ? Number(b) : null;
+      c = c !== undefined ? Number(c) : null;
+      d = d !== undefined ? Number(d) : null;
+
+      const single = ctx.book && SINGLE_CHAPTER.has(ctx.book.code);
+      // After "," a bare number continues the previous unit: "Jn 3:16,18" is a verse,
+      // "Ps 1, 23" is a chapter. Single-chapter books always number verses ("Jude 3").
+      const bareIsVerse = b === null && (single || (i > 0 && ctx.hasVerse && d === null));
+
+      let p;
+      if (bareIsVerse) {
+        const chapter = single ? 1 : ctx.chapter;
+        p = { startChapter: chapter, startVerse: a, endChapter: chapter, endVerse: c !== null ? c : a };
+      } else if (b === null) {
+        // C or C-C (whole chapters); "C-C:V" reads as chapter C to verse V of the second chapter
+        p = { startChapter: a, startVerse: null, endChapter: c !== null ? c : a, endVerse: d };
+      } else if (c === null) {
+        p = { startChapter: a, startVerse: b, endChapter: a, endVerse: b };
+      } else if (d === null) {
+        p = { startChapter: a, startVerse: b, endChapter: a, endVerse: c };
+      } else {
+        p = { startChapter: a, startVerse: b, endChapter: c, endVerse: d };
+      }
+
+      if (p.startChapter < 1 || (p.startVerse !== null && p.startVerse < 1)) {
+        throw new RefParseError(`Chapter and verse numbers start at 1 in "${item}"`, item);
+      }
+      if (p.endChapter < p.startChapter ||
+          (p.endChapter === p.startChapter && p.startVerse !== null && p.endVerse !== null && p.endVerse < p.startVerse)) {
+        throw new RefParseError(`Range runs backwards in "${item}"`, item);
+      }
+
+      ctx.chapter = p.endChapter;
+      ctx.hasVerse = p.endVerse !== null;
+      passages.push({ book: ctx.book, bookInput: ctx.bookInput, ...p });
+    });
+  }
+
+  return passages;
+}
+
+// Human-readable label for a parsed passage, e.g. "John 3:16-18", "Genesis 1:26-2:3", "Romans 8"
+export function formatReference(p, bookName) {
+  const name = bookName || (p.book ? p.book.name : p.bookInput);
+  if (p.startChapter === null) return name;
+  const sc = p.startChapter, ec = p.endChapter;
+  if (p.startVerse === null) {
+    if (p.endVerse !== null) return sc === ec ? `${name} ${sc}:1-${p.endVerse}` : `${name} ${sc}-${ec}:${p.endVerse}`;
+    return sc === ec ? `${name} ${sc}` : `${name} ${sc}-${ec}`;
+  }
+  if (sc !== ec) return `${name} ${sc}:${p.startVerse}-${ec}:${p.endVerse === null ? "end" : p.endVerse}`;
+  if (p.endVerse === null) return `${name} ${sc}:${p.startVerse}-end`;
+  if (p.endVerse === p.startVerse) return `${name} ${sc}:${p.startVerse}`;
+  return `${name} ${sc}:${p.startVerse}-${p.endVerse}`;
+}
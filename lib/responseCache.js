@@ -0,0 +1,122 @@
+// lib/responseCache.js
+// HTTP caching for read-only routes: strong ETags, If-None-Match -> 304, a
+// Cache-Control header per route family, and an in-process LRU of response bodies
+// bounded by total size. ETags and cache entries carry the data version they were
+// made under, so a new version (import, posted comment) never serves old bodies.
+import crypto from "crypto";
+
+// LRU over a Map (insertion order = recency); sizes are in bytes of body
+export function createLruCache({ maxBytes = 32 * 1024 * 1024 } = {}) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, notModified: 0, evictions: 0, clears: 0 };
+  let bytes = 0;
+
+  function drop(key) {
+    const e = entries.get(key);
+    if (!e) return;
+    bytes -= e.size;
+    entries.delete(key);
+  }
+
+  return {
+    get(key) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      entries.delete(key);
+      entries.set(key, e);
+      return e.value;
+    },
+    set(key, value, size) {
+      if (size > maxBytes) return; // would evict everything else
+      drop(key);
+      entries.set(key, { value, size });
+      bytes += size;
+      for (const k of entries.keys()) {
+        if (bytes <= maxBytes) break;
+        drop(k);
+        stats.evictions++;
+      }
+    },
+    clear() {
+      entries.clear();
+      bytes = 0;
+      stats.clears++;
+    },
+    stats,
+    info() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        enabled: maxBytes > 0,
+        maxBytes,
+        bytes,
+        entries: entries.size,
+        ...stats,
+        hitRate: lookups ? Math.round((stats.hits / lookups) * 1000) / 1000 : null
+      };
+    }
+  };
+}
+
+// Query parameters that name the caller rather than the content: left out of the
+// cache key, so every key shares one entry (access is checked before the cache)
+const CALLER_PARAMS = ["api_key"];
+
+function cacheKey(req) {
+  const q = req.originalUrl.indexOf("?");
+  if (q < 0) return req.originalUrl;
+  const params = new URLSearchParams(req.originalUrl.slice(q + 1));
+  if (!CALLER_PARAMS.some(p => params.has(p))) return req.originalUrl;
+  for (const p of CALLER_PARAMS) params.delete(p);
+  const rest = String(params);
+  return rest ? `${req.originalUrl.slice(0, q)}?${rest}` : req.originalUrl.slice(0, q);
+}
+
+// "public, max-age=3600" -> "private, max-age=3600"
+function privateCacheControl(value) {
+  const rest = value.split(",").map(d => d.trim()).filter(d => d && d.toLowerCase() !== "public");
+  return ["private", ...rest].join(", ");
+}
+
+// Express middleware for one route family. dataVersion() -> string (may be async);
+// cacheControl is the header value sent with every GET/HEAD of the family, made
+// private when keyed(req) says the response went to an API key holder, so shared
+// caches don't hand it to callers without one.
+// Only 200 responses sent with res.send/res.json are stored; streamed ones pass through.
+export function cacheResponses(cache, { cacheControl, dataVersion, keyed = () => false }) {
+  return async function responseCache(req, res, next) {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+    const version = await dataVersion();
+    const key = cacheKey(req);
+    if (cacheControl) res.set("Cache-Control", keyed(req) ? privateCacheControl(cacheControl) : cacheControl);
+    res.vary("X-API-Key");
+
+    const hit = cache.get(key);
+    if (hit && hit.version === version) {
+      cache.stats.hits++;
+      res.set("ETag", hit.etag);
+      res.set("X-Cache", "HIT");
+      if (req.fresh) {
+        cache.stats.notModified++;
+        return res.status(304).end();
+      }
+      res.type(hit.type);
+      return res.send(hit.body);
+    }
+    cache.stats.misses++;
+    res.set("X-Cache", "MISS");
+
+    const send = res.send;
+    res.send = function (body) {
+      res.send = send;
+      if (res.statusCode === 200 && (typeof body === "string" || Buffer.isBuffer(body))) {
+        const etag = `"${version}-${crypto.createHash("sha1").update(body).digest("base64url").slice(0, 22)}"`;
+        res.set("ETag", etag);
+        cache.set(key, { version, etag, type: res.get("Content-Type"), body }, Buffer.byteLength(body));
+        // express answers 304 itself when the ETag we just set matches If-None-Match
+        if (req.fresh) cache.stats.notModified++;
+      }
+      return send.call(this, body);
+    };
+    next();
+  };
+}
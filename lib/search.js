@@ -0,0 +1,183 @@
+// lib/search.js
+// Search query syntax shared by /api/search and /api/search/plain.
+//   love world          both words (implicit AND)
+//   "only begotten"     phrase
+//   faith OR hope       either
+//   love NOT hate       first without the second (NOT needs a left-hand side, as in FTS5)
+//   belie*              prefix
+//   (faith OR hope) AND love
+// Operators must be written in capitals; lowercase and/or/not are ordinary words.
+// The query is parsed once and compiled either to an FTS5 MATCH string or to a
+// LIKE-based WHERE clause when no FTS table is available.
+
+export class SearchSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SearchSyntaxError";
+  }
+}
+
+const MAX_TERMS = 32;
+
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+  while (i < q.length) {
+    const ch = q[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === "(" || ch === ")") { tokens.push({ type: ch }); i++; continue; }
+    if (ch === '"') {
+      const end = q.indexOf('"', i + 1);
+      if (end < 0) throw new SearchSyntaxError("Unterminated quote in query");
+      const text = cleanWord(q.slice(i + 1, end), true);
+      if (text) tokens.push({ type: "phrase", text });
+      i = end + 1;
+      continue;
+    }
+    let j = i;
+    while (j < q.length && !/[\s()"]/.test(q[j])) j++;
+    const word = q.slice(i, j);
+    i = j;
+    if (word === "AND" || word === "OR" || word === "NOT") { tokens.push({ type: word }); continue; }
+    const prefix = word.endsWith("*");
+    const text = cleanWord(word, false);
+    if (text) tokens.push({ type: "term", text, prefix });
+  }
+  return tokens;
+}
+
+// keep letters, digits, apostrophes (and spaces inside phrases); lowercase
+function cleanWord(s, keepSpaces) {
+  const re = keepSpaces ? /[^\p{L}\p{N}'\s]+/gu : /[^\p{L}\p{N}']+/gu;
+  return s.replace(re, " ").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+// Parse a user query into an AST:
+//   { type: "term", text, prefix } | { type: "phrase", text }
+//   { type: "and"|"or"|"not", left, right }
+// Throws SearchSyntaxError on malformed input.
+export function parseSearchQuery(q) {
+  const tokens = tokenize(String(q || ""));
+  if (!tokens.some(t => t.type === "term" || t.type === "phrase")) {
+    throw new SearchSyntaxError("Query has no searchable words");
+  }
+  if (tokens.filter(t => t.type === "term" || t.type === "phrase").length > MAX_TERMS) {
+    throw new SearchSyntaxError(`Too many search terms (max ${MAX_TERMS})`);
+  }
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  function primary() {
+    const t = tokens[pos++];
+    if (!t) throw new SearchSyntaxError("Query ends where a word was expected");
+    if (t.type === "term" || t.type === "phrase") return t;
+    if (t.type === "(") {
+      const e = orExpr();
+      if (!peek() || peek().type !== ")") throw new SearchSyntaxError("Missing closing parenthesis");
+      pos++;
+      return e;
+    }
+    if (t.type === "NOT") throw new SearchSyntaxError("NOT needs a word before it, e.g. love NOT hate");
+    throw new SearchSyntaxError(`Unexpected ${t.type} in query`);
+  }
+  function notExpr() {
+    let left = primary();
+    while (peek() && peek().type === "NOT") {
+      pos++;
+      left = { type: "not", left, right: primary() };
+    }
+    return left;
+  }
+  function andExpr() {
+    let left = notExpr();
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") pos++;
+      left = { type: "and", left, right: notExpr() };
+    }
+    return left;
+  }
+  function orExpr() {
+    let left = andExpr();
+    while (peek() && peek().type === "OR") {
+      pos++;
+      left = { type: "or", left, right: andExpr() };
+    }
+    return left;
+  }
+
+  const ast = orExpr();
+  if (pos < tokens.length) throw new SearchSyntaxError(`Unexpected ${tokens[pos].type} in query`);
+  return ast;
+}
+
+// AST -> FTS5 MATCH expression (every word quoted so punctuation can't break it)
+export function toFtsQuery(node) {
+  switch (node.type) {
+    case "term": return `"${node.text.replace(/"/g, '""')}"${node.prefix ? "*" : ""}`;
+    case "phrase": return `"${node.text.replace(/"/g, '""')}"`;
+    case "and": return `(${toFtsQuery(node.left)} AND ${toFtsQuery(node.right)})`;
+    case "or": return `(${toFtsQuery(node.left)} OR ${toFtsQuery(node.right)})`;
+    case "not": return `(${toFtsQuery(node.left)} NOT ${toFtsQuery(node.right)})`;
+  }
+  throw new Error("unknown search node " + node.type);
+}
+
+// AST -> { sql, args } for a WHERE clause. match(node) returns { sql, args } for one
+// term or phrase, so callers decide between substring and whole-word matching.
+export function toWhereClause(node, match) {
+  switch (node.type) {
+    case "term":
+    case "phrase":
+      return match(node);
+    case "and":
+    case "or":
+    case "not": {
+      const l = toWhereClause(node.left, match);
+      const r = toWhereClause(node.right, match);
+      const op = node.type === "or" ? "OR" : node.type === "and" ? "AND" : "AND NOT";
+      return { sql: `(${l.sql} ${op} ${r.sql})`, args: [...l.args, ...r.args] };
+    }
+  }
+  throw new Error("unknown search node " + node.type);
+}
+
+// Words to highlight: every term/phrase that is not on the right of a NOT
+export function positiveTerms(node, out = []) {
+  if (node.type === "term" || node.type === "phrase") out.push(node);
+  else if (node.type === "not") positiveTerms(node.left, out);
+  else { positiveTerms(node.left, out); positiveTerms(node.right, out); }
+  return out;
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Wrap matches of `terms` in open/close markers and cut a window of about `words`
+// words around the first match (used when FTS snippet() is not available).
+export function highlightSnippet(text, terms, { open = "<mark>", close = "</mark>", words = 24, wholeWord = false } = {}) {
+  const s = String(text || "");
+  if (!terms.length) return s;
+  const parts = terms.map(t => {
+    const body = t.text.split(" ").map(escapeRe).join("\\s+");
+    if (t.prefix) return `(?<![\\p{L}\\p{N}])${body}[\\p{L}\\p{N}']*`;
+    return wholeWord ? `(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])` : body;
+  });
+  const re = new RegExp(parts.join("|"), "giu");
+
+  const tokens = s.split(/(\s+)/);
+  let firstHit = -1, charPos = 0;
+  const first = s.search(re);
+  for (let i = 0; i < tokens.length && first >= 0; i++) {
+    if (charPos + tokens[i].length > first) { firstHit = i; break; }
+    charPos += tokens[i].length;
+  }
+  let from = 0, to = tokens.length;
+  if (tokens.length > words * 2 && firstHit >= 0) {
+    from = Math.max(0, firstHit - words);
+    to = Math.min(tokens.length, from + words * 2);
+  }
+  const windowText = tokens.slice(from, to).join("");
+  const marked = windowText.replace(re, m => open + m + close);
+  return (from > 0 ? "…" : "") + marked + (to < tokens.length ? "…" : "");
+}
@@ -0,0 +1,111 @@
+// lib/translations.js
+// Translation catalogue.
+//
+// Without any setup there is one translation: the verses/verses_api/verses_with_book
+// tables of the main DB, under the code DEFAULT_VERSION (env) or "default" (also when
+// DEFAULT_VERSION is the code of a listed translation).
+//
+// More translations are listed in an optional `translations` table in the main DB:
+//   code TEXT PRIMARY KEY, name TEXT, language TEXT, file TEXT, table_prefix TEXT
+// - file set:          an extra SQLite file (path relative to the main DB) with the same
+//                      verses/verses_api/verses_with_book tables; ATTACHed as tr_<code>
+// - table_prefix set:  extra tables in the main DB, e.g. "kjv_" -> kjv_verses, kjv_verses_api
+// - neither:           the main DB's own tables (lets you give them a proper code/name)
+// books, tokens, lexicon and comments are always shared from the main DB.
+import path from "path";
+import { logger } from "./logger.js";
+
+const TEXT_API = "COALESCE(text_plain, text, '')";
+const TEXT_PLAIN = "COALESCE(text_plain, '')";
+
+function safeIdent(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9_]/g, "_");
+}
+
+function makeTranslation({ code, name, language, schema = "main", prefix = "" }) {
+  const t = n => `${schema}.${prefix}${n}`;
+  return {
+    code: String(code),
+    name: name || String(code),
+    language: language || null,
+    schema,
+    prefix,
+    verses: t("verses"),
+    versesApi: t("verses_api"),
+    versesWithBook: t("verses_with_book"),
+    fts: t("verses_fts"),
+    // fallback order used by every text route
+    sources: [
+      { name: "verses_api", table: t("verses_api"), text: TEXT_API },
+      { name: "verses_with_book", table: t("verses_with_book"), text: TEXT_API },
+      { name: "verses", table: t("verses"), text: TEXT_PLAIN }
+    ]
+  };
+}
+
+// Does `name` (unqualified, e.g. "verses_api") exist for this translation?
+export async function hasTable(db, tr, name) {
+  const row = await db.get(
+    `SELECT name FROM ${tr.schema}.sqlite_master WHERE type IN ('table','view') AND name = ?`,
+    [tr.prefix + name]
+  );
+  return row !== undefined;
+}
+
+// Build the catalogue: { list, byCode, defaultCode }. ATTACHes extra files as needed.
+// Skipped translations are reported to log.warn (the JSON logger unless given one).
+export async function loadTranslations(db, { dbPath, defaultVersion, log = logger } = {}) {
+  const list = [];
+
+  let rows = [];
+  try {
+    rows = await db.all(`SELECT code, name, language, file, table_prefix FROM translations ORDER BY rowid`);
+  } catch (e) {
+    // no translations table: single-translation setup
+  }
+
+  const taken = new Set();
+  for (const r of rows) {
+    if (!r.code) continue;
+    if (taken.has(String(r.code).toLowerCase())) {
+      log.warn(`translation ${r.code} skipped: code listed twice (codes are case-insensitive)`);
+      continue;
+    }
+    taken.add(String(r.code).toLowerCase());
+    try {
+      if (r.file) {
+        const schema = "tr_" + safeIdent(r.code);
+        const file = path.isAbsolute(r.file) ? r.file : path.join(path.dirname(dbPath || "."), r.file);
+        await db.run(`ATTACH DATABASE ? AS ${schema}`, [file]);
+        list.push(makeTranslation({ ...r, schema }));
+      } else {
+        list.push(makeTranslation({ ...r, prefix: r.table_prefix ? safeIdent(r.table_prefix) : "" }));
+      }
+    } catch (e) {
+      log.warn(`translation ${r.code} skipped`, { error: e.message });
+    }
+  }
+
+  // the main DB's own tables, when not listed: under DEFAULT_VERSION, unless a listed
+  // translation has that code already (DEFAULT_VERSION then picks that one)
+  if (!list.some(t => t.schema === "main" && t.prefix === "")) {
+    const mainCode = [defaultVersion, "default", "main"].find(c => c && !taken.has(c.toLowerCase()));
+    if (mainCode) list.unshift(makeTranslation({ code: mainCode, name: mainCode }));
+  }
+
+  const byCode = new Map(list.map(t => [t.code.toLowerCase(), t]));
+  const fallback = list.find(t => t.schema === "main" && t.prefix === "") || list[0];
+  const defaultCode = (defaultVersion && byCode.has(defaultVersion.toLowerCase()))
+    ? byCode.get(defaultVersion.toLowerCase()).code
+    : fallback.code;
+
+  return { list, byCode, defaultCode };
+}
+
+// Pick a translation for a requested code (case-insensitive); undefined/empty -> default.
+// Returns null for unknown codes.
+export function pickTranslation(catalog, requested) {
+  const code = String(requested || "").trim();
+  if (!code) return catalog.byCode.get(catalog.defaultCode.toLowerCase());
+  return catalog.byCode.get(code.toLowerCase()) || null;
+}
@@ -0,0 +1,278 @@
+// lib/versification.js
+// Verse numbering traditions and the mappings between them.
+//
+// Every tradition is described by how its references land in the English (KJV)
+// numbering: a list of rules [book, chapter, fromVerse, toVerse, engChapter, engVerse]
+// saying "verses fromVerse..toVerse of chapter map, in order, onto engChapter starting
+// at engVerse". toVerse may be Infinity (to the end of the chapter); engChapter null
+// means the verses have no English counterpart (e.g. the Greek additions to Daniel 3).
+// A rule marked partial covers only part of the English verse (a psalm title, half of
+// a split verse); it is used when nothing better matches.
+// References no rule covers fall through to the tradition's `base` (LXX -> Hebrew),
+// and finally map unchanged. Converting A -> B goes A -> English -> B.
+//
+// The tables cover the well-known chapter/verse shifts; they do not try to represent
+// reordered material such as the LXX Jeremiah oracles.
+
+const INF = Infinity;
+const P = true; // partial
+
+// Hebrew (BHS/MT) -> English, outside the Psalms
+const HEBREW_RULES = [
+  ["Gen", 32, 1, 1, 31, 55], ["Gen", 32, 2, 33, 32, 1],
+  ["Exod", 7, 26, 29, 8, 1], ["Exod", 8, 1, 28, 8, 5], ["Exod", 21, 37, 37, 22, 1], ["Exod", 22, 1, 30, 22, 2],
+  ["Lev", 5, 20, 26, 6, 1], ["Lev", 6, 1, 23, 6, 8],
+  ["Num", 17, 1, 15, 16, 36], ["Num", 17, 16, 28, 17, 1], ["Num", 30, 1, 1, 29, 40], ["Num", 30, 2, 17, 30, 1],
+  ["Deut", 13, 1, 1, 12, 32], ["Deut", 13, 2, 19, 13, 1], ["Deut", 23, 1, 1, 22, 30], ["Deut", 23, 2, 26, 23, 1],
+  ["Deut", 28, 69, 69, 29, 1], ["Deut", 29, 1, 28, 29, 2],
+  ["1Sam", 20, 42, 42, 20, 42], ["1Sam", 21, 1, 1, 20, 42, P], ["1Sam", 21, 2, 16, 21, 1],
+  ["1Sam", 24, 1, 1, 23, 29], ["1Sam", 24, 2, 23, 24, 1],
+  ["2Sam", 19, 1, 1, 18, 33], ["2Sam", 19, 2, 44, 19, 1],
+  ["1Kgs", 5, 1, 14, 4, 21], ["1Kgs", 5, 15, 32, 5, 1],
+  ["1Kgs", 22, 43, 43, 22, 43], ["1Kgs", 22, 44, 44, 22, 43, P], ["1Kgs", 22, 45, 54, 22, 44],
+  ["2Kgs", 12, 1, 1, 11, 21], ["2Kgs", 12, 2, 22, 12, 1],
+  ["1Chr", 5, 27, 41, 6, 1], ["1Chr", 6, 1, 66, 6, 16],
+  ["1Chr", 12, 4, 4, 12, 4], ["1Chr", 12, 5, 5, 12, 4, P], ["1Chr", 12, 6, 41, 12, 5],
+  ["2Chr", 1, 18, 18, 2, 1], ["2Chr", 2, 1, 17, 2, 2], ["2Chr", 13, 23, 23, 14, 1], ["2Chr", 14, 1, 14, 14, 2],
+  ["Neh", 3, 33, 38, 4, 1], ["Neh", 4, 1, 17, 4, 7], ["Neh", 10, 1, 1, 9, 38], ["Neh", 10, 2, 40, 10, 1],
+  ["Job", 40, 25, 32, 41, 1], ["Job", 41, 1, 26, 41, 9],
+  ["Eccl", 4, 17, 17, 5, 1], ["Eccl", 5, 1, 19, 5, 2],
+  ["Song", 7, 1, 1, 6, 13], ["Song", 7, 2, 14, 7, 1],
+  ["Isa", 8, 23, 23, 9, 1], ["Isa", 9, 1, 20, 9, 2],
+  ["Isa", 63, 19, 19, 63, 19], ["Isa", 63, 19, 19, 64, 1, P], ["Isa", 64, 1, 11, 64, 2],
+  ["Jer", 8, 23, 23, 9, 1], ["Jer", 9, 1, 25, 9, 2],
+  ["Ezek", 21, 1, 5, 20, 45], ["Ezek", 21, 6, 37, 21, 1],
+  ["Dan", 3, 31, 33, 4, 1], ["Dan", 4, 1, 34, 4, 4], ["Dan", 6, 1, 1, 5, 31], ["Dan", 6, 2, 29, 6, 1],
+  ["Hos", 2, 1, 2, 1, 10], ["Hos", 2, 3, 25, 2, 1], ["Hos", 12, 1, 1, 11, 12], ["Hos", 12, 2, 15, 12, 1],
+  ["Hos", 14, 1, 1, 13, 16], ["Hos", 14, 2, 10, 14, 1],
+  ["Joel", 3, 1, 5, 2, 28], ["Joel", 4, 1, 21, 3, 1],
+  ["Jonah", 2, 1, 1, 1, 17], ["Jonah", 2, 2, 11, 2, 1],
+  ["Mic", 4, 14, 14, 5, 1], ["Mic", 5, 1, 14, 5, 2],
+  ["Nah", 2, 1, 1, 1, 15], ["Nah", 2, 2, 14, 2, 1],
+  ["Zech", 2, 1, 4, 1, 18], ["Zech", 2, 5, 17, 2, 1],
+  ["Mal", 3, 19, 24, 4, 1]
+];
+
+// Psalms whose Hebrew title is numbered as verse 1 (or verses 1-2), shifting the rest
+const PSALM_TITLE_VERSES = new Map([
+  ...[3, 4, 5, 6, 7, 8, 9, 12, 13, 18, 19, 20, 21, 22, 30, 31, 34, 36, 38, 39, 40, 41, 42, 44, 45, 46, 47, 48, 49,
+    53, 55, 56, 57, 58, 59, 61, 62, 63, 64, 65, 67, 68, 69, 70, 75, 76, 77, 80, 81, 83, 84, 85, 88, 89, 92, 102,
+    108, 140, 142].map(n => [n, 1]),
+  ...[51, 52, 54, 60].map(n => [n, 2])
+]);
+
+// Hebrew-numbered psalm verses from..to (starting at Hebrew verse `hebFrom`) -> English rules
+function psalmRules(chapter, from, to, hebChapter, hebFrom) {
+  const titles = PSALM_TITLE_VERSES.get(hebChapter) || 0;
+  if (!titles) return hebChapter === chapter && hebFrom === from ? [] : [["Ps", chapter, from, to, hebChapter, hebFrom]];
+  if (hebFrom > titles) return [["Ps", chapter, from, to, hebChapter, hebFrom - titles]];
+  return [
+    ["Ps", chapter, from, from + titles - hebFrom, hebChapter, 1, P],
+    ["Ps", chapter, from + titles - hebFrom + 1, to, hebChapter, 1]
+  ];
+}
+
+const HEBREW_PSALMS = [...PSALM_TITLE_VERSES.keys()].flatMap(n => psalmRules(n, 1, INF, n, 1));
+
+// Greek/Latin psalm numbering (verse numbers as in Hebrew, titles included):
+// 9 = 9+10, 113 = 114+115, 114+115 = 116, 146+147 = 147, everything between shifted by one
+function greekPsalmRules() {
+  const rules = [];
+  for (let g = 1; g <= 150; g++) {
+    if (g === 9) rules.push(...psalmRules(9, 1, 21, 9, 1), ...psalmRules(9, 22, INF, 10, 1));
+    else if (g >= 10 && g <= 112) rules.push(...psalmRules(g, 1, INF, g + 1, 1));
+    else if (g === 113) rules.push(...psalmRules(113, 1, 8, 114, 1), ...psalmRules(113, 9, INF, 115, 1));
+    else if (g === 114) rules.push(...psalmRules(114, 1, 9, 116, 1));
+    else if (g === 115) rules.push(...psalmRules(115, 1, INF, 116, 10));
+    else if (g >= 116 && g <= 145) rules.push(...psalmRules(g, 1, INF, g + 1, 1));
+    else if (g === 146) rules.push(...psalmRules(146, 1, 11, 147, 1));
+    else if (g === 147) rules.push(...psalmRules(147, 1, INF, 147, 12));
+    else rules.push(...psalmRules(g, 1, INF, g, 1));
+  }
+  return rules;
+}
+
+// Greek additions in Daniel 3 (Prayer of Azariah, Song of the Three) push the rest down
+const GREEK_DANIEL = [
+  ["Dan", 3, 24, 90, null, null],
+  ["Dan", 3, 91, 97, 3, 24],
+  ["Dan", 3, 98, 100, 4, 1]
+];
+
+export const VERSIFICATIONS = {
+  english: {
+    name: "English (KJV)",
+    aliases: ["kjv", "eng", "en", "protestant"],
+    rules: []
+  },
+  hebrew: {
+    name: "Hebrew (BHS / Masoretic)",
+    aliases: ["bhs", "mt", "heb", "masoretic"],
+    rules: [...HEBREW_RULES, ...HEBREW_PSALMS]
+  },
+  lxx: {
+    name: "Septuagint (Rahlfs)",
+    aliases: ["septuagint", "greek", "gr", "rahlfs"],
+    base: "hebrew",
+    rules: [...greekPsalmRules(), ...GREEK_DANIEL, ["Dan", 4, 1, 34, 4, 4]]
+  },
+  vulgate: {
+    name: "Vulgate (Clementine)",
+    aliases: ["vul", "vulg", "latin", "la"],
+    rules: [...greekPsalmRules(), ...GREEK_DANIEL, ["Dan", 4, 1, 34, 4, 4]]
+  }
+};
+
+// rules grouped by book for lookup
+for (const v of Object.values(VERSIFICATIONS)) {
+  v.byBook = new Map();
+  for (const [book, chapter, from, to, engChapter, engVerse, partial = false] of v.rules) {
+    if (!v.byBook.has(book)) v.byBook.set(book, []);
+    v.byBook.get(book).push({ chapter, from, to, engChapter, engVerse, partial });
+  }
+}
+
+// "KJV", "bhs", "Septuagint" -> "english" / "hebrew" / "lxx"; null when unknown
+export function findVersification(name) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) return null;
+  for (const [id, v] of Object.entries(VERSIFICATIONS)) {
+    if (id === key || v.aliases.includes(key)) return id;
+  }
+  return null;
+}
+
+// Best rule for `book chapter:verse` in scheme `id` (full rules beat partial ones)
+function sourceRule(id, book, chapter, verse) {
+  const hits = (VERSIFICATIONS[id].byBook.get(book) || []).filter(r => r.chapter === chapter && verse >= r.from && verse <= r.to);
+  return hits.find(r => !r.partial) || hits[0] || null;
+}
+
+// scheme ref -> English { chapter, verse, partial } or { missing: true }.
+// verse may be Infinity ("to the end of the chapter").
+export function toEnglish(id, book, chapter, verse) {
+  const r = sourceRule(id, book, chapter, verse);
+  if (r) {
+    if (r.engChapter === null) return { missing: true };
+    return { chapter: r.engChapter, verse: r.engVerse + (verse - r.from), partial: r.partial };
+  }
+  const base = VERSIFICATIONS[id].base;
+  if (base) return toEnglish(base, book, chapter, verse);
+  return { chapter, verse, partial: false };
+}
+
+// English ref -> scheme `id` { chapter, verse, partial } (the inverse of toEnglish)
+export function fromEnglish(id, book, chapter, verse) {
+  const v = VERSIFICATIONS[id];
+  const hits = (v.byBook.get(book) || []).filter(r =>
+    r.engChapter === chapter && verse >= r.engVerse && verse <= r.engVerse + (r.to - r.from));
+  const r = hits.find(h => !h.partial) || hits[0];
+  if (r) return { chapter: r.chapter, verse: r.from + (verse - r.engVerse), partial: r.partial };
+
+  // no rule lands here: go through the base scheme, but only keep the answer if this
+  // scheme's own rules don't claim that spot for something else
+  const via = v.base ? fromEnglish(v.base, book, chapter, verse) : { chapter, verse, partial: false };
+  if (v.base && sourceRule(id, book, via.chapter, via.verse)) return { missing: true };
+  return via;
+}
+
+// One verse from scheme `from` to scheme `to`: { chapter, verse, partial }, or null
+// when it has no counterpart there
+export function mapVerse(book, chapter, verse, from, to) {
+  if (from === to) return { chapter, verse, partial: false };
+  const e = toEnglish(from, book, chapter, verse);
+  if (e.missing) return null;
+  const t = to === "english" ? e : fromEnglish(to, book, e.chapter, e.verse);
+  if (t.missing) return null;
+  return { chapter: t.chapter, verse: t.verse, partial: Boolean(e.partial || t.partial) };
+}
+
+// Where chapter `chapter` of scheme `id` sits in English: { start, end } with
+// end.verse null when it runs to the end of an English chapter
+export function chapterSpan(id, book, chapter) {
+  const v = VERSIFICATIONS[id];
+  const rules = v.byBook.get(book) || [];
+  const own = rules.filter(r => r.chapter === chapter && r.engChapter !== null);
+  if (!own.length && v.base) return chapterSpan(v.base, book, chapter);
+
+  let start = { chapter, verse: 1 };
+  let end = { chapter, verse: null };
+  if (own.length) {
+    const first = toEnglish(id, book, chapter, 1);
+    start = first.missing ? { chapter: own[0].engChapter, verse: own[0].engVerse } : { chapter: first.chapter, verse: first.verse };
+    const lastRule = own.reduce((a, b) => (b.to > a.to ? b : a));
+    const last = toEnglish(id, book, chapter, lastRule.to);
+    end = { chapter: last.chapter, verse: last.verse === INF ? null : last.verse };
+  }
+  // the English chapter may end early because its last verses belong to another
+  // chapter of this scheme (Hebrew Gen 31 ends at English 31:54)
+  if (end.verse === null) {
+    const taken = rules.filter(r => r.engChapter === end.chapter && r.chapter !== chapter);
+    if (taken.length) end.verse = Math.min(...taken.map(r => r.engVerse)) - 1;
+  }
+  return { start, end };
+}
+
+// Convert a parsed passage (lib/reference.js shape) from scheme `from` to `to`.
+// Whole books are unchanged. Returns the converted passage, or null when nothing in
+// it has a counterpart in `to`. `partial` is set when an end point only matches part
+// of a verse (psalm titles, split verses).
+export function mapPassage(p, book, from, to) {
+  if (from === to || p.startChapter === null) return { ...p, partial: false };
+
+  // into English
+  let start, end;
+  if (p.startVerse === null) start = chapterSpan(from, book, p.startChapter).start;
+  else {
+    start = toEnglish(from, book, p.startChapter, p.startVerse);
+    if (start.missing) start = firstMapped(from, book, p.startChapter, p.startVerse, +1);
+  }
+  if (p.endVerse === null) {
+    const span = chapterSpan(from, book, p.endChapter);
+    end = { chapter: span.end.chapter, verse: span.end.verse === null ? INF : span.end.verse };
+  } else {
+    end = toEnglish(from, book, p.endChapter, p.endVerse);
+    if (end.missing) end = firstMapped(from, book, p.endChapter, p.endVerse, -1);
+  }
+  if (!start || !end || start.chapter > end.chapter || (start.chapter === end.chapter && start.verse > end.verse)) return null;
+  let partial = Boolean(start.partial || end.partial);
+
+  // out of English
+  if (to !== "english") {
+    const s = fromEnglish(to, book, start.chapter, start.verse);
+    const e = end.verse === INF ? chapterEndIn(to, book, end.chapter) : fromEnglish(to, book, end.chapter, end.verse);
+    if (s.missing || e.missing) return null;
+    partial = partial || Boolean(s.partial || e.partial);
+    start = s;
+    end = e;
+  }
+  return {
+    ...p,
+    startChapter: start.chapter,
+    startVerse: p.startVerse === null && start.verse === 1 ? null : start.verse,
+    endChapter: end.chapter,
+    endVerse: end.verse === INF || end.verse === null ? null : end.verse,
+    partial
+  };
+}
+
+// nearest verse after (dir +1) or before (dir -1) a run without counterpart
+function firstMapped(id, book, chapter, verse, dir) {
+  const r = sourceRule(id, book, chapter, verse);
+  if (!r || r.engChapter !== null) return null;
+  const next = dir > 0 ? r.to + 1 : r.from - 1;
+  if (next < 1) return null;
+  const m = toEnglish(id, book, chapter, next);
+  return m.missing ? null : m;
+}
+
+// end of English chapter `chapter` expressed in scheme `id`: the source of the rule
+// reaching furthest into that chapter, else the same chapter unchanged
+function chapterEndIn(id, book, chapter) {
+  const v = VERSIFICATIONS[id];
+  const into = (v.byBook.get(book) || []).filter(r => r.engChapter === chapter);
+  if (!into.length) return v.base ? chapterEndIn(v.base, book, chapter) : { chapter, verse: INF };
+  const reach = r => r.engVerse + (r.to - r.from);
+  const r = into.reduce((a, b) => (reach(b) > reach(a) ? b : a));
+  return { chapter: r.chapter, verse: r.to, partial: false };
+}
@@ -0,0 +1,33 @@
+// lib/votd.js
+// Deterministic picks for the verse of the day and the seeded random verse: the same
+// seed string always lands on the same index, on any machine, as long as the data
+// doesn't change.
+import crypto from "crypto";
+
+// seed string -> 0..n-1
+export function seedIndex(seed, n) {
+  if (!n) return -1;
+  return crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0) % n;
+}
+
+export function newSeed() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+// Calendar date ("YYYY-MM-DD") at `when` in an IANA time zone; null for an unknown zone
+export function localDate(timeZone, when = new Date()) {
+  try {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(when);
+  } catch {
+    return null;
+  }
+}
+
+// "2024-02-30" and friends are rejected
+export function isValidDate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(s || ""));
+  if (!m) return false;
+  const d = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+  return d.getUTCFullYear() === Number(m[1]) && d.getUTCMonth() === Number(m[2]) - 1 && d.getUTCDate() === Number(m[3]);
+}
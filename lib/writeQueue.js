@@ -0,0 +1,37 @@
+// lib/writeQueue.js
+// Every request shares one SQLite connection, and a transaction on it takes in any
+// statement run on that connection while it is open: a second BEGIN fails, and a
+// ROLLBACK undoes other requests' writes too. So writes run one at a time through a
+// queue: single statements with run(), several statements with transaction().
+// Reads don't queue. Code inside transaction() must use db directly, never the
+// queue again (it would wait on itself).
+
+// BEGIN ... COMMIT around fn(db); ROLLBACK and rethrow when it fails. For callers
+// that own their connection (the CLI importers); the server goes through a queue.
+export async function withTransaction(db, fn) {
+  await db.exec("BEGIN");
+  try {
+    const out = await fn(db);
+    await db.exec("COMMIT");
+    return out;
+  } catch (e) {
+    await db.exec("ROLLBACK").catch(() => {});
+    throw e;
+  }
+}
+
+export function createWriteQueue(db) {
+  let tail = Promise.resolve();
+
+  function serialize(fn) {
+    const result = tail.then(() => fn());
+    tail = result.catch(() => {}); // a failed write doesn't stop the ones behind it
+    return result;
+  }
+
+  return {
+    // one statement, like db.run
+    run: (sql, args) => serialize(() => db.run(sql, args)),
+    transaction: fn => serialize(() => withTransaction(db, fn))
+  };
+}
@@ -5,7 +5,32 @@ import { open } from "sqlite";
 import cors from "cors";
 import compression from "compression";
 import path from "path";
+import fs from "fs";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
+import { CANON, CANON_GROUPS, findCanonBook } from "./lib/canon.js";
+import { parseReference, formatReference, RefParseError } from "./lib/reference.js";
+import { loadTranslations, pickTranslation, hasTable } from "./lib/translations.js";
+import { parseSearchQuery, toFtsQuery, toWhereClause, positiveTerms, highlightSnippet, SearchSyntaxError } from "./lib/search.js";
+import { ftsStatus, ensureFtsIndex, DEFAULT_TOKENIZE } from "./lib/ftsIndex.js";
+import { migrate, checkSchema, schemaVersion, SchemaError } from "./lib/migrations.js";
+import { VERSIFICATIONS, findVersification, mapPassage, mapVerse } from "./lib/versification.js";
+import { parsePaging, pageInfo } from "./lib/paging.js";
+import { sanitizeCommentBody, newEditToken, hashToken, tokenMatches, buildThreads, countByVerse, COMMENT_STATUSES } from "./lib/comments.js";
+import { createRateLimiter } from "./lib/rateLimit.js";
+import { EXPORT_FORMATS, exportFormat, exportFormatFromAccept } from "./lib/export.js";
+import { BUILTIN_PLANS, orderChapters, splitIntoDays } from "./lib/readingPlans.js";
+import { ANNOTATION_KINDS, checkAnnotation, normalizeTags } from "./lib/annotations.js";
+import { seedIndex, newSeed, localDate, isValidDate } from "./lib/votd.js";
+import { buildOutline, outlineBook, outlineSummary, stepBook, stepChapter, stepVerse } from "./lib/outline.js";
+import { createLruCache, cacheResponses } from "./lib/responseCache.js";
+import { buildOpenApi, validateRequests } from "./lib/openapi.js";
+import { uniformErrors, errorHandler } from "./lib/errors.js";
+import { logger, requestContext } from "./lib/logger.js";
+import { createRegistry, instrumentDb, HTTP_BUCKETS, SQL_BUCKETS } from "./lib/metrics.js";
+import { createWriteQueue } from "./lib/writeQueue.js";
+import { newApiKey, keyPrefix, checkApiKey, checkAccess, createUsageTracker, rateLimitHeaders, utcDay } from "./lib/apiKeys.js";
+import { shortGloss, normalizeStrong, buildLexiconIndex, searchLexicon, relatedEntries } from "./lib/lexicon.js";
 
 // --- sanitize verse text for plain output ---
 // Removes pilcrow (¶), collapses multiple whitespace, trims.
@@ -24,51 +49,146 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DB_PATH = path.join(__dirname, "eden_lite.db");
 const PORT = process.env.PORT || 3000;
+const FTS_TOKENIZE = process.env.FTS_TOKENIZE || DEFAULT_TOKENIZE;
+const DB_VERSIFICATION = findVersification(process.env.VERSIFICATION) || "english"; // numbering of the stored texts
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const COMMENT_MAX_LENGTH = Number(process.env.COMMENT_MAX_LENGTH) || 2000;
+const COMMENTS_MODERATION = process.env.COMMENTS_MODERATION || "post"; // "pre" = hold for approval
+const RESPONSE_CACHE_MB = process.env.RESPONSE_CACHE_MB === undefined ? 32 : Number(process.env.RESPONSE_CACHE_MB) || 0; // 0 = no body cache
+const SLOW_QUERY_MS = Number(process.env.SLOW_QUERY_MS) || 250; // logged at warn; every query at LOG_LEVEL=debug
+// callers without an API key: "open" = read + comment, "read" = read only, "none" = key required
+const ANONYMOUS_SCOPES = { open: ["read", "comment"], read: ["read"], none: [] };
+const ANONYMOUS_ACCESS = ANONYMOUS_SCOPES[process.env.ANONYMOUS_ACCESS] ? process.env.ANONYMOUS_ACCESS : "read";
+const API_KEY_RATE_LIMIT = process.env.API_KEY_RATE_LIMIT === undefined ? 120 : Number(process.env.API_KEY_RATE_LIMIT) || 0; // per minute, 0 = none
+const API_KEY_DAILY_QUOTA = process.env.API_KEY_DAILY_QUOTA === undefined ? 10000 : Number(process.env.API_KEY_DAILY_QUOTA) || 0; // per UTC day, 0 = none
 
 const app = express();
-app.use(cors());
-app.use(compression());
-app.use(express.json());
-
-// simple request logger
+const responseCache = createLruCache({ maxBytes: RESPONSE_CACHE_MB * 1024 * 1024 });
+if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY); // real client IPs for rate limiting
+
+// Prometheus metrics (lib/metrics.js), served at /metrics
+const metrics = createRegistry();
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]);
+const httpDuration = metrics.histogram("http_request_duration_seconds", "HTTP request latency by route", ["method", "route"], HTTP_BUCKETS);
+const sqlDuration = metrics.histogram("sql_query_duration_seconds", "SQL statement time by statement type", ["statement"], SQL_BUCKETS);
+const sqlErrors = metrics.counter("sql_errors_total", "Failed SQL statements by statement type", ["statement"]);
+const versesSources = metrics.counter("verses_source_total", "Verse lookups answered by each table of the verses_api -> verses_with_book -> verses fallback", ["table"]);
+metrics.counter("response_cache_lookups_total", "Response cache lookups by result", ["result"], () => [
+  [{ result: "hit" }, responseCache.stats.hits],
+  [{ result: "miss" }, responseCache.stats.misses]
+]);
+const apiKeyRequests = metrics.counter("api_key_requests_total", "Requests made with an API key, by key id and limit result", ["key_id", "result"]);
+
+// Request id (X-Request-Id from the client when it looks sane, else a new one), the
+// request context every log line and query hook reads, and one access log line
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Path and query for the access log, with credentials sent in the query string blanked
+const SECRET_QUERY_PARAMS = ["api_key", "user"];
+function loggedPath(req) {
+  const q = req.originalUrl.indexOf("?");
+  if (q < 0) return req.originalUrl;
+  const params = new URLSearchParams(req.originalUrl.slice(q + 1));
+  for (const name of SECRET_QUERY_PARAMS) if (params.has(name)) params.set(name, "REDACTED");
+  return `${req.originalUrl.slice(0, q)}?${params}`;
+}
 app.use((req, res, next) => {
-  console.log(`[REQ] ${req.method} ${req.path}`);
-  next();
+  const started = process.hrtime.bigint();
+  const incoming = req.get("x-request-id");
+  const ctx = { id: incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID(), sqlQueries: 0, sqlSeconds: 0, sources: new Set() };
+  req.id = ctx.id;
+  res.set("X-Request-Id", ctx.id);
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.apiOperation ? req.apiOperation.template : "unmatched"; // set by validateRequests()
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    const level = res.statusCode >= 500 ? "error" : "info";
+    requestContext.run(ctx, () => logger[level]("request", {
+      method: req.method,
+      path: loggedPath(req),
+      route,
+      status: res.statusCode,
+      ms: Math.round(seconds * 10000) / 10,
+      sqlQueries: ctx.sqlQueries,
+      sqlMs: Math.round(ctx.sqlSeconds * 10000) / 10,
+      ...(ctx.sources.size ? { versesTables: [...ctx.sources] } : {}),
+      ...(res.get("X-Cache") ? { cache: res.get("X-Cache") } : {}),
+      ...(req.apiKey ? { apiKey: req.apiKey.prefix } : {}),
+      ip: req.ip
+    }));
+  });
+  requestContext.run(ctx, next);
+});
+
+// Which table of the fallback chain answered a verse lookup: metric + access log
+function usedVersesTable(table) {
+  versesSources.inc({ table });
+  const ctx = requestContext.getStore();
+  if (ctx) ctx.sources.add(table);
+}
+
+app.use(uniformErrors); // { error: { code, message, details } } on every JSON error (lib/errors.js)
+
+// API key (x-api-key header or ?api_key=) -> req.apiKey, before CORS since allowed
+// origins are per key. Unknown or revoked keys set req.apiKeyInvalid; scopes and
+// limits are enforced once the route is known (see "API keys" in start()).
+const API_KEY_CACHE_MS = 30000;
+const apiKeyCache = new Map(); // key hash -> { key, loadedAt }; key null when unknown
+const API_KEY_FIELDS = "id, prefix, name, scopes, rate_limit, daily_quota, origins, created_at, revoked_at, last_used_at";
+function publicApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: row.scopes.split(" "),
+    rateLimit: row.rate_limit,
+    dailyQuota: row.daily_quota,
+    origins: row.origins ? JSON.parse(row.origins) : null,
+    createdAt: row.created_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at
+  };
+}
+async function findApiKey(plaintext) {
+  const hash = hashToken(plaintext);
+  const hit = apiKeyCache.get(hash);
+  if (hit && Date.now() - hit.loadedAt < API_KEY_CACHE_MS) return hit.key;
+  const row = await db.get(`SELECT ${API_KEY_FIELDS} FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`, [hash]);
+  if (apiKeyCache.size >= 10000) apiKeyCache.clear(); // made-up keys can't grow it forever
+  apiKeyCache.set(hash, { key: row ? publicApiKey(row) : null, loadedAt: Date.now() });
+  return row ? publicApiKey(row) : null;
+}
+app.use(async (req, res, next) => {
+  const sent = req.get("x-api-key") || (typeof req.query.api_key === "string" ? req.query.api_key : "");
+  req.apiKey = null;
+  if (!sent) return next();
+  try {
+    req.apiKey = await findApiKey(sent);
+    req.apiKeyInvalid = !req.apiKey;
+    next();
+  } catch (err) {
+    next(err);
+  }
 });
 
+// any origin without a key (or for a key with no origin list); only the listed ones otherwise
+app.use(cors((req, cb) => cb(null, {
+  origin: req.apiKey && req.apiKey.origins ? req.apiKey.origins : "*",
+  exposedHeaders: ["X-Request-Id", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy", "Retry-After"]
+})));
+app.use(compression());
+app.use(express.json());
+
 let db; // global DB handle
+let writes; // every write on db goes through this queue (lib/writeQueue.js)
 
 // Helper: normalized expression for whole-word matching
 // (replaces common punctuation/newlines with spaces, lowercases, and pads with spaces)
 function normalizedColumnExpr(colName) {
-  return `
-    LOWER(
-      ' ' ||
-      REPLACE(
-        REPLACE(
-          REPLACE(
-            REPLACE(
-              REPLACE(
-                REPLACE(
-                  REPLACE(
-                    REPLACE(
-                      REPLACE(
-                        REPLACE(
-                          REPLACE(${colName},
-                            CHAR(10), ' '),
-                          CHAR(13), ' '),
-                        CHAR(9), ' '),
-                      '\r', ' '),
-                    '\n', ' '),
-                  '.', ' '),
-                ',', ' '),
-              ';', ' '),
-            ':', ' '),
-          '!', ' '),
-        '?', ' '),
-      '(', ' ')
-    )
-  `;
+  const separators = ["CHAR(10)", "CHAR(13)", "CHAR(9)", "'.'", "','", "';'", "':'", "'!'", "'?'", "'('", "')'", "'\"'"];
+  const replaced = separators.reduce((expr, sep) => `REPLACE(${expr}, ${sep}, ' ')`, colName);
+  return `LOWER(' ' || ${replaced} || ' ')`;
 }
 
 // Start server and open DB
@@ -79,18 +199,74 @@ async function start() {
       driver: sqlite3.Database
     });
 
+    // SQL timings: histogram per statement type, per-request totals, slow queries logged
+    instrumentDb(db, ({ sql, seconds, error }) => {
+      const statement = (/^\s*(\w+)/.exec(sql) || [, "other"])[1].toLowerCase();
+      sqlDuration.observe({ statement }, seconds);
+      if (error) sqlErrors.inc({ statement });
+      const ctx = requestContext.getStore();
+      if (ctx) {
+        ctx.sqlQueries++;
+        ctx.sqlSeconds += seconds;
+      }
+      const ms = Math.round(seconds * 10000) / 10;
+      if (ms >= SLOW_QUERY_MS) logger.warn("slow query", { sql: sql.replace(/\s+/g, " ").trim().slice(0, 500), ms });
+      else logger.debug("query", { sql: sql.replace(/\s+/g, " ").trim().slice(0, 500), ms, ...(error ? { error: error.message } : {}) });
+    });
+
     // PRAGMA for resilience
     try {
       await db.exec("PRAGMA busy_timeout = 5000;");
       await db.exec("PRAGMA journal_mode = WAL;");
-      console.log("Applied PRAGMA busy_timeout=5000 and journal_mode=WAL");
+      logger.info("Applied PRAGMA busy_timeout=5000 and journal_mode=WAL");
     } catch (e) {
-      console.warn("PRAGMA setup failed:", e);
+      logger.warn("PRAGMA setup failed", e);
     }
 
+    // one queue for every write on the shared connection (see lib/writeQueue.js)
+    writes = createWriteQueue(db);
+
     // quick sanity
     const tables = await db.all("SELECT name FROM sqlite_master WHERE type IN ('table','view') ORDER BY name");
-    console.log("DB tables/views:", tables.map(t => t.name));
+    logger.info("DB tables/views", { tables: tables.map(t => t.name) });
+
+    // schema (see lib/migrations.js): books/verses must already be loaded, then pending
+    // migrations run; `node server.js --migrate` migrates and exits
+    const dataCheck = await checkSchema(db, { stage: "data" });
+    if (dataCheck.errors.length) throw new SchemaError("Bible tables missing or incomplete (load one with import_bible.js)", dataCheck.errors);
+    const applied = await migrate(db);
+    for (const m of applied) logger.info(`Applied migration ${m.version}: ${m.name}`);
+    logger.info("Schema version", { version: await schemaVersion(db) });
+    if (process.argv.includes("--migrate")) {
+      await db.close();
+      return;
+    }
+
+    // translations (see lib/translations.js); DEFAULT_VERSION picks the default one
+    const translations = await loadTranslations(db, { dbPath: DB_PATH, defaultVersion: process.env.DEFAULT_VERSION });
+    logger.info("Translations", { codes: translations.list.map(t => t.code), default: translations.defaultCode });
+
+    // fail fast instead of serving empty arrays when a table or column the routes use is missing
+    const schemaCheck = await checkSchema(db, { translations: translations.list });
+    for (const w of schemaCheck.warnings) logger.warn(`schema: ${w}`);
+    if (schemaCheck.errors.length) throw new SchemaError("Database schema check failed", schemaCheck.errors);
+
+    // full-text index: `node server.js --rebuild-index` rebuilds and exits;
+    // otherwise build at startup when missing or stale (FTS_AUTOBUILD=0 to skip)
+    const rebuildOnly = process.argv.includes("--rebuild-index");
+    if (rebuildOnly || process.env.FTS_AUTOBUILD !== "0") {
+      for (const tr of translations.list) {
+        try {
+          await ensureFtsIndex(db, tr, { force: rebuildOnly, tokenize: FTS_TOKENIZE, transaction: writes.transaction });
+        } catch (e) {
+          logger.warn(`FTS index for ${tr.code} not built (search falls back to LIKE)`, e);
+        }
+      }
+    }
+    if (rebuildOnly) {
+      await db.close();
+      return;
+    }
 
     // -------------------------
     // Helper: resolve book identifiers (numeric id, code, or name)
@@ -113,6 +289,18 @@ async function start() {
       const byName = await db.get(`SELECT book_id FROM books WHERE LOWER(name) = LOWER(?)`, [raw]);
       if (byName) return String(byName.book_id);
 
+      // known abbreviation ("Jn", "1 Cor", "Ps") -> canonical name / code / number
+      const canon = findCanonBook(raw);
+      if (canon) {
+        const byCanon = await db.get(
+          `SELECT book_id FROM books WHERE LOWER(name) = LOWER(?) OR UPPER(code) IN (?, ?) ORDER BY CAST(book_id AS INTEGER) LIMIT 1`,
+          [canon.name, canon.code, canon.osis.toUpperCase()]
+        );
+        if (byCanon) return String(byCanon.book_id);
+        const byNum = await db.get(`SELECT book_id FROM books WHERE book_id = ?`, [canon.num]);
+        if (byNum) return String(byNum.book_id);
+      }
+
       // prefix match
       const byLike = await db.get(`SELECT book_id FROM books WHERE LOWER(name) LIKE LOWER(?)`, [raw + '%']);
       if (byLike) return String(byLike.book_id);
@@ -131,32 +319,314 @@ async function start() {
       return null;
     }
 
+    // -------------------------
+    // Helper: admin guard. Admin routes need an API key with the admin scope, or
+    // ADMIN_TOKEN set and sent as "Authorization: Bearer <token>" or "x-admin-token: <token>"
+    // -------------------------
+    function requireAdmin(req, res, next) {
+      if (req.apiKey && req.apiKey.scopes.includes("admin")) return next();
+      if (!ADMIN_TOKEN) return res.status(403).json({ error: "Admin routes disabled (set ADMIN_TOKEN or use an API key with the admin scope)" });
+      const auth = req.get("authorization") || "";
+      const token = auth.startsWith("Bearer ") ? auth.slice(7) : req.get("x-admin-token");
+      if (token !== ADMIN_TOKEN) return res.status(401).json({ error: "Admin token required" });
+      next();
+    }
+
+    // -------------------------
+    // Helper: data version. PRAGMA data_version of a DB file moves when another
+    // connection (import_bible.js, the sqlite3 shell) commits to it, and is looked at
+    // no more than every DATA_CHECK_MS. Our own writes don't move it, so routes that
+    // change cached responses call dataChanged(). A change clears the response cache.
+    // -------------------------
+    const DATA_CHECK_MS = 2000;
+    let dataState = null; // { schemas: Map(schema -> data_version), files, checkedAt }
+    let localGeneration = 0;
+    async function dataVersion() {
+      if (dataState && Date.now() - dataState.checkedAt < DATA_CHECK_MS) return dataState;
+      const schemas = new Map();
+      for (const schema of new Set(["main", ...translations.list.map(t => t.schema)])) {
+        schemas.set(schema, (await db.get(`PRAGMA ${schema}.data_version`)).data_version);
+      }
+      const files = [...schemas.values()].join(".");
+      if (dataState && dataState.files !== files) {
+        responseCache.clear();
+        if (dataState.schemas.get("main") !== schemas.get("main")) {
+          booksCanonCache = null;
+          lexiconIndex = null;
+        }
+      }
+      dataState = { schemas, files, checkedAt: Date.now() };
+      return dataState;
+    }
+    const dataVersionKey = async () => `${(await dataVersion()).files}.${localGeneration}`;
+    function dataChanged() {
+      localGeneration++;
+      responseCache.clear();
+    }
+
+    // -------------------------
+    // API description (lib/openapi.js): /api/openapi.json, and path/query parameters
+    // checked against it before any route or cache sees the request (400 when invalid)
+    // -------------------------
+    const { version: apiVersion } = JSON.parse(fs.readFileSync(path.join(__dirname, "package.json"), "utf8"));
+    const openApiDoc = buildOpenApi({ version: apiVersion });
+    app.use(validateRequests());
+
+    // -------------------------
+    // API keys (lib/apiKeys.js): the scope of the matched operation, the key's allowed
+    // origins, then its per-minute limit and daily quota (RateLimit-* headers, 429).
+    // Without a key the caller has the scopes of ANONYMOUS_ACCESS. Admin routes are
+    // left to requireAdmin (ADMIN_TOKEN or a key with the admin scope).
+    // -------------------------
+    const keyUsage = createUsageTracker({
+      loadDay: async (keyId, day) =>
+        (await db.get(`SELECT requests, limited FROM api_key_usage WHERE key_id = ? AND day = ?`, [keyId, day])) || { requests: 0, limited: 0 },
+      saveUsage: rows =>
+        writes.transaction(async () => {
+          for (const u of rows) {
+            await db.run(
+              `INSERT INTO api_key_usage (key_id, day, requests, limited) VALUES (?, ?, ?, ?)
+               ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + excluded.requests, limited = limited + excluded.limited`,
+              [u.keyId, u.day, u.requests, u.limited]
+            );
+            await db.run(`UPDATE api_keys SET last_used_at = ? WHERE id = ?`, [u.lastUsedAt, u.keyId]);
+          }
+        })
+    });
+    app.use(async (req, res, next) => {
+      const op = req.apiOperation;
+      if (!op || op.public) return next();
+      if (req.apiKeyInvalid) return res.status(401).json({ error: "Unknown or revoked API key", code: "invalid_api_key" });
+      const key = req.apiKey;
+      const denied = checkAccess(op, key, { anonymousScopes: ANONYMOUS_SCOPES[ANONYMOUS_ACCESS], origin: req.get("origin") });
+      if (denied) return res.status(denied.status).json(denied.body);
+      if (!key) return next();
+      try {
+        const r = await keyUsage.hit({ id: key.id, rateLimit: key.rateLimit ?? API_KEY_RATE_LIMIT, dailyQuota: key.dailyQuota ?? API_KEY_DAILY_QUOTA });
+        res.set(rateLimitHeaders(r));
+        apiKeyRequests.inc({ key_id: key.id, result: r.exceeded || "ok" });
+        if (r.exceeded === "rate") {
+          res.set("Retry-After", String(Math.ceil(r.minute.resetMs / 1000)));
+          return res.status(429).json({ error: "Rate limit exceeded", code: "rate_limited", limit: r.minute.limit, window: "1m" });
+        }
+        if (r.exceeded === "quota") {
+          res.set("Retry-After", String(Math.ceil(r.day.resetMs / 1000)));
+          return res.status(429).json({ error: "Daily quota exceeded", code: "quota_exceeded", limit: r.day.limit, resetsAt: new Date(Date.now() + r.day.resetMs).toISOString() });
+        }
+        next();
+      } catch (err) {
+        next(err);
+      }
+    });
+
+    // -------------------------
+    // HTTP caching per route family (lib/responseCache.js): ETag + 304 everywhere in
+    // the family, Cache-Control from CACHE_CONTROL_<FAMILY>, bodies kept in the LRU.
+    // Responses to a key, or that need one (ANONYMOUS_ACCESS=none), are Cache-Control: private.
+    // -------------------------
+    const CACHE_FAMILIES = {
+      text: { paths: ["/api/verses", "/api/verse", "/api/passage", "/api/parallel", "/api/crossrefs"], cacheControl: "public, max-age=3600" },
+      lexicon: { paths: ["/api/lexicon", "/api/tokens", "/api/interlinear", "/api/concordance"], cacheControl: "public, max-age=86400" },
+      books: { paths: ["/api/books", "/api/chapters", "/api/outline", "/api/translations", "/api/versification"], cacheControl: "public, max-age=86400" },
+      comments: { paths: ["/api/comments"], cacheControl: "no-cache" }
+    };
+    const keyedResponse = req => Boolean(req.apiKey) || !ANONYMOUS_SCOPES[ANONYMOUS_ACCESS].includes("read");
+    for (const [family, { paths, cacheControl }] of Object.entries(CACHE_FAMILIES)) {
+      const header = process.env[`CACHE_CONTROL_${family.toUpperCase()}`] ?? cacheControl;
+      app.use(paths, cacheResponses(responseCache, { cacheControl: header, dataVersion: dataVersionKey, keyed: keyedResponse }));
+    }
+
+    // -------------------------
+    // Helper: translation for ?version= (the default when absent, null when unknown)
+    // -------------------------
+    function versionOf(req) {
+      return pickTranslation(translations, req.query.version);
+    }
+
+    // -------------------------
+    // Helper: numbering scheme for ?versification= (the DB's own when absent, null when unknown)
+    // -------------------------
+    function versificationOf(req) {
+      if (!req.query.versification) return DB_VERSIFICATION;
+      return findVersification(req.query.versification);
+    }
+
+    // -------------------------
+    // Helper: one chapter numbered in `scheme`, read from the DB's numbering.
+    // The chapter may come from parts of several DB chapters (Hebrew Joel 3 = English
+    // Joel 2:28-32); rows are renumbered and carry `mapped` = where they are stored.
+    // -------------------------
+    async function fetchMappedChapter(tr, bookId, chapter, scheme) {
+      const entry = (await booksWithCanon()).find(b => b.bookId === bookId);
+      if (!entry || !entry.canon) return [];
+      const osis = entry.canon.osis;
+      const span = mapPassage({ startChapter: chapter, startVerse: null, endChapter: chapter, endVerse: null }, osis, scheme, DB_VERSIFICATION);
+      if (!span) return [];
+      const rows = [];
+      for (const v of await fetchPassageVerses(tr, bookId, span)) {
+        const m = mapVerse(osis, Number(v.chapter), Number(v.verse), DB_VERSIFICATION, scheme);
+        if (!m || m.chapter !== chapter) continue;
+        rows.push({ id: v.id, verse: m.verse, text: v.text, mapped: { chapter: v.chapter, verse: v.verse } });
+      }
+      return rows;
+    }
+
+    // -------------------------
+    // Helper: verses of a parsed passage (see lib/reference.js)
+    // tries verses_api, then verses_with_book, then verses; returns [] if nothing matches
+    // -------------------------
+    async function fetchPassageVerses(tr, bookId, p) {
+      const where = ["book_id = ?"];
+      const args = [bookId];
+      if (p.startChapter !== null) {
+        where.push("(chapter > ? OR (chapter = ? AND verse >= ?))");
+        args.push(p.startChapter, p.startChapter, p.startVerse !== null ? p.startVerse : 0);
+        if (p.endVerse !== null) {
+          where.push("(chapter < ? OR (chapter = ? AND verse <= ?))");
+          args.push(p.endChapter, p.endChapter, p.endVerse);
+        } else {
+          where.push("chapter <= ?");
+          args.push(p.endChapter);
+        }
+      }
+
+      for (const s of tr.sources) {
+        try {
+          const rows = await db.all(
+            `SELECT id, chapter, verse, ${s.text} AS text
+             FROM ${s.table}
+             WHERE ${where.join(" AND ")}
+             ORDER BY chapter ASC, verse ASC`,
+            args
+          );
+          if (rows && rows.length) {
+            usedVersesTable(s.name);
+            return rows;
+          }
+        } catch (e) {
+          logger.warn(`passage: ${s.table} query failed`, { error: e.message });
+        }
+      }
+      return [];
+    }
+
+    // -------------------------
+    // Helper: texts of scattered verses in one translation.
+    // refs = [{ bookId, chapter, verse }] -> Map("bookId:chapter:verse" -> text)
+    // -------------------------
+    const verseKey = (b, c, v) => `${b}:${c}:${v}`;
+    async function fetchVerseTexts(tr, refs) {
+      const out = new Map();
+      for (let i = 0; i < refs.length; i += 200) {
+        let pending = refs.slice(i, i + 200);
+        for (const s of tr.sources) {
+          if (!pending.length) break;
+          try {
+            const rows = await db.all(
+              `SELECT book_id, chapter, verse, ${s.text} AS text
+               FROM ${s.table}
+               WHERE ${pending.map(() => "(book_id = ? AND chapter = ? AND verse = ?)").join(" OR ")}`,
+              pending.flatMap(r => [r.bookId, r.chapter, r.verse])
+            );
+            for (const r of rows) out.set(verseKey(r.book_id, r.chapter, r.verse), r.text);
+            if (rows.length) usedVersesTable(s.name);
+            pending = pending.filter(r => !out.has(verseKey(r.bookId, r.chapter, r.verse)));
+          } catch (e) {
+            logger.warn(`verse texts: ${s.table} query failed`, { error: e.message });
+          }
+        }
+      }
+      return out;
+    }
+
+    // -------------------------
+    // Helper: parse + resolve a free-form reference into passages with verses.
+    // Returns { passages } or { status, error } for the caller to send.
+    // -------------------------
+    const MAX_PASSAGES = 50;
+    async function loadPassages(tr, ref, scheme = DB_VERSIFICATION) {
+      let parsed;
+      try {
+        parsed = parseReference(ref);
+      } catch (e) {
+        if (e instanceof RefParseError) return { status: 400, error: e.message, segment: e.segment };
+        throw e;
+      }
+      if (parsed.length > MAX_PASSAGES) return { status: 400, error: `Too many passages (max ${MAX_PASSAGES})` };
+
+      const passages = [];
+      for (const p of parsed) {
+        const bookId = await resolveBookId(p.bookInput);
+        if (!bookId) return { status: 404, error: "Book not found", input: p.bookInput };
+        const book = await db.get(`SELECT name FROM books WHERE book_id = ?`, [bookId]);
+        const bookName = (book && book.name) || p.bookInput;
+        const label = formatReference(p, bookName);
+
+        // ?versification=: look up the DB-numbered equivalent, then number the verses back
+        let q = p;
+        if (scheme !== DB_VERSIFICATION && p.book) {
+          q = mapPassage(p, p.book.osis, scheme, DB_VERSIFICATION);
+          if (!q) return { status: 404, error: "No equivalent in the stored versification", ref: label, versification: scheme };
+        }
+
+        let verses = await fetchPassageVerses(tr, bookId, q);
+        if (!verses.length) return { status: 404, error: "Reference not found", ref: label };
+        if (q.startVerse !== null && (Number(verses[0].chapter) !== q.startChapter || Number(verses[0].verse) !== q.startVerse)) {
+          return { status: 404, error: "Verse not found", ref: `${bookName} ${p.startChapter}:${p.startVerse}` };
+        }
+        if (q !== p) {
+          verses = verses.map(v => {
+            const m = mapVerse(p.book.osis, Number(v.chapter), Number(v.verse), DB_VERSIFICATION, scheme) || { chapter: null, verse: null };
+            return { ...v, chapter: m.chapter, verse: m.verse, mapped: { chapter: v.chapter, verse: v.verse } };
+          });
+        }
+
+        const first = verses[0], last = verses[verses.length - 1];
+        passages.push({
+          ref: label,
+          ...(q !== p ? { mappedRef: formatReference(q, bookName), partial: q.partial } : {}),
+          bookId,
+          book: bookName,
+          start: { chapter: first.chapter, verse: first.verse },
+          end: { chapter: last.chapter, verse: last.verse },
+          verses
+        });
+      }
+      return { passages };
+    }
+
     // -------------------------
     // Root / health route
     // -------------------------
     app.get("/", (req, res) => {
       res.json({
         message: "Eden Bible API — healthy",
-        note: "Use /api/* endpoints",
-        endpoints: [
-          "/api/books",
-          "/api/chapters/:bookId",
-          "/api/verses/:bookId/:chapter",
-          "/api/verses/:bookId (returns chapters)",
-          "/api/verses/plain/:bookId/:chapter (plain text)",
-          "/api/verse/plain/:bookId/:chapter/:verse (plain verse)",
-          "/api/nav/book/:bookId",
-          "/api/nav/chapter/:bookId/:chapter",
-          "/api/nav/verse/:bookId/:chapter/:verse",
-          "/api/search?q=...",
-          "/api/search/plain?q=...&exact=1",
-          "/api/tokens/:verseId",
-          "/api/lexicon/:strong",
-          "/api/comments"
-        ]
+        note: "Use /api/* endpoints; parameters and responses are described in /api/openapi.json",
+        openapi: "/api/openapi.json",
+        endpoints: Object.entries(openApiDoc.paths).flatMap(([p, ops]) =>
+          Object.entries(ops).map(([method, op]) => `${method.toUpperCase()} ${p} — ${op.summary}`))
       });
     });
 
+    // -------------------------
+    // GET /api/openapi.json  (OpenAPI 3 document)
+    // -------------------------
+    app.get("/api/openapi.json", (req, res) => {
+      res.json(openApiDoc);
+    });
+
+    // -------------------------
+    // GET /api/translations  (catalogue; codes are what ?version= accepts)
+    // -------------------------
+    app.get("/api/translations", (req, res) => {
+      res.json(translations.list.map(t => ({
+        code: t.code,
+        name: t.name,
+        language: t.language,
+        default: t.code === translations.defaultCode
+      })));
+    });
+
     // -------------------------
     // GET /api/books
     // -------------------------
@@ -167,7 +637,7 @@ async function start() {
         const alt = await db.all(`SELECT book_id AS id, code, name FROM books ORDER BY name`);
         res.json(alt);
       } catch (err) {
-        console.error("GET /api/books error:", err);
+        logger.error("GET /api/books error", err);
         res.status(500).json({ error: err.message });
       }
     });
@@ -178,27 +648,14 @@ async function start() {
     app.get("/api/chapters/:bookId", async (req, res) => {
       try {
         const raw = req.params.bookId;
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
         const bookId = await resolveBookId(raw);
         if (!bookId) return res.json([]);
-
-        const sources = [
-          { sql: `SELECT DISTINCT chapter FROM verses_api WHERE book_id = ? ORDER BY chapter`, args: [bookId] },
-          { sql: `SELECT DISTINCT chapter FROM verses_with_book WHERE book_id = ? ORDER BY chapter`, args: [bookId] },
-          { sql: `SELECT DISTINCT chapter FROM verses WHERE book_id = ? ORDER BY chapter`, args: [bookId] }
-        ];
-
-        for (const s of sources) {
-          try {
-            const rows = await db.all(s.sql, s.args);
-            if (rows && rows.length) return res.json(rows.map(r => r.chapter));
-          } catch (e) {
-            console.warn("chapters: source query failed:", e.message);
-          }
-        }
-
-        return res.json([]);
+        const book = outlineBook(await outlineOf(tr), bookId);
+        res.json(book ? book.chapters.map(c => c.chapter) : []);
       } catch (err) {
-        console.error("GET /api/chapters error:", err);
+        logger.error("GET /api/chapters error", err);
         res.status(500).json({ error: err.message });
       }
     });
@@ -211,53 +668,66 @@ async function start() {
       try {
         const raw = req.params.bookId;
         const chapter = req.params.chapter;
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
         const bookId = await resolveBookId(raw);
-        console.log("[DEBUG] verses.resolveBookId(", raw, ") ->", bookId);
         if (!bookId) return res.status(404).json({ error: "Book not found", input: raw });
 
+        // ?versification=hebrew etc.: renumbered rows, each with its stored location in `mapped`
+        const scheme = versificationOf(req);
+        if (!scheme) return res.status(400).json({ error: "Unknown versification", versification: req.query.versification, known: Object.keys(VERSIFICATIONS) });
+        if (scheme !== DB_VERSIFICATION) return res.json(await fetchMappedChapter(tr, bookId, Number(chapter), scheme));
+
         // try verses_api, then verses_with_book, then verses
         try {
           const rowsApi = await db.all(
             `SELECT id, verse, COALESCE(text_plain, text, '') AS text
-             FROM verses_api
+             FROM ${tr.versesApi}
              WHERE book_id = ? AND chapter = ?
              ORDER BY verse ASC`,
             [bookId, chapter]
           );
-          if (rowsApi && rowsApi.length) return res.json(rowsApi);
+          if (rowsApi && rowsApi.length) {
+            usedVersesTable("verses_api");
+            return res.json(rowsApi);
+          }
         } catch (e) {
-          console.warn("verses_api query failed:", e.message);
+          logger.warn("verses_api query failed", { error: e.message });
         }
 
         try {
           const rowsW = await db.all(
             `SELECT id, verse, COALESCE(text_plain, text, '') AS text
-             FROM verses_with_book
+             FROM ${tr.versesWithBook}
              WHERE book_id = ? AND chapter = ?
              ORDER BY verse ASC`,
             [bookId, chapter]
           );
-          if (rowsW && rowsW.length) return res.json(rowsW);
+          if (rowsW && rowsW.length) {
+            usedVersesTable("verses_with_book");
+            return res.json(rowsW);
+          }
         } catch (e) {
-          console.warn("verses_with_book query failed:", e.message);
+          logger.warn("verses_with_book query failed", { error: e.message });
         }
 
         try {
           const rows = await db.all(
             `SELECT id, verse, COALESCE(text_plain, '') AS text
-             FROM verses
+             FROM ${tr.verses}
              WHERE book_id = ? AND chapter = ?
              ORDER BY verse ASC`,
             [bookId, chapter]
           );
+          if (rows && rows.length) usedVersesTable("verses");
           return res.json(rows || []);
         } catch (e) {
-          console.warn("verses query failed:", e.message);
+          logger.warn("verses query failed", { error: e.message });
         }
 
         return res.json([]);
       } catch (err) {
-        console.error("GET /api/verses error:", err);
+        logger.error("GET /api/verses error", err);
         res.status(500).json({ error: err.message });
       }
     });
@@ -268,223 +738,2166 @@ async function start() {
     app.get("/api/verses/:bookId", async (req, res) => {
       try {
         const raw = req.params.bookId;
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
         const bookId = await resolveBookId(raw);
         if (!bookId) return res.status(404).json({ error: "Book not found", input: raw });
-
-        const sources = [
-          { sql: `SELECT DISTINCT chapter FROM verses_api WHERE book_id = ? ORDER BY chapter`, args: [bookId] },
-          { sql: `SELECT DISTINCT chapter FROM verses_with_book WHERE book_id = ? ORDER BY chapter`, args: [bookId] },
-          { sql: `SELECT DISTINCT chapter FROM verses WHERE book_id = ? ORDER BY chapter`, args: [bookId] }
-        ];
-
-        for (const s of sources) {
-          try {
-            const rows = await db.all(s.sql, s.args);
-            if (rows && rows.length) return res.json(rows.map(r => r.chapter));
-          } catch (e) {
-            console.warn("verses(:bookId) chapters source failed:", e.message);
-          }
-        }
-
-        return res.json([]);
+        const book = outlineBook(await outlineOf(tr), bookId);
+        res.json(book ? book.chapters.map(c => c.chapter) : []);
       } catch (err) {
-        console.error("GET /api/verses/:bookId chapters error:", err);
+        logger.error("GET /api/verses/:bookId chapters error", err);
         res.status(500).json({ error: err.message });
       }
     });
 
     // -------------------------
-    // GET nav/book/:bookId  (prev/next book)
+    // Free-form passage lookup
+    // GET /api/passage?ref=Jn 3:16-18; Rom 8
     // -------------------------
-    app.get("/api/nav/book/:bookId", async (req, res) => {
-      const { bookId } = req.params;
+    app.get("/api/passage", async (req, res) => {
+      const ref = String(req.query.ref || "").trim();
+      if (!ref) return res.status(400).json({ error: "Provide ref" });
       try {
-        let orderRows = await db.all(`SELECT book_id, name FROM books ORDER BY CAST(book_id AS INTEGER)`);
-        if (!orderRows || orderRows.length === 0) {
-          orderRows = await db.all(`SELECT book_id, name FROM books ORDER BY name`);
-        }
-        const idx = orderRows.findIndex(r => String(r.book_id) === String(bookId));
-        const prev = idx > 0 ? orderRows[idx - 1] : null;
-        const next = idx >= 0 && idx < orderRows.length - 1 ? orderRows[idx + 1] : null;
-        res.json({ prev, next });
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const scheme = versificationOf(req);
+        if (!scheme) return res.status(400).json({ error: "Unknown versification", versification: req.query.versification, known: Object.keys(VERSIFICATIONS) });
+        const { status, passages, ...error } = await loadPassages(tr, ref, scheme);
+        if (status) return res.status(status).json(error);
+        res.json({ ref, version: tr.code, versification: scheme, passages });
       } catch (err) {
-        console.error("GET /api/nav/book error:", err);
+        logger.error("GET /api/passage error", err);
         res.status(500).json({ error: err.message });
       }
     });
 
     // -------------------------
-    // GET nav/chapter/:bookId/:chapter  (prev/next chapter)
+    // Plain-text passage lookup
+    // GET /api/passage/plain?ref=...
+    // returns "John 3:16. For God so loved..." one verse per line, blank line between passages
     // -------------------------
-    app.get("/api/nav/chapter/:bookId/:chapter", async (req, res) => {
-      const { bookId, chapter } = req.params;
+    app.get("/api/passage/plain", async (req, res) => {
+      const ref = String(req.query.ref || "").trim();
+      if (!ref) return res.status(400).type("text/plain").send("Provide ref");
       try {
-        const prevRow = await db.get(`SELECT MAX(chapter) AS chapter FROM verses WHERE book_id = ? AND chapter < ?`, [bookId, chapter]);
-        const nextRow = await db.get(`SELECT MIN(chapter) AS chapter FROM verses WHERE book_id = ? AND chapter > ?`, [bookId, chapter]);
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
+        const scheme = versificationOf(req);
+        if (!scheme) return res.status(400).type("text/plain").send("Unknown versification");
+        const { status, passages, error } = await loadPassages(tr, ref, scheme);
+        if (status) return res.status(status).type("text/plain").send(error);
+        const out = passages
+          .map(p => p.verses.map(v => `${p.book} ${v.chapter}:${v.verse}. ${sanitizeText(v.text)}`).join("\n"))
+          .join("\n\n");
+        res.type("text/plain").send(out);
+      } catch (err) {
+        logger.error("GET /api/passage/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
+      }
+    });
 
-        let prev = null;
-        let next = null;
+    // -------------------------
+    // Versification schemes (see lib/versification.js)
+    // GET /api/versification
+    // -------------------------
+    app.get("/api/versification", (req, res) => {
+      res.json({
+        stored: DB_VERSIFICATION,
+        schemes: Object.entries(VERSIFICATIONS).map(([id, v]) => ({ id, name: v.name, aliases: v.aliases }))
+      });
+    });
 
-        if (prevRow && prevRow.chapter !== null) {
-          prev = { bookId, chapter: prevRow.chapter };
-        } else {
-          const books = await db.all(`SELECT book_id FROM books ORDER BY CAST(book_id AS INTEGER)`);
-          const idx = books.findIndex(b => String(b.book_id) === String(bookId));
-          if (idx > 0) {
-            const prevBook = books[idx - 1].book_id;
-            const prevChap = await db.get(`SELECT MAX(chapter) AS chapter FROM verses WHERE book_id = ?`, [prevBook]);
-            if (prevChap && prevChap.chapter !== null) prev = { bookId: prevBook, chapter: prevChap.chapter };
-          }
+    // -------------------------
+    // Convert references between numbering schemes (no DB lookup)
+    // GET /api/versification/map?ref=Mal 3:19-24&from=hebrew&to=english
+    // `to` defaults to the stored scheme. Whole-chapter references map to the span
+    // the chapter covers, which can cross chapters (Hebrew Joel 3 -> English 2:28-32).
+    // -------------------------
+    app.get("/api/versification/map", (req, res) => {
+      const ref = String(req.query.ref || "").trim();
+      if (!ref || !req.query.from) return res.status(400).json({ error: "Provide ref and from" });
+      const from = findVersification(req.query.from);
+      const to = req.query.to ? findVersification(req.query.to) : DB_VERSIFICATION;
+      if (!from || !to) {
+        return res.status(400).json({ error: "Unknown versification", from: req.query.from, to: req.query.to, known: Object.keys(VERSIFICATIONS) });
+      }
+      let parsed;
+      try {
+        parsed = parseReference(ref);
+      } catch (e) {
+        if (e instanceof RefParseError) return res.status(400).json({ error: e.message, segment: e.segment });
+        logger.error("GET /api/versification/map error", e);
+        return res.status(500).json({ error: e.message });
+      }
+      const unknown = parsed.find(p => !p.book);
+      if (unknown) return res.status(400).json({ error: "Unknown book", input: unknown.bookInput });
+
+      const passages = parsed.map(p => {
+        const m = mapPassage(p, p.book.osis, from, to);
+        return m
+          ? { ref: formatReference(p), mapped: formatReference(m), partial: m.partial, start: { chapter: m.startChapter, verse: m.startVerse }, end: { chapter: m.endChapter, verse: m.endVerse } }
+          : { ref: formatReference(p), mapped: null, error: "No equivalent verse" };
+      });
+      res.json({ ref, from, to, passages });
+    });
+
+    // -------------------------
+    // Export a book, chapter or verse in a publishing format (see lib/export.js)
+    // GET /api/export/:bookId[/:chapter[/:verse]]?format=usfm|osis|markdown|html|csv|tsv[&download=1]
+    // without ?format= the Accept header decides (*/* gets USFM). Output is written
+    // chapter by chapter, so whole books stream instead of being built in memory.
+    // -------------------------
+    app.get("/api/export/:bookId{/:chapter{/:verse}}", async (req, res) => {
+      const format = req.query.format ? exportFormat(req.query.format) : exportFormatFromAccept(req);
+      if (!format) {
+        return res.status(req.query.format ? 400 : 406).json({ error: "Unknown export format", format: req.query.format || req.get("accept"), formats: Object.keys(EXPORT_FORMATS) });
+      }
+      const { bookId: raw, chapter: rawChapter, verse: rawVerse } = req.params;
+      const chapter = rawChapter === undefined ? null : Number(rawChapter);
+      const verse = rawVerse === undefined ? null : Number(rawVerse);
+      if ((chapter !== null && !Number.isInteger(chapter)) || (verse !== null && !Number.isInteger(verse))) {
+        return res.status(400).json({ error: "chapter and verse must be numbers" });
+      }
+
+      let started = false;
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const bookId = await resolveBookId(raw);
+        if (!bookId) return res.status(404).json({ error: "Book not found", input: raw });
+        const entry = (await booksWithCanon()).find(b => b.bookId === bookId);
+        const bookName = entry ? entry.name : raw;
+
+        let chapters = chapter !== null ? [chapter] : [];
+        if (chapter === null) {
+          const book = outlineBook(await outlineOf(tr), bookId);
+          if (book) chapters = book.chapters.map(c => c.chapter);
+        }
+        const passageOf = c => ({ startChapter: c, startVerse: verse, endChapter: c, endVerse: verse });
+
+        // load the first chapter before sending headers so a bad reference is still a 404
+        let verses = chapters.length ? await fetchPassageVerses(tr, bookId, passageOf(chapters[0])) : [];
+        const scopeLabel = chapter === null ? "" : verse === null ? ` ${chapter}` : ` ${chapter}:${verse}`;
+        if (!verses.length) return res.status(404).json({ error: "Reference not found", ref: bookName + scopeLabel });
+
+        const f = EXPORT_FORMATS[format];
+        const canon = entry && entry.canon;
+        const meta = {
+          book: bookName,
+          code: canon ? canon.code : null,
+          osis: canon ? canon.osis : bookName.replace(/[^\p{L}\p{N}]+/gu, ""),
+          version: tr.code,
+          language: tr.language,
+          title: `${bookName}${scopeLabel}`
+        };
+
+        res.set("Content-Type", `${f.type}; charset=utf-8`);
+        res.vary("Accept");
+        if (req.query.download === "1" || req.query.download === "true") {
+          res.attachment(`${meta.osis}${scopeLabel.replace(/\D+/g, ".")}.${tr.code}.${f.ext}`.replace(/\.+/g, "."));
+          res.set("Content-Type", `${f.type}; charset=utf-8`);
         }
 
-        if (nextRow && nextRow.chapter !== null) {
-          next = { bookId, chapter: nextRow.chapter };
-        } else {
-          const books = await db.all(`SELECT book_id FROM books ORDER BY CAST(book_id AS INTEGER)`);
-          const idx = books.findIndex(b => String(b.book_id) === String(bookId));
-          if (idx >= 0 && idx < books.length - 1) {
-            const nextBook = books[idx + 1].book_id;
-            const nextChap = await db.get(`SELECT MIN(chapter) AS chapter FROM verses WHERE book_id = ?`, [nextBook]);
-            if (nextChap && nextChap.chapter !== null) next = { bookId: nextBook, chapter: nextChap.chapter };
+        started = true;
+        let closed = false;
+        res.on("close", () => { closed = true; });
+        // waits for "drain", or for "close" when the client goes away (no drain comes then)
+        const write = chunk => {
+          if (closed || !chunk || res.write(chunk)) return;
+          return new Promise(resolve => {
+            const done = () => {
+              res.off("drain", done);
+              res.off("close", done);
+              resolve();
+            };
+            res.on("drain", done);
+            res.on("close", done);
+          });
+        };
+
+        await write(f.begin(meta));
+        for (let i = 0; i < chapters.length && !closed; i++) {
+          if (i > 0) verses = await fetchPassageVerses(tr, bookId, passageOf(chapters[i]));
+          if (!verses.length) continue;
+          await write(f.chapter(meta, chapters[i], i === 0));
+          for (let j = 0; j < verses.length && !closed; j++) {
+            const v = verses[j];
+            await write(f.verse(meta, { chapter: v.chapter, verse: v.verse, text: sanitizeText(v.text) }));
           }
         }
-
-        res.json({ prev, next });
+        if (closed) return;
+        await write(f.end(meta, true));
+        res.end();
       } catch (err) {
-        console.error("GET /api/nav/chapter error:", err);
+        logger.error("GET /api/export error", err);
+        if (started) return res.destroy(err);
         res.status(500).json({ error: err.message });
       }
     });
 
     // -------------------------
-    // JSON search (keeps your existing behaviour)
-    // GET /api/search?q=...
-    // Uses FTS if present, otherwise LIKE
+    // Helper: one chapter in several translations, lined up by verse number.
+    // Returns { status, error } or { bookId, book, chapter, versions, rows }
+    // where rows = [{ verse, texts: { CODE: text|null } }]
     // -------------------------
-    app.get("/api/search", async (req, res) => {
-      const q = (req.query.q || "").trim();
-      if (!q) return res.json([]);
-      try {
-        const ftsExists = (await db.get(`SELECT name FROM sqlite_master WHERE type='table' AND name='verses_fts'`)) !== undefined;
-        if (ftsExists) {
-          const rows = await db.all(
-            `SELECT v.book_id AS book, v.chapter, v.verse, v.text_plain AS text
-             FROM verses_fts f JOIN verses v ON v.id = f.rowid
-             WHERE verses_fts MATCH ?
-             LIMIT 200`,
-            [q]
-          );
-          return res.json(rows);
-        } else {
-          const rows = await db.all(
-            `SELECT book_id AS book, chapter, verse, text_plain AS text
-             FROM verses
-             WHERE LOWER(text_plain) LIKE '%' || LOWER(?) || '%'
-             LIMIT 200`,
-            [q]
-          );
-          return res.json(rows);
+    const MAX_PARALLEL = 5;
+    async function loadParallel(rawBook, rawChapter, rawVersions) {
+      const codes = [...new Set(String(rawVersions || "").split(",").map(v => v.trim()).filter(Boolean))];
+      if (!codes.length) return { status: 400, error: "Provide versions, e.g. ?versions=KJV,WEB" };
+      if (codes.length > MAX_PARALLEL) return { status: 400, error: `Too many versions (max ${MAX_PARALLEL})` };
+
+      const trs = [];
+      for (const code of codes) {
+        const tr = pickTranslation(translations, code);
+        if (!tr) return { status: 404, error: "Unknown version", version: code };
+        trs.push(tr);
+      }
+
+      const chapter = Number(rawChapter);
+      if (!Number.isInteger(chapter) || chapter < 1) return { status: 400, error: "Invalid chapter", input: rawChapter };
+      const bookId = await resolveBookId(rawBook);
+      if (!bookId) return { status: 404, error: "Book not found", input: rawBook };
+      const book = await db.get(`SELECT name FROM books WHERE book_id = ?`, [bookId]);
+
+      const whole = { startChapter: chapter, startVerse: null, endChapter: chapter, endVerse: null };
+      const byVerse = new Map();
+      for (const tr of trs) {
+        for (const v of await fetchPassageVerses(tr, bookId, whole)) {
+          const n = Number(v.verse);
+          if (!byVerse.has(n)) byVerse.set(n, {});
+          byVerse.get(n)[tr.code] = v.text;
         }
-      } catch (err) {
-        console.error("GET /api/search error:", err);
-        res.status(500).json({ error: err.message });
       }
-    });
+      if (!byVerse.size) return { status: 404, error: "Chapter not found", bookId, chapter };
+
+      const versions = trs.map(t => t.code);
+      const rows = [...byVerse.keys()].sort((a, b) => a - b).map(verse => ({
+        verse,
+        texts: Object.fromEntries(versions.map(c => [c, byVerse.get(verse)[c] ?? null]))
+      }));
+      return { bookId, book: book ? book.name : null, chapter, versions, rows };
+    }
 
     // -------------------------
-    // Tokens and lexicon endpoints (unchanged)
+    // Parallel chapter across translations (JSON)
+    // GET /api/parallel/:bookId/:chapter?versions=KJV,WEB
     // -------------------------
-    app.get("/api/tokens/:verseId", async (req, res) => {
-      const { verseId } = req.params;
+    app.get("/api/parallel/:bookId/:chapter", async (req, res) => {
       try {
-        const rows = await db.all(
-          `SELECT id, verse_id, word_index AS position, surface, strong
-           FROM tokens
-           WHERE verse_id = ?
-           ORDER BY word_index ASC`,
-          [verseId]
-        );
-        res.json({ tokens: rows });
+        const { status, ...result } = await loadParallel(req.params.bookId, req.params.chapter, req.query.versions);
+        if (status) return res.status(status).json(result);
+        res.json(result);
       } catch (err) {
-        console.error("GET /api/tokens error:", err);
+        logger.error("GET /api/parallel error", err);
         res.status(500).json({ error: err.message });
       }
     });
 
-    app.get("/api/lexicon/:strong", async (req, res) => {
-      const strong = req.params.strong;
+    // -------------------------
+    // Parallel chapter, plain text
+    // GET /api/parallel/plain/:bookId/:chapter?versions=KJV,WEB
+    // "16. [KJV] text" with the other versions on indented lines below;
+    // versions without that verse are left out
+    // -------------------------
+    app.get("/api/parallel/plain/:bookId/:chapter", async (req, res) => {
       try {
-        const row = await db.get(
-          `SELECT strong, language, lemma, transliteration, definition FROM lexicon WHERE strong = ? LIMIT 1`,
-          [strong]
-        );
-        res.json(row || null);
+        const { status, error, versions, rows } = await loadParallel(req.params.bookId, req.params.chapter, req.query.versions);
+        if (status) return res.status(status).type("text/plain").send(error);
+
+        const out = rows.map(r => {
+          const prefix = `${r.verse}. `;
+          return versions
+            .filter(c => r.texts[c] !== null)
+            .map((c, i) => `${i === 0 ? prefix : " ".repeat(prefix.length)}[${c}] ${sanitizeText(r.texts[c])}`)
+            .join("\n");
+        }).join("\n");
+        res.type("text/plain").send(out);
       } catch (err) {
-        console.error("GET /api/lexicon error:", err);
-        res.status(500).json({ error: err.message });
+        logger.error("GET /api/parallel/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
       }
     });
 
     // -------------------------
-    // Comments GET and POST (unchanged)
+    // Cross references (loaded with import_crossrefs.js)
+    // GET /api/crossrefs/:bookId/:chapter/:verse?limit=20&minVotes&version&text=0
+    //     passages referenced from that verse, highest votes first, with their text
+    // GET /api/crossrefs/:bookId/:chapter?limit=5&...
+    //     the same for every verse of the chapter, grouped by source; limit is per group
     // -------------------------
-    app.get("/api/comments", async (req, res) => {
-      const { bookId, chapter, verse } = req.query;
-      if (!bookId || !chapter || !verse) return res.status(400).json({ error: "Provide bookId, chapter, verse" });
+    const CROSSREF_FIELDS = `from_chapter, from_verse, from_end_chapter, from_end_verse,
+                             to_book_id, to_chapter, to_verse, to_end_chapter, to_end_verse, votes`;
+
+    // one stored row -> { ref, bookId, book, startChapter, ..., votes, verses? }
+    async function crossrefTarget(tr, row, withText) {
+      const bookId = String(row.to_book_id);
+      const entry = (await booksWithCanon()).find(b => b.bookId === bookId);
+      const book = entry ? entry.name : bookId;
+      const p = { startChapter: row.to_chapter, startVerse: row.to_verse, endChapter: row.to_end_chapter, endVerse: row.to_end_verse };
+      const out = { ref: formatReference(p, book), bookId, book, ...p, votes: row.votes };
+      if (withText) out.verses = (await fetchPassageVerses(tr, bookId, p)).map(v => ({ chapter: v.chapter, verse: v.verse, text: v.text }));
+      return out;
+    }
+
+    app.get("/api/crossrefs/:bookId/:chapter{/:verse}", async (req, res) => {
+      const { bookId: raw } = req.params;
+      const chapter = Number(req.params.chapter);
+      const verse = req.params.verse === undefined ? null : Number(req.params.verse);
+      if (!Number.isInteger(chapter) || (verse !== null && !Number.isInteger(verse))) {
+        return res.status(400).json({ error: "chapter and verse must be numbers" });
+      }
+      const minVotes = req.query.minVotes === undefined ? null : Number(req.query.minVotes);
+      if (minVotes !== null && !Number.isInteger(minVotes)) return res.status(400).json({ error: "minVotes must be a whole number" });
+      const withText = req.query.text !== "0" && req.query.text !== "false";
+      const { limit } = parsePaging(req.query, verse !== null ? { limit: 20, max: 200 } : { limit: 5, max: 50 });
+
       try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const bookId = await resolveBookId(raw);
+        if (!bookId) return res.status(404).json({ error: "Book not found", input: raw });
+        const entry = (await booksWithCanon()).find(b => b.bookId === bookId);
+        const bookName = entry ? entry.name : raw;
+
+        // source ranges covering the verse, or touching the chapter
+        const where = ["from_book_id = ?", "from_chapter <= ?", "from_end_chapter >= ?"];
+        const args = [bookId, chapter, chapter];
+        if (verse !== null) {
+          where.push(
+            "(from_chapter < ? OR from_verse IS NULL OR from_verse <= ?)",
+            "(from_end_chapter > ? OR from_end_verse IS NULL OR from_end_verse >= ?)"
+          );
+          args.push(chapter, verse, chapter, verse);
+        }
+        if (minVotes !== null) {
+          where.push("votes >= ?");
+          args.push(minVotes);
+        }
         const rows = await db.all(
-          `SELECT id, author, body, created_at AS createdAt FROM comments WHERE book = ? AND chapter = ? AND verse = ? ORDER BY created_at DESC`,
-          [bookId, chapter, verse]
+          `SELECT ${CROSSREF_FIELDS} FROM cross_references WHERE ${where.join(" AND ")}
+           ORDER BY votes DESC, to_book_id, to_chapter, to_verse`,
+          args
         );
-        res.json(rows);
+
+        if (verse !== null) {
+          const results = [];
+          for (const r of rows.slice(0, limit)) results.push(await crossrefTarget(tr, r, withText));
+          return res.json({
+            bookId,
+            book: bookName,
+            chapter,
+            verse,
+            ref: `${bookName} ${chapter}:${verse}`,
+            version: tr.code,
+            total: rows.length,
+            limit,
+            results
+          });
+        }
+
+        // group by source range, in reading order; rows are already by votes within a group
+        const groups = new Map();
+        for (const r of rows) {
+          const from = { startChapter: r.from_chapter, startVerse: r.from_verse, endChapter: r.from_end_chapter, endVerse: r.from_end_verse };
+          const key = `${from.startChapter}:${from.startVerse}-${from.endChapter}:${from.endVerse}`;
+          if (!groups.has(key)) groups.set(key, { ref: formatReference(from, bookName), ...from, total: 0, rows: [] });
+          const g = groups.get(key);
+          g.total++;
+          if (g.rows.length < limit) g.rows.push(r);
+        }
+        const sources = [...groups.values()].sort((a, b) => a.startChapter - b.startChapter || (a.startVerse || 0) - (b.startVerse || 0));
+        const out = [];
+        for (const { rows: targets, ...g } of sources) {
+          const results = [];
+          for (const r of targets) results.push(await crossrefTarget(tr, r, withText));
+          out.push({ ...g, results });
+        }
+        res.json({ bookId, book: bookName, chapter, version: tr.code, total: rows.length, limit, sources: out });
       } catch (err) {
-        console.error("GET /api/comments error:", err);
+        logger.error("GET /api/crossrefs error", err);
         res.status(500).json({ error: err.message });
       }
     });
 
-    app.post("/api/comments", async (req, res) => {
-      const { bookId, chapter, verse, author, body } = req.body || {};
-      if (!bookId || !chapter || !verse || !body) return res.status(400).json({ error: "Missing fields" });
-      try {
-        const result = await db.run(
-          `INSERT INTO comments (book, chapter, verse, author, body) VALUES (?, ?, ?, ?, ?)`,
-          [bookId, chapter, verse, author || "anonymous", body]
+    // -------------------------
+    // Helper: verse of the day for a date. Picks from the curated votd_verses list
+    // (source=curated, the default when the list has entries) or from every verse of
+    // the translation (source=all); the date alone decides which, so every client sees
+    // the same verse all day. Returns { status, error } or the JSON body.
+    // -------------------------
+    const VOTD_TZ = localDate(process.env.VOTD_TZ || "UTC") ? process.env.VOTD_TZ || "UTC" : "UTC";
+    async function verseOfTheDay(tr, query) {
+      const timeZone = query.tz ? String(query.tz) : VOTD_TZ;
+      const today = localDate(timeZone);
+      if (!today) return { status: 400, error: "Unknown time zone", tz: query.tz };
+      const date = query.date ? String(query.date) : today;
+      if (!isValidDate(date)) return { status: 400, error: "date must be YYYY-MM-DD", date: query.date };
+      let source = query.source ? String(query.source) : null;
+      if (source && source !== "curated" && source !== "all") return { status: 400, error: "source must be curated or all", source };
+
+      const list = source === "all" ? [] : await db.all(`SELECT id, book_id, chapter, verse, verse_end FROM votd_verses ORDER BY id`);
+      if (source === "curated" && !list.length) return { status: 404, error: "The verse of the day list is empty" };
+      source = list.length ? "curated" : "all";
+
+      let bookId, verses;
+      if (source === "curated") {
+        const pick = list[seedIndex(`votd:${date}`, list.length)];
+        bookId = String(pick.book_id);
+        verses = await fetchPassageVerses(tr, bookId, { startChapter: pick.chapter, startVerse: pick.verse, endChapter: pick.chapter, endVerse: pick.verse_end ?? pick.verse });
+        if (!verses.length) return { status: 404, error: "Verse of the day not found in this version", version: tr.code };
+      } else {
+        const count = (await db.get(`SELECT COUNT(*) AS n FROM ${tr.verses}`)).n;
+        if (!count) return { status: 404, error: "No verses" };
+        const row = await db.get(
+          `SELECT id, book_id, chapter, verse, text_plain AS text FROM ${tr.verses} ORDER BY id LIMIT 1 OFFSET ?`,
+          [seedIndex(`votd:${date}`, count)]
         );
-        const saved = await db.get(`SELECT id, author, body, created_at AS createdAt FROM comments WHERE id = ?`, [result.lastID]);
-        res.json(saved);
+        bookId = String(row.book_id);
+        verses = [{ id: row.id, chapter: row.chapter, verse: row.verse, text: row.text }];
+      }
+      return { date, timezone: timeZone, source, version: tr.code, ...(await verseResult(bookId, verses)) };
+    }
+
+    // { ref, bookId, book, chapter, verse, verseEnd, text, verses } for verses of one chapter
+    async function verseResult(bookId, verses) {
+      const entry = (await booksWithCanon()).find(b => b.bookId === bookId);
+      const book = entry ? entry.name : bookId;
+      const first = verses[0], last = verses[verses.length - 1];
+      const p = { startChapter: Number(first.chapter), startVerse: Number(first.verse), endChapter: Number(last.chapter), endVerse: Number(last.verse) };
+      return {
+        ref: formatReference(p, book),
+        bookId,
+        book,
+        chapter: p.startChapter,
+        verse: p.startVerse,
+        verseEnd: verses.length > 1 ? p.endVerse : null,
+        text: verses.map(v => sanitizeText(v.text)).join(" "),
+        verses: verses.map(v => ({ chapter: v.chapter, verse: v.verse, text: v.text }))
+      };
+    }
+
+    // same layout as /api/search/plain: "John 3:16. For God so loved..."
+    const plainVerseLines = r => r.verses.map(v => `${r.book} ${v.chapter}:${v.verse}. ${sanitizeText(v.text)}`).join("\n");
+
+    // -------------------------
+    // Helper: seeded random verse, optionally scoped like /api/search
+    // (book, from/to, testament, group, chapterFrom/chapterTo). Without ?seed= a fresh
+    // seed is made; it comes back in the result so the pick can be repeated.
+    // -------------------------
+    async function randomVerse(tr, query) {
+      const scope = await resolveSearchScope(query, "v");
+      if (scope.error) return scope;
+      const seed = query.seed !== undefined && query.seed !== "" ? String(query.seed).slice(0, 200) : newSeed();
+      const count = (await db.get(`SELECT COUNT(*) AS n FROM ${tr.verses} v WHERE ${scope.where.sql}`, scope.where.args)).n;
+      if (!count) return { status: 404, error: "No verses in that scope", scope: scope.scope };
+      const row = await db.get(
+        `SELECT v.id, v.book_id, v.chapter, v.verse, v.text_plain AS text FROM ${tr.verses} v
+         WHERE ${scope.where.sql} ORDER BY v.id LIMIT 1 OFFSET ?`,
+        [...scope.where.args, seedIndex(`random:${seed}`, count)]
+      );
+      const result = await verseResult(String(row.book_id), [{ id: row.id, chapter: row.chapter, verse: row.verse, text: row.text }]);
+      return { seed, scope: scope.scope, version: tr.code, ...result };
+    }
+
+    // -------------------------
+    // Verse of the day / random verse
+    // GET /api/votd?date=YYYY-MM-DD&tz=Europe/Berlin&source=curated|all&version=
+    // GET /api/votd/plain           same, as "Book C:V. text" lines
+    // GET /api/random?seed=&book=&testament=OT|NT&version=   (+ the /api/search scope filters)
+    // GET /api/random/plain
+    // date defaults to today in tz (default VOTD_TZ, else UTC)
+    // -------------------------
+    app.get("/api/votd", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const { status, ...body } = await verseOfTheDay(tr, req.query);
+        res.status(status || 200).json(body);
       } catch (err) {
-        console.error("POST /api/comments error:", err);
+        logger.error("GET /api/votd error", err);
         res.status(500).json({ error: err.message });
       }
     });
 
-    // -------------------------
-    // Plain-text chapter (robust)
-    // GET /api/verses/plain/:bookId/:chapter
-    // -------------------------
-    app.get("/api/verses/plain/:bookId/:chapter", async (req, res) => {
+    app.get("/api/votd/plain", async (req, res) => {
       try {
-        const raw = req.params.bookId;
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
+        const r = await verseOfTheDay(tr, req.query);
+        if (r.status) return res.status(r.status).type("text/plain").send(r.error);
+        res.type("text/plain").send(plainVerseLines(r));
+      } catch (err) {
+        logger.error("GET /api/votd/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
+      }
+    });
+
+    app.get("/api/random", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const { status, ...body } = await randomVerse(tr, req.query);
+        res.status(status || 200).json(body);
+      } catch (err) {
+        logger.error("GET /api/random error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/random/plain", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
+        const r = await randomVerse(tr, req.query);
+        if (r.status) return res.status(r.status).type("text/plain").send(r.error);
+        res.type("text/plain").send(plainVerseLines(r));
+      } catch (err) {
+        logger.error("GET /api/random/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
+      }
+    });
+
+    // -------------------------
+    // Verse of the day list (admin)
+    // GET    /api/admin/votd
+    // POST   /api/admin/votd   { ref: "John 3:16" | "Rom 8:38-39" }   one passage within a chapter
+    // DELETE /api/admin/votd/:id
+    // -------------------------
+    app.get("/api/admin/votd", requireAdmin, async (req, res) => {
+      try {
+        const rows = await db.all(
+          `SELECT x.id, x.book_id AS bookId, b.name AS book, x.chapter, x.verse, x.verse_end AS verseEnd, x.added_at AS addedAt
+           FROM votd_verses x LEFT JOIN books b ON b.book_id = x.book_id ORDER BY x.id`
+        );
+        res.json(rows.map(r => ({
+          ...r,
+          bookId: String(r.bookId),
+          ref: formatReference({ startChapter: r.chapter, startVerse: r.verse, endChapter: r.chapter, endVerse: r.verseEnd ?? r.verse }, r.book || String(r.bookId))
+        })));
+      } catch (err) {
+        logger.error("GET /api/admin/votd error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post("/api/admin/votd", requireAdmin, async (req, res) => {
+      try {
+        const { ref } = req.body || {};
+        if (!ref) return res.status(400).json({ error: "Provide ref" });
+        let parsed;
+        try {
+          parsed = parseReference(ref);
+        } catch (e) {
+          if (e instanceof RefParseError) return res.status(400).json({ error: e.message, segment: e.segment });
+          throw e;
+        }
+        const p = parsed[0];
+        if (parsed.length !== 1 || p.startVerse === null || p.endVerse === null || p.startChapter !== p.endChapter) {
+          return res.status(400).json({ error: "ref must be one verse or a verse range within a chapter", ref });
+        }
+        const bookId = await resolveBookId(p.bookInput);
+        if (!bookId) return res.status(404).json({ error: "Book not found", input: p.bookInput });
+        const verses = await fetchPassageVerses(pickTranslation(translations), bookId, p);
+        if (!verses.length) return res.status(404).json({ error: "Reference not found", ref });
+        const result = await writes.run(
+          `INSERT INTO votd_verses (book_id, chapter, verse, verse_end) VALUES (?, ?, ?, ?)`,
+          [bookId, p.startChapter, p.startVerse, p.endVerse !== p.startVerse ? p.endVerse : null]
+        );
+        res.status(201).json({ id: result.lastID, bookId, chapter: p.startChapter, verse: p.startVerse, verseEnd: p.endVerse !== p.startVerse ? p.endVerse : null });
+      } catch (err) {
+        logger.error("POST /api/admin/votd error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete("/api/admin/votd/:id", requireAdmin, async (req, res) => {
+      try {
+        const result = await writes.run(`DELETE FROM votd_verses WHERE id = ?`, [req.params.id]);
+        if (!result.changes) return res.status(404).json({ error: "Not found", id: req.params.id });
+        res.json({ id: Number(req.params.id), deleted: true });
+      } catch (err) {
+        logger.error("DELETE /api/admin/votd error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // GET nav/book/:bookId?step=1  (prev/next book with text in this version)
+    // -------------------------
+    app.get("/api/nav/book/:bookId", async (req, res) => {
+      try {
+        const raw = req.params.bookId;
+        const n = navStep(req);
+        if (n === null) return res.status(400).json({ error: "step must be a positive whole number", step: req.query.step });
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const bookId = await resolveBookId(raw);
+        const nav = bookId && stepBook(await outlineOf(tr), bookId, n);
+        if (!nav) return res.status(404).json({ error: "Book not found", input: raw });
+        const out = b => (b ? { book_id: b.bookId, name: b.name } : null);
+        res.json({ prev: out(nav.prev), next: out(nav.next) });
+      } catch (err) {
+        logger.error("GET /api/nav/book error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // GET nav/chapter/:bookId/:chapter?step=1  (prev/next chapter, across books)
+    // -------------------------
+    app.get("/api/nav/chapter/:bookId/:chapter", async (req, res) => {
+      try {
+        const { bookId: raw } = req.params;
+        const chapter = Number(req.params.chapter);
+        if (!Number.isInteger(chapter)) return res.status(400).json({ error: "chapter must be a number" });
+        const n = navStep(req);
+        if (n === null) return res.status(400).json({ error: "step must be a positive whole number", step: req.query.step });
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const bookId = await resolveBookId(raw);
+        const nav = bookId && stepChapter(await outlineOf(tr), bookId, chapter, n);
+        if (!nav) return res.status(404).json({ error: "Book not found", input: raw });
+        res.json(nav);
+      } catch (err) {
+        logger.error("GET /api/nav/chapter error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Helper: DB books in order, each matched to its canon entry (for testament/groups)
+    // -------------------------
+    let booksCanonCache = null;
+    async function booksWithCanon() {
+      if (booksCanonCache) return booksCanonCache;
+      const rows = await db.all(`SELECT book_id, code, name FROM books ORDER BY CAST(book_id AS INTEGER)`);
+      booksCanonCache = rows.map(r => ({
+        bookId: String(r.book_id),
+        name: r.name,
+        canon: findCanonBook(r.code) || findCanonBook(r.name) || CANON.find(c => c.num === Number(r.book_id)) || null
+      }));
+      return booksCanonCache;
+    }
+
+    // -------------------------
+    // Helper: outline of a translation (lib/outline.js), built at startup and rebuilt
+    // when dataVersion() says its file (or main, where books live) has changed
+    // -------------------------
+    const outlines = new Map(); // code -> { outline, dataVersion }
+    async function outlineOf(tr) {
+      const v = await dataVersion();
+      const key = `${v.schemas.get("main")}:${v.schemas.get(tr.schema)}`;
+      const cached = outlines.get(tr.code);
+      if (cached && cached.dataVersion === key) return cached.outline;
+      const rows = await db.all(`SELECT book_id, chapter, verse FROM ${tr.verses} ORDER BY book_id, chapter, verse`);
+      const outline = buildOutline(await booksWithCanon(), rows);
+      outlines.set(tr.code, { outline, dataVersion: key });
+      return outline;
+    }
+
+    // ?step=N for the nav routes; null when not a positive whole number
+    function navStep(req) {
+      if (req.query.step === undefined) return 1;
+      const n = Number(req.query.step);
+      return Number.isInteger(n) && n >= 1 ? n : null;
+    }
+
+    // -------------------------
+    // Helper: search scope from query params
+    //   book=John | from=Matthew&to=John | testament=OT|NT | group=gospels
+    //   chapterFrom=3&chapterTo=5 (needs a single book)
+    // Filters combine (intersection). Returns { status, error } or
+    // { where: { sql, args }, scope } where scope echoes what was applied.
+    // -------------------------
+    async function resolveSearchScope(query, alias = "v") {
+      const books = await booksWithCanon();
+      let ids = null; // null = every book
+      const scope = {};
+      const narrow = list => { ids = ids === null ? list : ids.filter(id => list.includes(id)); };
+
+      if (query.book) {
+        const bookId = await resolveBookId(query.book);
+        if (!bookId) return { status: 404, error: "Book not found", input: query.book };
+        narrow([bookId]);
+        scope.book = bookId;
+      }
+      if (query.from || query.to) {
+        const fromId = query.from ? await resolveBookId(query.from) : books[0] && books[0].bookId;
+        const toId = query.to ? await resolveBookId(query.to) : books.length && books[books.length - 1].bookId;
+        if (!fromId) return { status: 404, error: "Book not found", input: query.from };
+        if (!toId) return { status: 404, error: "Book not found", input: query.to };
+        const i = books.findIndex(b => b.bookId === fromId);
+        const j = books.findIndex(b => b.bookId === toId);
+        if (i > j) return { status: 400, error: "Book range runs backwards", from: query.from, to: query.to };
+        narrow(books.slice(i, j + 1).map(b => b.bookId));
+        scope.from = fromId;
+        scope.to = toId;
+      }
+      if (query.testament) {
+        const t = String(query.testament).toUpperCase();
+        if (t !== "OT" && t !== "NT") return { status: 400, error: "testament must be OT or NT", input: query.testament };
+        narrow(books.filter(b => b.canon && b.canon.testament === t).map(b => b.bookId));
+        scope.testament = t;
+      }
+      if (query.group) {
+        const key = String(query.group).toLowerCase();
+        const range = CANON_GROUPS[key];
+        if (!range) return { status: 400, error: "Unknown group", input: query.group, groups: Object.keys(CANON_GROUPS) };
+        narrow(books.filter(b => b.canon && b.canon.num >= range[0] && b.canon.num <= range[1]).map(b => b.bookId));
+        scope.group = key;
+      }
+
+      const parts = [];
+      const args = [];
+      if (ids !== null) {
+        if (!ids.length) return { where: { sql: "0", args: [] }, scope };
+        parts.push(`${alias}.book_id IN (${ids.map(() => "?").join(",")})`);
+        args.push(...ids);
+      }
+
+      if (query.chapterFrom || query.chapterTo) {
+        if (ids === null || ids.length !== 1) return { status: 400, error: "chapterFrom/chapterTo need a single book (book=...)" };
+        const cf = query.chapterFrom ? Number(query.chapterFrom) : 1;
+        const ct = query.chapterTo ? Number(query.chapterTo) : cf;
+        if (!Number.isInteger(cf) || !Number.isInteger(ct) || cf < 1 || ct < cf) {
+          return { status: 400, error: "Invalid chapter range", chapterFrom: query.chapterFrom, chapterTo: query.chapterTo };
+        }
+        parts.push(`${alias}.chapter BETWEEN ? AND ?`);
+        args.push(cf, ct);
+        scope.chapterFrom = cf;
+        scope.chapterTo = ct;
+      }
+
+      return { where: { sql: parts.length ? parts.join(" AND ") : "1", args }, scope };
+    }
+
+    // -------------------------
+    // JSON search, ranked and paged
+    // GET /api/search?q=...&limit=50&offset=0
+    // q supports "phrases", AND/OR/NOT and prefix* (see lib/search.js).
+    // Scope filters: book, from/to, testament, group, chapterFrom/chapterTo (see resolveSearchScope).
+    // Uses FTS (bm25 rank + snippet) if present, otherwise LIKE in canonical order.
+    // byBook holds the hit count per book over the whole result set, not just this page.
+    // -------------------------
+    app.get("/api/search", async (req, res) => {
+      const q = (req.query.q || "").trim();
+      const paging = parsePaging(req.query, { limit: 50, max: 500 });
+      if (!q) return res.json({ query: q, ...pageInfo(0, paging), byBook: [], results: [] });
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+
+        let ast;
+        try {
+          ast = parseSearchQuery(q);
+        } catch (e) {
+          if (e instanceof SearchSyntaxError) return res.status(400).json({ error: e.message, query: q });
+          throw e;
+        }
+
+        const { status, where: scopeWhere, scope, ...scopeError } = await resolveSearchScope(req.query);
+        if (status) return res.status(status).json(scopeError);
+
+        const ftsExists = await hasTable(db, tr, "verses_fts");
+        if (ftsExists) {
+          const fcol = `f.${tr.prefix}verses_fts`;
+          const match = toFtsQuery(ast);
+          const from = `FROM ${tr.fts} f
+               JOIN ${tr.verses} v ON v.id = f.rowid
+               LEFT JOIN books b ON b.book_id = v.book_id
+               WHERE ${fcol} MATCH ? AND ${scopeWhere.sql}`;
+          const args = [match, ...scopeWhere.args];
+          try {
+            const byBook = await db.all(
+              `SELECT v.book_id AS bookId, b.name AS book, COUNT(*) AS hits ${from}
+               GROUP BY v.book_id ORDER BY CAST(v.book_id AS INTEGER)`,
+              args
+            );
+            const rows = await db.all(
+              `SELECT v.id, v.book_id AS book, b.name AS bookName, v.chapter, v.verse, v.text_plain AS text,
+                      snippet(${tr.prefix}verses_fts, -1, '<mark>', '</mark>', '…', 24) AS snippet,
+                      bm25(${tr.prefix}verses_fts) AS score
+               ${from}
+               ORDER BY score
+               LIMIT ? OFFSET ?`,
+              [...args, paging.limit, paging.offset]
+            );
+            const total = byBook.reduce((n, r) => n + r.hits, 0);
+            return res.json({ query: q, scope, ...pageInfo(total, paging), byBook, results: rows });
+          } catch (e) {
+            // our compiled query is always well-formed; what's left is FTS rejecting it
+            if (/fts5|MATCH|syntax/i.test(e.message)) return res.status(400).json({ error: "Invalid search query", query: q });
+            throw e;
+          }
+        } else {
+          const where = toWhereClause(ast, n => ({
+            sql: `LOWER(v.text_plain) LIKE ?`,
+            args: [`%${n.text}%`]
+          }));
+          const from = `FROM ${tr.verses} v
+             LEFT JOIN books b ON b.book_id = v.book_id
+             WHERE ${where.sql} AND ${scopeWhere.sql}`;
+          const args = [...where.args, ...scopeWhere.args];
+          const byBook = await db.all(
+            `SELECT v.book_id AS bookId, b.name AS book, COUNT(*) AS hits ${from}
+             GROUP BY v.book_id ORDER BY CAST(v.book_id AS INTEGER)`,
+            args
+          );
+          const rows = await db.all(
+            `SELECT v.id, v.book_id AS book, b.name AS bookName, v.chapter, v.verse, v.text_plain AS text
+             ${from}
+             ORDER BY CAST(v.book_id AS INTEGER), v.chapter, v.verse
+             LIMIT ? OFFSET ?`,
+            [...args, paging.limit, paging.offset]
+          );
+          const terms = positiveTerms(ast);
+          const results = rows.map(r => ({ ...r, snippet: highlightSnippet(r.text, terms), score: null }));
+          const total = byBook.reduce((n, r) => n + r.hits, 0);
+          return res.json({ query: q, scope, ...pageInfo(total, paging), byBook, results });
+        }
+      } catch (err) {
+        logger.error("GET /api/search error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Search index status / rebuild (admin)
+    // GET  /api/admin/index            status of every translation's index
+    // POST /api/admin/index/rebuild    rebuild (?version= for one translation)
+    // -------------------------
+    app.get("/api/admin/index", requireAdmin, async (req, res) => {
+      try {
+        const out = [];
+        for (const tr of translations.list) {
+          try {
+            out.push(await ftsStatus(db, tr, { tokenize: FTS_TOKENIZE }));
+          } catch (e) {
+            out.push({ version: tr.code, error: e.message });
+          }
+        }
+        res.json({ tokenize: FTS_TOKENIZE, indexes: out });
+      } catch (err) {
+        logger.error("GET /api/admin/index error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post("/api/admin/index/rebuild", requireAdmin, async (req, res) => {
+      try {
+        let targets = translations.list;
+        if (req.query.version) {
+          const tr = versionOf(req);
+          if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+          targets = [tr];
+        }
+        const out = [];
+        for (const tr of targets) out.push(await ensureFtsIndex(db, tr, { force: true, tokenize: FTS_TOKENIZE, transaction: writes.transaction }));
+        res.json({ tokenize: FTS_TOKENIZE, indexes: out });
+      } catch (err) {
+        logger.error("POST /api/admin/index/rebuild error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Response cache stats / clear (admin)
+    // GET    /api/admin/cache   hit rate, size, entries, 304s, current data version
+    // DELETE /api/admin/cache   drop every cached body
+    // -------------------------
+    app.get("/api/admin/cache", requireAdmin, async (req, res) => {
+      try {
+        const families = Object.fromEntries(Object.entries(CACHE_FAMILIES).map(([f, c]) => [f, {
+          paths: c.paths,
+          cacheControl: process.env[`CACHE_CONTROL_${f.toUpperCase()}`] ?? c.cacheControl
+        }]));
+        res.json({ ...responseCache.info(), dataVersion: await dataVersionKey(), families });
+      } catch (err) {
+        logger.error("GET /api/admin/cache error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete("/api/admin/cache", requireAdmin, (req, res) => {
+      responseCache.clear();
+      res.json(responseCache.info());
+    });
+
+    // -------------------------
+    // API keys (admin)
+    // GET    /api/admin/keys         every key (revoked too) with today's usage
+    // POST   /api/admin/keys         { name, scopes, rateLimit, dailyQuota, origins } -> 201
+    //                                with the key itself, shown only this once
+    // GET    /api/admin/keys/:id     one key with usage per day (?days=30)
+    // PATCH  /api/admin/keys/:id     change name, scopes, limits or origins
+    // DELETE /api/admin/keys/:id     revoke (usage history is kept)
+    // rateLimit/dailyQuota: null = server default (API_KEY_RATE_LIMIT, API_KEY_DAILY_QUOTA), 0 = unlimited
+    // -------------------------
+    const keyWithDefaults = k => ({ ...k, defaults: { rateLimit: API_KEY_RATE_LIMIT, dailyQuota: API_KEY_DAILY_QUOTA } });
+    async function loadApiKey(req, res) {
+      const row = await db.get(`SELECT ${API_KEY_FIELDS} FROM api_keys WHERE id = ?`, [req.params.id]);
+      if (!row) res.status(404).json({ error: "API key not found", id: req.params.id });
+      return row ? publicApiKey(row) : null;
+    }
+
+    app.get("/api/admin/keys", requireAdmin, async (req, res) => {
+      try {
+        await keyUsage.flush();
+        const rows = await db.all(
+          `SELECT ${API_KEY_FIELDS.split(", ").map(f => `k.${f}`).join(", ")}, COALESCE(u.requests, 0) AS today_requests, COALESCE(u.limited, 0) AS today_limited
+           FROM api_keys k LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ?
+           ORDER BY k.id`,
+          [utcDay()]
+        );
+        res.json({
+          anonymousAccess: ANONYMOUS_ACCESS,
+          defaults: { rateLimit: API_KEY_RATE_LIMIT, dailyQuota: API_KEY_DAILY_QUOTA },
+          keys: rows.map(r => ({ ...publicApiKey(r), today: { requests: r.today_requests, limited: r.today_limited } }))
+        });
+      } catch (err) {
+        logger.error("GET /api/admin/keys error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post("/api/admin/keys", requireAdmin, async (req, res) => {
+      try {
+        const input = checkApiKey(req.body || {});
+        if (input.error) return res.status(400).json({ error: input.error });
+        const key = newApiKey();
+        const result = await writes.run(
+          `INSERT INTO api_keys (key_hash, prefix, name, scopes, rate_limit, daily_quota, origins) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [hashToken(key), keyPrefix(key), input.name, input.scopes.join(" "), input.rateLimit, input.dailyQuota, input.origins ? JSON.stringify(input.origins) : null]
+        );
+        const saved = await db.get(`SELECT ${API_KEY_FIELDS} FROM api_keys WHERE id = ?`, [result.lastID]);
+        logger.info("API key created", { id: saved.id, prefix: saved.prefix, scopes: input.scopes });
+        res.status(201).location(`/api/admin/keys/${saved.id}`).json({ ...keyWithDefaults(publicApiKey(saved)), key });
+      } catch (err) {
+        logger.error("POST /api/admin/keys error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/admin/keys/:id", requireAdmin, async (req, res) => {
+      try {
+        const key = await loadApiKey(req, res);
+        if (!key) return;
+        const days = Math.min(Number(req.query.days) || 30, 366);
+        await keyUsage.flush();
+        const usage = await db.all(
+          `SELECT day, requests, limited FROM api_key_usage WHERE key_id = ? ORDER BY day DESC LIMIT ?`,
+          [key.id, days]
+        );
+        res.json({ ...keyWithDefaults(key), usage });
+      } catch (err) {
+        logger.error("GET /api/admin/keys/:id error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.patch("/api/admin/keys/:id", requireAdmin, async (req, res) => {
+      try {
+        const key = await loadApiKey(req, res);
+        if (!key) return;
+        const b = req.body || {};
+        const pick = f => (Object.prototype.hasOwnProperty.call(b, f) ? b[f] : key[f]);
+        const input = checkApiKey({ name: pick("name"), scopes: pick("scopes"), rateLimit: pick("rateLimit"), dailyQuota: pick("dailyQuota"), origins: pick("origins") });
+        if (input.error) return res.status(400).json({ error: input.error });
+        await writes.run(
+          `UPDATE api_keys SET name = ?, scopes = ?, rate_limit = ?, daily_quota = ?, origins = ? WHERE id = ?`,
+          [input.name, input.scopes.join(" "), input.rateLimit, input.dailyQuota, input.origins ? JSON.stringify(input.origins) : null, key.id]
+        );
+        apiKeyCache.clear();
+        const saved = await db.get(`SELECT ${API_KEY_FIELDS} FROM api_keys WHERE id = ?`, [key.id]);
+        res.json(keyWithDefaults(publicApiKey(saved)));
+      } catch (err) {
+        logger.error("PATCH /api/admin/keys/:id error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete("/api/admin/keys/:id", requireAdmin, async (req, res) => {
+      try {
+        const key = await loadApiKey(req, res);
+        if (!key) return;
+        if (!key.revokedAt) {
+          await writes.run(`UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?`, [key.id]);
+          apiKeyCache.clear();
+          logger.info("API key revoked", { id: key.id, prefix: key.prefix });
+        }
+        const saved = await db.get(`SELECT ${API_KEY_FIELDS} FROM api_keys WHERE id = ?`, [key.id]);
+        res.json({ ...publicApiKey(saved), revoked: true });
+      } catch (err) {
+        logger.error("DELETE /api/admin/keys/:id error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Tokens and lexicon endpoints (unchanged)
+    // -------------------------
+    app.get("/api/tokens/:verseId", async (req, res) => {
+      const { verseId } = req.params;
+      try {
+        const rows = await db.all(
+          `SELECT id, verse_id, word_index AS position, surface, strong
+           FROM tokens
+           WHERE verse_id = ?
+           ORDER BY word_index ASC`,
+          [verseId]
+        );
+        res.json({ tokens: rows });
+      } catch (err) {
+        logger.error("GET /api/tokens error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Helper: in-memory lexicon index (folded lemma/transliteration, normalized Strong's
+    // numbers). Built on first use, and again after the main DB changes (dataVersion).
+    // -------------------------
+    let lexiconIndex = null;
+    async function getLexiconIndex() {
+      if (lexiconIndex) return lexiconIndex;
+      const cols = (await db.all(`PRAGMA main.table_info(lexicon)`)).map(c => c.name);
+      const rows = await db.all(
+        `SELECT strong, language, lemma, transliteration, definition${cols.includes("root") ? ", root" : ""} FROM lexicon`
+      );
+      lexiconIndex = buildLexiconIndex(rows);
+      return lexiconIndex;
+    }
+
+    // Strong's number as stored in the DB for any accepted spelling ("g0026", "26" + language)
+    async function storedStrong(input, language) {
+      const key = normalizeStrong(input, language);
+      if (!key) return input;
+      const hit = (await getLexiconIndex()).byKey.get(key);
+      return hit ? hit.row.strong : input;
+    }
+
+    // -------------------------
+    // Lexicon search / browse
+    // GET /api/lexicon?q=love&language=greek&limit=50&offset=0
+    // matches Strong's number, lemma, transliteration (accent-insensitive) and definition;
+    // without q lists entries (optionally of one language)
+    // -------------------------
+    app.get("/api/lexicon", async (req, res) => {
+      try {
+        const paging = parsePaging(req.query, { limit: 50, max: 500 });
+        const q = String(req.query.q || "").trim();
+        const hits = searchLexicon(await getLexiconIndex(), { q, language: req.query.language });
+        const results = hits.slice(paging.offset, paging.offset + paging.limit)
+          .map(r => ({ ...r, gloss: shortGloss(r.definition) }));
+        res.json({ query: q, language: req.query.language || null, ...pageInfo(hits.length, paging), results });
+      } catch (err) {
+        logger.error("GET /api/lexicon search error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/lexicon/:strong", async (req, res) => {
+      const strong = req.params.strong;
+      try {
+        let row = await db.get(
+          `SELECT strong, language, lemma, transliteration, definition FROM lexicon WHERE strong = ? LIMIT 1`,
+          [strong]
+        );
+        if (!row) {
+          // normalized spellings: "g0026", "G26", "26?language=greek"
+          const key = normalizeStrong(strong, req.query.language);
+          const hit = key && (await getLexiconIndex()).byKey.get(key);
+          if (hit) {
+            const { strong: s, language, lemma, transliteration, definition } = hit.row;
+            row = { strong: s, language, lemma, transliteration, definition };
+          }
+        }
+        res.json(row || null);
+      } catch (err) {
+        logger.error("GET /api/lexicon error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Related lexicon entries (same root, or same lemma stem, same language)
+    // GET /api/lexicon/:strong/related
+    // -------------------------
+    app.get("/api/lexicon/:strong/related", async (req, res) => {
+      try {
+        const key = normalizeStrong(req.params.strong, req.query.language);
+        const found = key && relatedEntries(await getLexiconIndex(), key);
+        if (!found) return res.status(404).json({ error: "Lexicon entry not found", strong: req.params.strong });
+        res.json({
+          ...found,
+          related: found.related.map(r => ({ ...r, gloss: shortGloss(r.definition) }))
+        });
+      } catch (err) {
+        logger.error("GET /api/lexicon/related error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Helper: interlinear data for a chapter (verse = null) or a single verse.
+    // Tokens hang off the main DB's verses ids; the text shown next to them comes
+    // from the requested translation.
+    // Returns { status, error } or { bookId, book, chapter, verses: [{ id, verse, text, tokens }] }
+    // -------------------------
+    async function loadInterlinear(tr, rawBook, rawChapter, rawVerse) {
+      const bookId = await resolveBookId(rawBook);
+      if (!bookId) return { status: 404, error: "Book not found", input: rawBook };
+      const chapter = Number(rawChapter);
+      const verse = rawVerse === null ? null : Number(rawVerse);
+      if (!Number.isInteger(chapter) || (verse !== null && !Number.isInteger(verse))) {
+        return { status: 400, error: "chapter and verse must be numbers" };
+      }
+
+      const book = await db.get(`SELECT name FROM books WHERE book_id = ?`, [bookId]);
+      const verseRows = await db.all(
+        `SELECT id, verse FROM main.verses
+         WHERE book_id = ? AND chapter = ? ${verse !== null ? "AND verse = ?" : ""}
+         ORDER BY verse ASC`,
+        verse !== null ? [bookId, chapter, verse] : [bookId, chapter]
+      );
+      if (!verseRows.length) return { status: 404, error: verse !== null ? "Verse not found" : "Chapter not found", bookId, chapter, verse };
+
+      const texts = new Map();
+      const span = { startChapter: chapter, startVerse: verse, endChapter: chapter, endVerse: verse };
+      for (const v of await fetchPassageVerses(tr, bookId, span)) texts.set(Number(v.verse), v.text);
+
+      const ids = verseRows.map(v => v.id);
+      const tokens = await db.all(
+        `SELECT t.verse_id, t.word_index AS position, t.surface, t.strong,
+                l.lemma, l.transliteration, l.language, l.definition
+         FROM tokens t
+         LEFT JOIN lexicon l ON l.strong = t.strong
+         WHERE t.verse_id IN (${ids.map(() => "?").join(",")})
+         ORDER BY t.verse_id, t.word_index ASC`,
+        ids
+      );
+      const byVerse = new Map(ids.map(id => [id, []]));
+      for (const t of tokens) {
+        byVerse.get(t.verse_id).push({
+          position: t.position,
+          surface: t.surface,
+          strong: t.strong,
+          lemma: t.lemma ?? null,
+          transliteration: t.transliteration ?? null,
+          language: t.language ?? null,
+          gloss: shortGloss(t.definition)
+        });
+      }
+
+      return {
+        bookId,
+        book: book ? book.name : null,
+        chapter,
+        verses: verseRows.map(v => ({
+          id: v.id,
+          verse: v.verse,
+          text: texts.get(Number(v.verse)) ?? null,
+          tokens: byVerse.get(v.id)
+        }))
+      };
+    }
+
+    // -------------------------
+    // Interlinear verse: tokens in word order with lemma, transliteration, language, gloss
+    // GET /api/interlinear/:bookId/:chapter/:verse
+    // -------------------------
+    app.get("/api/interlinear/:bookId/:chapter/:verse", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const { bookId, chapter, verse } = req.params;
+        const { status, verses, ...result } = await loadInterlinear(tr, bookId, chapter, verse);
+        if (status) return res.status(status).json(result);
+        res.json({ ...result, version: tr.code, ...verses[0] });
+      } catch (err) {
+        logger.error("GET /api/interlinear verse error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Interlinear chapter
+    // GET /api/interlinear/:bookId/:chapter
+    // -------------------------
+    app.get("/api/interlinear/:bookId/:chapter", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const { status, ...result } = await loadInterlinear(tr, req.params.bookId, req.params.chapter, null);
+        if (status) return res.status(status).json(result);
+        res.json({ ...result, version: tr.code });
+      } catch (err) {
+        logger.error("GET /api/interlinear chapter error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Helper: concordance page for a Strong's number.
+    // Returns { strong, entry, total, limit, offset, nextOffset, byBook, results } where each
+    // result carries the verse text (requested translation) and the surface forms used.
+    // -------------------------
+    async function loadConcordance(tr, strong, paging) {
+      const entry = await db.get(
+        `SELECT strong, language, lemma, transliteration, definition FROM lexicon WHERE strong = ? LIMIT 1`,
+        [strong]
+      );
+      const byBook = await db.all(
+        `SELECT v.book_id AS bookId, b.name AS book, COUNT(DISTINCT t.verse_id) AS hits
+         FROM tokens t
+         JOIN main.verses v ON v.id = t.verse_id
+         LEFT JOIN books b ON b.book_id = v.book_id
+         WHERE t.strong = ?
+         GROUP BY v.book_id
+         ORDER BY CAST(v.book_id AS INTEGER)`,
+        [strong]
+      );
+      const total = byBook.reduce((n, r) => n + r.hits, 0);
+
+      const verses = await db.all(
+        `SELECT DISTINCT v.id, v.book_id AS bookId, b.name AS book, v.chapter, v.verse
+         FROM tokens t
+         JOIN main.verses v ON v.id = t.verse_id
+         LEFT JOIN books b ON b.book_id = v.book_id
+         WHERE t.strong = ?
+         ORDER BY CAST(v.book_id AS INTEGER), v.chapter, v.verse
+         LIMIT ? OFFSET ?`,
+        [strong, paging.limit, paging.offset]
+      );
+
+      const surfaces = new Map(verses.map(v => [v.id, []]));
+      if (verses.length) {
+        const toks = await db.all(
+          `SELECT verse_id, word_index AS position, surface
+           FROM tokens
+           WHERE strong = ? AND verse_id IN (${verses.map(() => "?").join(",")})
+           ORDER BY verse_id, word_index`,
+          [strong, ...verses.map(v => v.id)]
+        );
+        for (const t of toks) surfaces.get(t.verse_id).push({ position: t.position, surface: t.surface });
+      }
+      const texts = await fetchVerseTexts(tr, verses);
+
+      const results = verses.map(v => {
+        const text = texts.get(verseKey(v.bookId, v.chapter, v.verse)) ?? null;
+        const matches = surfaces.get(v.id);
+        const terms = [...new Set(matches.map(m => cleanSurface(m.surface)).filter(Boolean))].map(t => ({ text: t }));
+        return {
+          verseId: v.id,
+          bookId: v.bookId,
+          book: v.book,
+          chapter: v.chapter,
+          verse: v.verse,
+          text,
+          marked: text === null ? null : highlightSnippet(sanitizeText(text), terms, { words: 1000, wholeWord: true }),
+          matches
+        };
+      });
+
+      return { strong, entry: entry || null, ...pageInfo(total, paging), byBook, results };
+    }
+
+    // surface form -> highlight term ("loved," -> "loved")
+    function cleanSurface(s) {
+      return String(s || "").toLowerCase().replace(/[^\p{L}\p{N}' ]+/gu, " ").replace(/\s+/g, " ").trim();
+    }
+
+    // -------------------------
+    // Concordance: every verse using a Strong's number, surface forms marked
+    // GET /api/concordance/:strong?limit=100&offset=0
+    // -------------------------
+    app.get("/api/concordance/:strong", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const paging = parsePaging(req.query, { limit: 100, max: 1000 });
+        const strong = await storedStrong(req.params.strong, req.query.language);
+        res.json({ ...(await loadConcordance(tr, strong, paging)), version: tr.code });
+      } catch (err) {
+        logger.error("GET /api/concordance error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Concordance, plain text ("John 3:16. For God so loved...")
+    // GET /api/concordance/plain/:strong?limit=500&offset=0
+    // -------------------------
+    app.get("/api/concordance/plain/:strong", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
+        const paging = parsePaging(req.query, { limit: 500, max: 2000 });
+        const strong = await storedStrong(req.params.strong, req.query.language);
+        const { results } = await loadConcordance(tr, strong, paging);
+        if (!results.length) return res.type("text/plain").send("No results found.");
+        const out = results
+          .map(r => `${r.book} ${r.chapter}:${r.verse}. ${sanitizeText(r.text)}`)
+          .join("\n");
+        res.type("text/plain").send(out);
+      } catch (err) {
+        logger.error("GET /api/concordance/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
+      }
+    });
+
+    // -------------------------
+    // Comments
+    // GET    /api/comments?bookId&chapter&verse[&thread=1]   approved comments covering that verse
+    //                                                        (flat, or nested replies)
+    // POST   /api/comments                                   { bookId, chapter, verse, verseEnd, author, body, parentId }
+    //                                                        -> comment + editToken (shown once)
+    // GET    /api/comments/counts/:bookId/:chapter           { verse: count } for badges
+    // GET    /api/comments/recent?limit&offset[&bookId]      newest approved comments everywhere
+    // PATCH  /api/comments/:id   { body }   edit, token in x-comment-token or { editToken }
+    // DELETE /api/comments/:id              delete, same token
+    // COMMENTS_MODERATION=pre holds new comments as "pending" until approved by an admin.
+    // A comment covers verse..verseEnd (verseEnd null = the single verse). bookId is
+    // resolved like the verse routes ("John", "jn", "43"); replies inherit the parent's span.
+    // -------------------------
+    const COMMENT_FIELDS = `id, parent_id AS parentId, chapter, verse, verse_end AS verseEnd, author, body, status, created_at AS createdAt, updated_at AS updatedAt`;
+    const publicComment = c => c.status === "deleted"
+      ? { id: c.id, parentId: c.parentId, chapter: c.chapter, verse: c.verse, verseEnd: c.verseEnd, author: null, body: null, createdAt: c.createdAt, updatedAt: c.updatedAt, deleted: true }
+      : { id: c.id, parentId: c.parentId, chapter: c.chapter, verse: c.verse, verseEnd: c.verseEnd, author: c.author, body: c.body, createdAt: c.createdAt, updatedAt: c.updatedAt };
+    const commentToken = req => req.get("x-comment-token") || (req.body || {}).editToken;
+
+    // body/author checks shared by POST and PATCH; returns { error } or { body, author }
+    function checkCommentInput(rawBody, rawAuthor) {
+      const body = sanitizeCommentBody(rawBody);
+      if (!body) return { error: "Comment body is empty" };
+      if (body.length > COMMENT_MAX_LENGTH) return { error: `Comment too long (max ${COMMENT_MAX_LENGTH} characters)` };
+      const author = sanitizeCommentBody(rawAuthor).replace(/\s+/g, " ").slice(0, 80) || "anonymous";
+      return { body, author };
+    }
+
+    app.get("/api/comments", async (req, res) => {
+      const { bookId, chapter, verse } = req.query;
+      if (!bookId || !chapter || !verse) return res.status(400).json({ error: "Provide bookId, chapter, verse" });
+      try {
+        const book = await resolveBookId(bookId);
+        if (!book) return res.status(404).json({ error: "Book not found", input: bookId });
+        // book IN (resolved id, raw input): rows saved before ids were resolved kept the raw value
+        const rows = await db.all(
+          `SELECT ${COMMENT_FIELDS} FROM comments
+           WHERE book IN (?, ?) AND chapter = ? AND verse <= ? AND COALESCE(verse_end, verse) >= ?
+             AND status IN ('approved', 'deleted')
+           ORDER BY created_at ASC, id ASC`,
+          [book, String(bookId), Number(chapter), Number(verse), Number(verse)]
+        );
+        if (req.query.thread === "1" || req.query.thread === "true") {
+          return res.json(buildThreads(rows.map(publicComment)).reverse());
+        }
+        res.json(rows.filter(r => r.status !== "deleted").map(publicComment).reverse());
+      } catch (err) {
+        logger.error("GET /api/comments error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    const commentLimiter = createRateLimiter({
+      windowMs: 60000,
+      max: Number(process.env.COMMENT_RATE_LIMIT) || 5,
+      message: "Too many comments, please wait a minute"
+    });
+
+    app.post("/api/comments", commentLimiter, async (req, res) => {
+      const { bookId, chapter, verse, verseEnd, author, body, parentId } = req.body || {};
+      if (!bookId || !chapter || !verse || !body) return res.status(400).json({ error: "Missing fields" });
+      const input = checkCommentInput(body, author);
+      if (input.error) return res.status(400).json({ error: input.error });
+      const c = Number(chapter), v = Number(verse);
+      const vEnd = verseEnd === undefined || verseEnd === null || verseEnd === "" ? null : Number(verseEnd);
+      if (!Number.isInteger(c) || !Number.isInteger(v) || (vEnd !== null && (!Number.isInteger(vEnd) || vEnd < v))) {
+        return res.status(400).json({ error: "chapter, verse and verseEnd must be numbers with verseEnd >= verse" });
+      }
+      try {
+        const book = await resolveBookId(bookId);
+        if (!book) return res.status(404).json({ error: "Book not found", input: bookId });
+
+        let span = [book, c, v, vEnd !== null && vEnd !== v ? vEnd : null];
+        if (parentId) {
+          const parent = await db.get(`SELECT id, book, chapter, verse, verse_end, status FROM comments WHERE id = ?`, [parentId]);
+          if (!parent || parent.status !== "approved") return res.status(404).json({ error: "Parent comment not found", parentId });
+          if (String(parent.book) !== book || Number(parent.chapter) !== c || Number(parent.verse) !== v) {
+            return res.status(400).json({ error: "Reply must be on the same verse as its parent", parentId });
+          }
+          span = [parent.book, parent.chapter, parent.verse, parent.verse_end];
+        }
+
+        const editToken = newEditToken();
+        const status = COMMENTS_MODERATION === "pre" ? "pending" : "approved";
+        const result = await writes.run(
+          `INSERT INTO comments (book, chapter, verse, verse_end, author, body, parent_id, status, edit_token_hash, ip, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+          [...span, input.author, input.body, parentId || null, status, hashToken(editToken), req.ip]
+        );
+        dataChanged();
+        const saved = await db.get(`SELECT ${COMMENT_FIELDS} FROM comments WHERE id = ?`, [result.lastID]);
+        res.json({ ...publicComment(saved), status: saved.status, editToken });
+      } catch (err) {
+        logger.error("POST /api/comments error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/comments/counts/:bookId/:chapter", async (req, res) => {
+      try {
+        const raw = req.params.bookId;
+        const book = await resolveBookId(raw);
+        if (!book) return res.status(404).json({ error: "Book not found", input: raw });
+        const rows = await db.all(
+          `SELECT verse, verse_end AS verseEnd FROM comments
+           WHERE book IN (?, ?) AND chapter = ? AND status = 'approved'`,
+          [book, String(raw), req.params.chapter]
+        );
+        res.json({ bookId: book, chapter: Number(req.params.chapter), total: rows.length, counts: countByVerse(rows) });
+      } catch (err) {
+        logger.error("GET /api/comments/counts error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/comments/recent", async (req, res) => {
+      try {
+        const paging = parsePaging(req.query, { limit: 20, max: 100 });
+        const where = ["c.status = 'approved'"];
+        const args = [];
+        if (req.query.bookId) {
+          const book = await resolveBookId(req.query.bookId);
+          if (!book) return res.status(404).json({ error: "Book not found", input: req.query.bookId });
+          where.push("c.book = ?");
+          args.push(book);
+        }
+        const count = await db.get(`SELECT COUNT(*) AS n FROM comments c WHERE ${where.join(" AND ")}`, args);
+        const rows = await db.all(
+          `SELECT c.id, c.parent_id AS parentId, c.book AS bookId, b.name AS book, c.chapter, c.verse, c.verse_end AS verseEnd,
+                  c.author, c.body, c.created_at AS createdAt, c.updated_at AS updatedAt
+           FROM comments c
+           LEFT JOIN books b ON CAST(b.book_id AS TEXT) = CAST(c.book AS TEXT)
+           WHERE ${where.join(" AND ")}
+           ORDER BY c.created_at DESC, c.id DESC
+           LIMIT ? OFFSET ?`,
+          [...args, paging.limit, paging.offset]
+        );
+        res.json({ ...pageInfo(count.n, paging), results: rows });
+      } catch (err) {
+        logger.error("GET /api/comments/recent error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // loads a comment and checks the author's token; sends the error response itself
+    async function ownComment(req, res) {
+      const row = await db.get(`SELECT id, status, edit_token_hash FROM comments WHERE id = ?`, [req.params.id]);
+      if (!row || row.status === "deleted") {
+        res.status(404).json({ error: "Comment not found", id: req.params.id });
+        return null;
+      }
+      if (!tokenMatches(commentToken(req), row.edit_token_hash)) {
+        res.status(403).json({ error: "Invalid edit token" });
+        return null;
+      }
+      return row;
+    }
+
+    app.patch("/api/comments/:id", async (req, res) => {
+      try {
+        const row = await ownComment(req, res);
+        if (!row) return;
+        const { body } = req.body || {};
+        if (!body) return res.status(400).json({ error: "Missing fields" });
+        const input = checkCommentInput(body, "");
+        if (input.error) return res.status(400).json({ error: input.error });
+        await writes.run(`UPDATE comments SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [input.body, row.id]);
+        dataChanged();
+        const saved = await db.get(`SELECT ${COMMENT_FIELDS} FROM comments WHERE id = ?`, [row.id]);
+        res.json({ ...publicComment(saved), status: saved.status });
+      } catch (err) {
+        logger.error("PATCH /api/comments error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete("/api/comments/:id", async (req, res) => {
+      try {
+        const row = await ownComment(req, res);
+        if (!row) return;
+        // soft delete so replies keep their thread
+        await writes.run(
+          `UPDATE comments SET status = 'deleted', body = '', edit_token_hash = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [row.id]
+        );
+        dataChanged();
+        res.json({ id: row.id, deleted: true });
+      } catch (err) {
+        logger.error("DELETE /api/comments error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Comment moderation (admin)
+    // GET   /api/admin/comments?status=pending|approved|hidden|deleted|all&limit&offset
+    // PATCH /api/admin/comments/:id   { status: "approved" | "hidden" | "pending" }
+    // -------------------------
+    app.get("/api/admin/comments", requireAdmin, async (req, res) => {
+      try {
+        const status = String(req.query.status || "pending");
+        if (status !== "all" && !COMMENT_STATUSES.includes(status)) {
+          return res.status(400).json({ error: "Unknown status", status, statuses: [...COMMENT_STATUSES, "all"] });
+        }
+        const paging = parsePaging(req.query, { limit: 50, max: 500 });
+        const where = status === "all" ? "1" : "status = ?";
+        const args = status === "all" ? [] : [status];
+        const count = await db.get(`SELECT COUNT(*) AS n FROM comments WHERE ${where}`, args);
+        const rows = await db.all(
+          `SELECT ${COMMENT_FIELDS}, book AS bookId, chapter, verse, ip
+           FROM comments WHERE ${where}
+           ORDER BY created_at DESC, id DESC
+           LIMIT ? OFFSET ?`,
+          [...args, paging.limit, paging.offset]
+        );
+        res.json({ status, ...pageInfo(count.n, paging), results: rows });
+      } catch (err) {
+        logger.error("GET /api/admin/comments error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.patch("/api/admin/comments/:id", requireAdmin, async (req, res) => {
+      try {
+        const { status } = req.body || {};
+        if (!["approved", "hidden", "pending"].includes(status)) {
+          return res.status(400).json({ error: "status must be approved, hidden or pending" });
+        }
+        const result = await writes.run(
+          `UPDATE comments SET status = ? WHERE id = ? AND status != 'deleted'`,
+          [status, req.params.id]
+        );
+        if (!result.changes) return res.status(404).json({ error: "Comment not found", id: req.params.id });
+        dataChanged();
+        const saved = await db.get(`SELECT ${COMMENT_FIELDS}, book AS bookId, chapter, verse FROM comments WHERE id = ?`, [req.params.id]);
+        res.json(saved);
+      } catch (err) {
+        logger.error("PATCH /api/admin/comments error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Helper: caller's user key (x-user-key header or ?user=), hashed like edit tokens.
+    // Keys are chosen by the client; null when absent or malformed.
+    // -------------------------
+    const USER_KEY_RE = /^[A-Za-z0-9_-]{8,128}$/;
+    function userKeyOf(req) {
+      const key = req.get("x-user-key") || req.query.user;
+      return typeof key === "string" && USER_KEY_RE.test(key) ? hashToken(key) : null;
+    }
+    const USER_KEY_ERROR = "User key required (x-user-key header or ?user=, 8-128 letters, digits, - or _)";
+
+    // -------------------------
+    // Helper: reading plans
+    // Chapters come from the verse counts in main.verses. Built-in plans are generated
+    // on first use and regenerated when the text they cover has changed size (day
+    // numbers, and so saved progress, stay put).
+    // -------------------------
+    async function chapterCounts() {
+      const books = await booksWithCanon();
+      const byId = new Map(books.map(b => [b.bookId, b]));
+      const rows = await db.all(`SELECT book_id, chapter, COUNT(*) AS verses FROM main.verses GROUP BY book_id, chapter`);
+      return rows
+        .map(r => ({ bookId: String(r.book_id), chapter: Number(r.chapter), verses: r.verses, canon: (byId.get(String(r.book_id)) || {}).canon || null }))
+        .sort((a, b) => (a.canon ? a.canon.num : 1000 + Number(a.bookId)) - (b.canon ? b.canon.num : 1000 + Number(b.bookId)) || a.chapter - b.chapter);
+    }
+
+    // inside writes.transaction() only
+    async function savePlanDays(planId, days, chapters) {
+      const versesOf = new Map(chapters.map(c => [`${c.bookId}:${c.chapter}`, c.verses]));
+      await db.run(`DELETE FROM reading_plan_days WHERE plan_id = ?`, [planId]);
+      for (let i = 0; i < days.length; i++) {
+        let verses = 0;
+        for (const p of days[i]) for (let c = p.startChapter; c <= p.endChapter; c++) verses += versesOf.get(`${p.bookId}:${c}`) || 0;
+        await db.run(`INSERT INTO reading_plan_days (plan_id, day, passages, verses) VALUES (?, ?, ?, ?)`, [planId, i + 1, JSON.stringify(days[i]), verses]);
+      }
+      await db.run(`UPDATE reading_plans SET days = ? WHERE id = ?`, [days.length, planId]);
+    }
+
+    let builtinPlansReady = null;
+    function ensureBuiltinPlans() {
+      if (!builtinPlansReady) {
+        builtinPlansReady = (async () => {
+          const all = await chapterCounts();
+          for (const def of BUILTIN_PLANS) {
+            const chapters = orderChapters(all, def);
+            if (!chapters.length) continue;
+            const total = chapters.reduce((sum, c) => sum + c.verses, 0);
+            const days = Math.min(def.days, chapters.length);
+            const plan = await db.get(
+              `SELECT p.id, p.days, (SELECT SUM(verses) FROM reading_plan_days WHERE plan_id = p.id) AS verses
+               FROM reading_plans p WHERE slug = ?`,
+              [def.slug]
+            );
+            if (plan && plan.days === days && plan.verses === total) continue;
+            await writes.transaction(async () => {
+              let planId = plan && plan.id;
+              if (!planId) {
+                const ins = await db.run(
+                  `INSERT INTO reading_plans (slug, name, description, builtin, days) VALUES (?, ?, ?, 1, ?)`,
+                  [def.slug, def.name, def.description, days]
+                );
+                planId = ins.lastID;
+              }
+              await savePlanDays(planId, splitIntoDays(chapters, def.days), chapters);
+            });
+          }
+        })().catch(e => {
+          builtinPlansReady = null; // retry on the next request
+          throw e;
+        });
+      }
+      return builtinPlansReady;
+    }
+
+    const PLAN_FIELDS = `id, slug, name, description, builtin, days, created_at AS createdAt`;
+    async function findPlan(slug) {
+      await ensureBuiltinPlans();
+      const plan = await db.get(`SELECT ${PLAN_FIELDS} FROM reading_plans WHERE slug = ?`, [slug]);
+      return plan && { ...plan, builtin: !!plan.builtin };
+    }
+
+    // stored day -> [{ ref, bookId, book, startChapter, endChapter }]
+    async function planDayPassages(row) {
+      const books = await booksWithCanon();
+      return JSON.parse(row.passages).map(p => {
+        const entry = books.find(b => b.bookId === String(p.bookId));
+        const book = entry ? entry.name : String(p.bookId);
+        const ref = formatReference({ startChapter: p.startChapter, startVerse: null, endChapter: p.endChapter, endVerse: null }, book);
+        return { ref, bookId: String(p.bookId), book, startChapter: p.startChapter, endChapter: p.endChapter };
+      });
+    }
+
+    async function planProgress(plan, userKey) {
+      const rows = await db.all(
+        `SELECT day, completed_at AS completedAt FROM reading_progress WHERE plan_id = ? AND user_key_hash = ? ORDER BY day`,
+        [plan.id, userKey]
+      );
+      const done = new Set(rows.map(r => r.day));
+      let nextDay = null;
+      for (let d = 1; d <= plan.days; d++) if (!done.has(d)) { nextDay = d; break; }
+      return {
+        plan: plan.slug,
+        days: plan.days,
+        completed: rows,
+        completedCount: rows.length,
+        percent: plan.days ? Math.round((rows.length / plan.days) * 1000) / 10 : 0,
+        nextDay
+      };
+    }
+
+    // -------------------------
+    // Reading plans
+    // GET  /api/plans                       built-in plans
+    // POST /api/plans                       { name, description?, days, refs: "Rom; Jas 1-3" | [...] } -> custom plan
+    // GET  /api/plans/:slug                 plan with every day's passages (no text)
+    // GET  /api/plans/:slug/days/:day       one day's passages with text (?version=)
+    // -------------------------
+    app.get("/api/plans", async (req, res) => {
+      try {
+        await ensureBuiltinPlans();
+        const rows = await db.all(`SELECT ${PLAN_FIELDS} FROM reading_plans WHERE builtin = 1 ORDER BY id`);
+        res.json(rows.map(p => ({ ...p, builtin: true })));
+      } catch (err) {
+        logger.error("GET /api/plans error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    const planLimiter = createRateLimiter({ windowMs: 60000, max: 10, message: "Too many plans, please wait a minute" });
+    const MAX_PLAN_DAYS = 3650;
+
+    app.post("/api/plans", planLimiter, async (req, res) => {
+      try {
+        const input = req.body || {};
+        const name = typeof input.name === "string" ? input.name.trim() : "";
+        if (!name || name.length > 200) return res.status(400).json({ error: "name is required (max 200 characters)" });
+        const days = Number(input.days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_PLAN_DAYS) {
+          return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_PLAN_DAYS}` });
+        }
+        const refs = Array.isArray(input.refs) ? input.refs.join("; ") : input.refs;
+        if (typeof refs !== "string" || !refs.trim()) return res.status(400).json({ error: "refs is required, e.g. \"Romans; James 1-3\"" });
+
+        let parsed;
+        try {
+          parsed = parseReference(refs);
+        } catch (e) {
+          if (e instanceof RefParseError) return res.status(400).json({ error: e.message, segment: e.segment });
+          throw e;
+        }
+
+        // whole chapters in the order given; verse ranges are widened to their chapters
+        const all = await chapterCounts();
+        const chapters = [];
+        const seen = new Set();
+        for (const p of parsed) {
+          const bookId = await resolveBookId(p.bookInput);
+          if (!bookId) return res.status(404).json({ error: "Book not found", input: p.bookInput });
+          const inRange = all.filter(c => c.bookId === String(bookId) && (p.startChapter === null || (c.chapter >= p.startChapter && c.chapter <= p.endChapter)));
+          if (!inRange.length) return res.status(404).json({ error: "Reference not found", ref: formatReference(p) });
+          for (const c of inRange) {
+            const key = `${c.bookId}:${c.chapter}`;
+            if (!seen.has(key)) { seen.add(key); chapters.push(c); }
+          }
+        }
+
+        const slug = `custom-${crypto.randomBytes(6).toString("hex")}`;
+        const description = typeof input.description === "string" ? input.description.trim().slice(0, 1000) || null : null;
+        await writes.transaction(async () => {
+          const ins = await db.run(
+            `INSERT INTO reading_plans (slug, name, description, builtin, days) VALUES (?, ?, ?, 0, ?)`,
+            [slug, name, description, days]
+          );
+          await savePlanDays(ins.lastID, splitIntoDays(chapters, days), chapters);
+        });
+        const plan = await findPlan(slug);
+        res.status(201).location(`/api/plans/${slug}`).json(plan);
+      } catch (err) {
+        logger.error("POST /api/plans error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/plans/:slug", async (req, res) => {
+      try {
+        const plan = await findPlan(req.params.slug);
+        if (!plan) return res.status(404).json({ error: "Plan not found", plan: req.params.slug });
+        const rows = await db.all(`SELECT day, passages, verses FROM reading_plan_days WHERE plan_id = ? ORDER BY day`, [plan.id]);
+        const schedule = [];
+        for (const r of rows) schedule.push({ day: r.day, verses: r.verses, passages: (await planDayPassages(r)).map(p => p.ref) });
+        res.json({ ...plan, schedule });
+      } catch (err) {
+        logger.error("GET /api/plans/:slug error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/plans/:slug/days/:day", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const plan = await findPlan(req.params.slug);
+        if (!plan) return res.status(404).json({ error: "Plan not found", plan: req.params.slug });
+        const day = Number(req.params.day);
+        const row = Number.isInteger(day) && (await db.get(`SELECT day, passages, verses FROM reading_plan_days WHERE plan_id = ? AND day = ?`, [plan.id, day]));
+        if (!row) return res.status(404).json({ error: "Day not found", day: req.params.day, days: plan.days });
+
+        const passages = [];
+        for (const p of await planDayPassages(row)) {
+          const verses = await fetchPassageVerses(tr, p.bookId, { startChapter: p.startChapter, startVerse: null, endChapter: p.endChapter, endVerse: null });
+          passages.push({ ...p, verses });
+        }
+        const userKey = userKeyOf(req);
+        const completed = userKey
+          ? !!(await db.get(`SELECT 1 FROM reading_progress WHERE plan_id = ? AND user_key_hash = ? AND day = ?`, [plan.id, userKey, day]))
+          : undefined;
+        res.json({
+          plan: { slug: plan.slug, name: plan.name, days: plan.days },
+          version: tr.code,
+          day,
+          verses: row.verses,
+          ...(completed !== undefined ? { completed } : {}),
+          passages
+        });
+      } catch (err) {
+        logger.error("GET /api/plans/:slug/days/:day error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Reading plan progress, per user key (x-user-key header or ?user=)
+    // GET    /api/plans/:slug/progress        completed days, percent, next day
+    // PUT    /api/plans/:slug/progress/:day   mark a day read
+    // DELETE /api/plans/:slug/progress/:day   unmark it
+    // DELETE /api/plans/:slug/progress        start over
+    // -------------------------
+    async function progressRequest(req, res) {
+      const userKey = userKeyOf(req);
+      if (!userKey) {
+        res.status(401).json({ error: USER_KEY_ERROR });
+        return null;
+      }
+      const plan = await findPlan(req.params.slug);
+      if (!plan) {
+        res.status(404).json({ error: "Plan not found", plan: req.params.slug });
+        return null;
+      }
+      if (req.params.day !== undefined) {
+        const day = Number(req.params.day);
+        if (!Number.isInteger(day) || day < 1 || day > plan.days) {
+          res.status(404).json({ error: "Day not found", day: req.params.day, days: plan.days });
+          return null;
+        }
+        return { plan, userKey, day };
+      }
+      return { plan, userKey };
+    }
+
+    app.get("/api/plans/:slug/progress", async (req, res) => {
+      try {
+        const ctx = await progressRequest(req, res);
+        if (!ctx) return;
+        res.json(await planProgress(ctx.plan, ctx.userKey));
+      } catch (err) {
+        logger.error("GET /api/plans/:slug/progress error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put("/api/plans/:slug/progress/:day", async (req, res) => {
+      try {
+        const ctx = await progressRequest(req, res);
+        if (!ctx) return;
+        // first completion time is kept when a day is marked again
+        await writes.run(
+          `INSERT OR IGNORE INTO reading_progress (plan_id, user_key_hash, day, completed_at) VALUES (?, ?, ?, ?)`,
+          [ctx.plan.id, ctx.userKey, ctx.day, new Date().toISOString()]
+        );
+        res.json(await planProgress(ctx.plan, ctx.userKey));
+      } catch (err) {
+        logger.error("PUT /api/plans/:slug/progress error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete("/api/plans/:slug/progress{/:day}", async (req, res) => {
+      try {
+        const ctx = await progressRequest(req, res);
+        if (!ctx) return;
+        if (ctx.day) {
+          await writes.run(`DELETE FROM reading_progress WHERE plan_id = ? AND user_key_hash = ? AND day = ?`, [ctx.plan.id, ctx.userKey, ctx.day]);
+        } else {
+          await writes.run(`DELETE FROM reading_progress WHERE plan_id = ? AND user_key_hash = ?`, [ctx.plan.id, ctx.userKey]);
+        }
+        res.json(await planProgress(ctx.plan, ctx.userKey));
+      } catch (err) {
+        logger.error("DELETE /api/plans/:slug/progress error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Bookmarks, highlights and notes (private, per user key: x-user-key header or ?user=)
+    // GET    /api/me/:kind?bookId&chapter&tag&sort=recent|ref&limit&offset
+    // POST   /api/me/:kind        { bookId, chapter, verse, verseEnd, color, body, tags }
+    // GET    /api/me/:kind/:id
+    // PATCH  /api/me/:kind/:id    any of chapter, verse, verseEnd, color, body, tags
+    // DELETE /api/me/:kind/:id
+    // GET    /api/me/tags         tags in use, with counts
+    // GET    /api/me/export       everything as one JSON document (&download=1 for a file)
+    // :kind is bookmarks | highlights | notes. Addresses work like the verse routes:
+    // bookId is resolved ("John", "jn", "43"), verse..verseEnd is a range in one chapter;
+    // bookmarks may leave out verse to mark a whole chapter. color is for highlights,
+    // body is a note's text or a bookmark's label.
+    // -------------------------
+    const ANNOTATION_FIELDS = `a.id, a.kind, a.book AS bookId, b.name AS bookName, a.chapter, a.verse, a.verse_end AS verseEnd,
+                               a.color, a.body, a.created_at AS createdAt, a.updated_at AS updatedAt`;
+    const ANNOTATION_FROM = `annotations a LEFT JOIN books b ON CAST(b.book_id AS TEXT) = a.book`;
+    const optionalNumber = x => (x === undefined || x === null || x === "" ? null : Number(x));
+
+    async function annotationTags(ids) {
+      const out = new Map(ids.map(id => [id, []]));
+      for (let i = 0; i < ids.length; i += 500) {
+        const chunk = ids.slice(i, i + 500);
+        const rows = await db.all(
+          `SELECT annotation_id AS id, tag FROM annotation_tags WHERE annotation_id IN (${chunk.map(() => "?").join(", ")}) ORDER BY tag`,
+          chunk
+        );
+        for (const r of rows) out.get(r.id).push(r.tag);
+      }
+      return out;
+    }
+
+    async function publicAnnotations(rows) {
+      const tags = await annotationTags(rows.map(r => r.id));
+      return rows.map(r => {
+        const book = r.bookName || r.bookId;
+        const ref = formatReference(
+          { startChapter: r.chapter, startVerse: r.verse, endChapter: r.chapter, endVerse: r.verse === null ? null : r.verseEnd ?? r.verse },
+          book
+        );
+        return {
+          id: r.id,
+          kind: r.kind,
+          bookId: r.bookId,
+          book,
+          chapter: r.chapter,
+          verse: r.verse,
+          verseEnd: r.verseEnd,
+          ref,
+          ...(r.kind === "highlight" ? { color: r.color } : {}),
+          body: r.body,
+          tags: tags.get(r.id),
+          createdAt: r.createdAt,
+          updatedAt: r.updatedAt
+        };
+      });
+    }
+
+    // inside writes.transaction() only
+    async function saveAnnotationTags(id, tags) {
+      await db.run(`DELETE FROM annotation_tags WHERE annotation_id = ?`, [id]);
+      for (const tag of tags) await db.run(`INSERT INTO annotation_tags (annotation_id, tag) VALUES (?, ?)`, [id, tag]);
+    }
+
+    // WHERE for the list/export filters; returns { status, error } or { sql, args }
+    async function annotationFilter(userKey, kinds, query) {
+      const where = [`a.user_key_hash = ?`, `a.kind IN (${kinds.map(() => "?").join(", ")})`];
+      const args = [userKey, ...kinds];
+      if (query.bookId) {
+        const book = await resolveBookId(query.bookId);
+        if (!book) return { status: 404, error: "Book not found", input: query.bookId };
+        where.push("a.book = ?");
+        args.push(book);
+        if (query.chapter) {
+          where.push("a.chapter = ?");
+          args.push(Number(query.chapter));
+        }
+      }
+      if (query.tag) {
+        where.push("a.id IN (SELECT annotation_id FROM annotation_tags WHERE tag = ?)");
+        args.push(String(query.tag).trim().toLowerCase());
+      }
+      return { sql: where.join(" AND "), args };
+    }
+
+    // :kind and the user key for every /api/me route; sends the error response itself
+    function annotationRequest(req, res) {
+      const userKey = userKeyOf(req);
+      if (!userKey) {
+        res.status(401).json({ error: USER_KEY_ERROR });
+        return null;
+      }
+      if (req.params.kind === undefined) return { userKey };
+      const kind = ANNOTATION_KINDS[req.params.kind];
+      if (!kind) {
+        res.status(404).json({ error: "Unknown annotation type", kind: req.params.kind, kinds: Object.keys(ANNOTATION_KINDS) });
+        return null;
+      }
+      return { userKey, kind };
+    }
+
+    async function ownAnnotation(req, res, ctx) {
+      const row = await db.get(
+        `SELECT ${ANNOTATION_FIELDS} FROM ${ANNOTATION_FROM} WHERE a.id = ? AND a.user_key_hash = ? AND a.kind = ?`,
+        [req.params.id, ctx.userKey, ctx.kind]
+      );
+      if (!row) res.status(404).json({ error: "Not found", kind: req.params.kind, id: req.params.id });
+      return row || null;
+    }
+
+    app.get("/api/me/tags", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const rows = await db.all(
+          `SELECT t.tag, COUNT(*) AS count FROM annotation_tags t JOIN annotations a ON a.id = t.annotation_id
+           WHERE a.user_key_hash = ? GROUP BY t.tag ORDER BY count DESC, t.tag`,
+          [ctx.userKey]
+        );
+        res.json(rows);
+      } catch (err) {
+        logger.error("GET /api/me/tags error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/me/export", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const filter = await annotationFilter(ctx.userKey, Object.values(ANNOTATION_KINDS), req.query);
+        if (filter.error) return res.status(filter.status).json({ error: filter.error, input: filter.input });
+        const rows = await db.all(
+          `SELECT ${ANNOTATION_FIELDS} FROM ${ANNOTATION_FROM} WHERE ${filter.sql}
+           ORDER BY CAST(a.book AS INTEGER), a.chapter, a.verse, a.id`,
+          filter.args
+        );
+        const all = await publicAnnotations(rows);
+        const out = { exportedAt: new Date().toISOString() };
+        for (const [plural, kind] of Object.entries(ANNOTATION_KINDS)) out[plural] = all.filter(a => a.kind === kind);
+        if (req.query.download === "1" || req.query.download === "true") res.attachment("annotations.json");
+        res.json(out);
+      } catch (err) {
+        logger.error("GET /api/me/export error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/me/:kind", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const filter = await annotationFilter(ctx.userKey, [ctx.kind], req.query);
+        if (filter.error) return res.status(filter.status).json({ error: filter.error, input: filter.input });
+        const paging = parsePaging(req.query, { limit: 50, max: 500 });
+        const order = req.query.sort === "ref" ? "CAST(a.book AS INTEGER), a.chapter, a.verse, a.id" : "a.created_at DESC, a.id DESC";
+        const count = await db.get(`SELECT COUNT(*) AS n FROM annotations a WHERE ${filter.sql}`, filter.args);
+        const rows = await db.all(
+          `SELECT ${ANNOTATION_FIELDS} FROM ${ANNOTATION_FROM} WHERE ${filter.sql} ORDER BY ${order} LIMIT ? OFFSET ?`,
+          [...filter.args, paging.limit, paging.offset]
+        );
+        res.json({ ...pageInfo(count.n, paging), results: await publicAnnotations(rows) });
+      } catch (err) {
+        logger.error("GET /api/me/:kind error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post("/api/me/:kind", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const b = req.body || {};
+        if (!b.bookId || !b.chapter) return res.status(400).json({ error: "Provide bookId and chapter" });
+        const input = checkAnnotation(ctx.kind, {
+          chapter: Number(b.chapter),
+          verse: optionalNumber(b.verse),
+          verseEnd: optionalNumber(b.verseEnd),
+          color: b.color,
+          body: b.body
+        });
+        if (input.error) return res.status(400).json({ error: input.error });
+        const tags = normalizeTags(b.tags);
+        if (tags.error) return res.status(400).json({ error: tags.error });
+        const book = await resolveBookId(b.bookId);
+        if (!book) return res.status(404).json({ error: "Book not found", input: b.bookId });
+
+        const id = await writes.transaction(async () => {
+          const result = await db.run(
+            `INSERT INTO annotations (user_key_hash, kind, book, chapter, verse, verse_end, color, body, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [ctx.userKey, ctx.kind, book, input.chapter, input.verse, input.verseEnd, input.color, input.body]
+          );
+          await saveAnnotationTags(result.lastID, tags.tags);
+          return result.lastID;
+        });
+        const saved = await db.get(`SELECT ${ANNOTATION_FIELDS} FROM ${ANNOTATION_FROM} WHERE a.id = ?`, [id]);
+        res.status(201).json((await publicAnnotations([saved]))[0]);
+      } catch (err) {
+        logger.error("POST /api/me/:kind error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get("/api/me/:kind/:id", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const row = await ownAnnotation(req, res, ctx);
+        if (!row) return;
+        res.json((await publicAnnotations([row]))[0]);
+      } catch (err) {
+        logger.error("GET /api/me/:kind/:id error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.patch("/api/me/:kind/:id", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const row = await ownAnnotation(req, res, ctx);
+        if (!row) return;
+        const b = req.body || {};
+        const has = k => Object.prototype.hasOwnProperty.call(b, k);
+        // moving to another verse resets the range unless a new verseEnd comes along
+        const verse = has("verse") ? optionalNumber(b.verse) : row.verse;
+        const input = checkAnnotation(ctx.kind, {
+          chapter: has("chapter") ? Number(b.chapter) : row.chapter,
+          verse,
+          verseEnd: has("verseEnd") ? optionalNumber(b.verseEnd) : has("verse") || has("chapter") ? null : row.verseEnd,
+          color: has("color") ? b.color : row.color,
+          body: has("body") ? b.body : row.body
+        });
+        if (input.error) return res.status(400).json({ error: input.error });
+        const tags = has("tags") ? normalizeTags(b.tags) : null;
+        if (tags && tags.error) return res.status(400).json({ error: tags.error });
+
+        await writes.transaction(async () => {
+          await db.run(
+            `UPDATE annotations SET chapter = ?, verse = ?, verse_end = ?, color = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [input.chapter, input.verse, input.verseEnd, input.color, input.body, row.id]
+          );
+          if (tags) await saveAnnotationTags(row.id, tags.tags);
+        });
+        const saved = await db.get(`SELECT ${ANNOTATION_FIELDS} FROM ${ANNOTATION_FROM} WHERE a.id = ?`, [row.id]);
+        res.json((await publicAnnotations([saved]))[0]);
+      } catch (err) {
+        logger.error("PATCH /api/me/:kind/:id error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.delete("/api/me/:kind/:id", async (req, res) => {
+      try {
+        const ctx = annotationRequest(req, res);
+        if (!ctx) return;
+        const row = await ownAnnotation(req, res, ctx);
+        if (!row) return;
+        // tags first: foreign keys aren't enforced, so no cascade
+        await writes.transaction(async () => {
+          await db.run(`DELETE FROM annotation_tags WHERE annotation_id = ?`, [row.id]);
+          await db.run(`DELETE FROM annotations WHERE id = ?`, [row.id]);
+        });
+        res.json({ id: row.id, deleted: true });
+      } catch (err) {
+        logger.error("DELETE /api/me/:kind/:id error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Plain-text chapter (robust)
+    // GET /api/verses/plain/:bookId/:chapter
+    // -------------------------
+    app.get("/api/verses/plain/:bookId/:chapter", async (req, res) => {
+      try {
+        const raw = req.params.bookId;
         const chapter = req.params.chapter;
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
         const bookId = await resolveBookId(raw);
-        if (!bookId) return res.status(404).type("text/plain").send("");
+        if (!bookId) return res.status(404).type("text/plain").send("Book not found");
+
+        const scheme = versificationOf(req);
+        if (!scheme) return res.status(400).type("text/plain").send("Unknown versification");
+        if (scheme !== DB_VERSIFICATION) {
+          const mapped = await fetchMappedChapter(tr, bookId, Number(chapter), scheme);
+          return res.type("text/plain").send(mapped.map(r => `${r.verse}. ${r.text.trim()}`).join("\n"));
+        }
 
         let rows = [];
 
         // try verses_api but gracefully handle errors and fallback to verses
-        const hasVersesApi = (await db.get(`SELECT name FROM sqlite_master WHERE type IN ('table','view') AND name='verses_api'`)) !== undefined;
+        const hasVersesApi = await hasTable(db, tr, "verses_api");
         if (hasVersesApi) {
           try {
             rows = await db.all(
               `SELECT verse, COALESCE(text_plain, text, '') AS text
-               FROM verses_api
+               FROM ${tr.versesApi}
                WHERE book_id = ? AND chapter = ?
                ORDER BY verse ASC`,
               [bookId, chapter]
             );
+            if (rows.length) usedVersesTable("verses_api");
           } catch (e) {
-            console.warn("verses_api query failed (plain route):", e.message);
+            logger.warn("verses_api query failed (plain route)", { error: e.message });
             rows = [];
           }
         }
@@ -494,13 +2907,14 @@ async function start() {
           try {
             rows = await db.all(
               `SELECT verse, COALESCE(text_plain, '') AS text
-               FROM verses
+               FROM ${tr.verses}
                WHERE book_id = ? AND chapter = ?
                ORDER BY verse ASC`,
               [bookId, chapter]
             );
+            if (rows.length) usedVersesTable("verses");
           } catch (e) {
-            console.warn("verses query failed (plain route):", e.message);
+            logger.warn("verses query failed (plain route)", { error: e.message });
             rows = [];
           }
         }
@@ -513,8 +2927,8 @@ async function start() {
         const out = rows.map(r => `${r.verse}. ${r.text.trim()}`).join("\n");
         res.type("text/plain").send(out);
       } catch (err) {
-        console.error("GET /api/verses/plain error:", err);
-        res.status(500).type("text/plain").send("");
+        logger.error("GET /api/verses/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
       }
     });
 
@@ -525,25 +2939,41 @@ async function start() {
     app.get("/api/verse/plain/:bookId/:chapter/:verse", async (req, res) => {
       try {
         const raw = req.params.bookId;
-        const chapter = req.params.chapter;
-        const verse = req.params.verse;
+        let chapter = req.params.chapter;
+        let verse = req.params.verse;
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
         const bookId = await resolveBookId(raw);
-        if (!bookId) return res.status(404).type("text/plain").send("");
+        if (!bookId) return res.status(404).type("text/plain").send("Book not found");
+
+        // ?versification=: read the stored equivalent, number it back in the requested scheme
+        const scheme = versificationOf(req);
+        if (!scheme) return res.status(400).type("text/plain").send("Unknown versification");
+        let osis = null;
+        if (scheme !== DB_VERSIFICATION) {
+          const entry = (await booksWithCanon()).find(b => b.bookId === bookId);
+          osis = entry && entry.canon ? entry.canon.osis : null;
+          const m = osis && mapVerse(osis, Number(chapter), Number(verse), scheme, DB_VERSIFICATION);
+          if (!m) return res.status(404).type("text/plain").send("Verse not found");
+          chapter = m.chapter;
+          verse = m.verse;
+        }
 
         let row = null;
-        const hasVersesApi = (await db.get(`SELECT name FROM sqlite_master WHERE type IN ('table','view') AND name='verses_api'`)) !== undefined;
+        const hasVersesApi = await hasTable(db, tr, "verses_api");
 
         if (hasVersesApi) {
           try {
             row = await db.get(
               `SELECT v.book_id, v.chapter, v.verse, COALESCE(v.text_plain, v.text, '') AS text, b.name AS book
-               FROM verses_api v
+               FROM ${tr.versesApi} v
                JOIN books b ON b.book_id = v.book_id
                WHERE v.book_id = ? AND v.chapter = ? AND v.verse = ? LIMIT 1`,
               [bookId, chapter, verse]
             );
+            if (row) usedVersesTable("verses_api");
           } catch (e) {
-            console.warn("verses_api single-verse query failed (plain route):", e.message);
+            logger.warn("verses_api single-verse query failed (plain route)", { error: e.message });
             row = null;
           }
         }
@@ -553,160 +2983,197 @@ async function start() {
           try {
             row = await db.get(
               `SELECT v.book_id, v.chapter, v.verse, COALESCE(v.text_plain, '') AS text, b.name AS book
-               FROM verses v
+               FROM ${tr.verses} v
                JOIN books b ON b.book_id = v.book_id
                WHERE v.book_id = ? AND v.chapter = ? AND v.verse = ? LIMIT 1`,
               [bookId, chapter, verse]
             );
+            if (row) usedVersesTable("verses");
           } catch (e) {
-            console.warn("verses single-verse query failed (plain route):", e.message);
+            logger.warn("verses single-verse query failed (plain route)", { error: e.message });
             row = null;
           }
         }
 
-        if (!row) return res.status(404).type("text/plain").send("");
+        if (!row) return res.status(404).type("text/plain").send("Verse not found");
 
-        res.type("text/plain").send(`${row.verse}. ${row.text.trim()}`);
+        const back = osis && mapVerse(osis, Number(row.chapter), Number(row.verse), DB_VERSIFICATION, scheme);
+        res.type("text/plain").send(`${back ? back.verse : row.verse}. ${row.text.trim()}`);
       } catch (err) {
-        console.error("GET /api/verse/plain error:", err);
-        res.status(500).type("text/plain").send("");
+        logger.error("GET /api/verse/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
       }
     });
 
     // -------------------------
-// FIXED plain-text search route with exact and fuzzy match
-// GET /api/search/plain?q=word&exact=1
-// returns "Genesis 1:1. In the beginning..."
-app.get("/api/search/plain", async (req, res) => {
-  try {
-    const q = (req.query.q || "").trim();
-    if (!q) return res.type("text/plain").send("");
-
-    const exact = req.query.exact === "1" || req.query.exact === "true";
-
-    // prefer main verses table
-    const table = "verses";
-    const textColumn = "text_plain";
-
-    let rows = [];
-
-    if (exact) {
-      // Whole-word (normalized) search
-      const normExpr = normalizedColumnExpr(`v.${textColumn}`);
-      const pattern = `% ${q.toLowerCase()} %`;
-      rows = await db.all(
-        `
-        SELECT b.name AS book, v.chapter, v.verse, COALESCE(v.${textColumn}, '') AS text
-        FROM ${table} v
-        JOIN books b ON b.book_id = v.book_id
-        WHERE ${normExpr} LIKE ?
-        LIMIT 500;
-        `,
-        [pattern]
-      );
-    } else {
-      // Normal substring match
-      rows = await db.all(
-        `
-        SELECT b.name AS book, v.chapter, v.verse, COALESCE(v.${textColumn}, '') AS text
-        FROM ${table} v
-        JOIN books b ON b.book_id = v.book_id
-        WHERE LOWER(v.${textColumn}) LIKE '%' || LOWER(?) || '%'
-        LIMIT 500;
-        `,
-        [q]
-      );
-    }
-
-    if (!rows || rows.length === 0) {
-      return res.type("text/plain").send("No results found.");
-    }
-
-    // Format and sanitize results
-    const out = rows
-      .map(r => `${r.book} ${r.chapter}:${r.verse}. ${sanitizeText(r.text)}`)
-      .join("\n");
+    // Plain-text search, one "Book C:V. text" line per verse in canonical order
+    // GET /api/search/plain?q=word&exact=1&limit=500&offset=0
+    // Same query syntax and scope filters as /api/search. Words and phrases match as
+    // case-insensitive substrings ("earth" finds "earthquake"); with exact=1 only as
+    // whole words (through the FTS index when there is one).
+    // -------------------------
+    app.get("/api/search/plain", async (req, res) => {
+      try {
+        const q = (req.query.q || "").trim();
+        if (!q) return res.type("text/plain").send("");
 
-    res.type("text/plain").send(out);
+        const exact = req.query.exact === "1" || req.query.exact === "true";
 
-    } catch (err) {
-    console.error("GET /api/search/plain error:", err.message);
-    console.error(err.stack);
-    res.status(500).type("text/plain").send("Error performing search: " + err.message);
-  }
-});
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).type("text/plain").send("Unknown version");
 
-    // -------------------------
-    // Navigation helper for next/previous verse coordinates
-    // GET /api/nav/verse/:bookId/:chapter/:verse
-    // -------------------------
-    app.get("/api/nav/verse/:bookId/:chapter/:verse", async (req, res) => {
-      try {
-        const { bookId: raw, chapter, verse } = req.params;
-        const bookId = await resolveBookId(raw);
-        if (!bookId) return res.status(404).json({ error: "Book not found" });
+        // prefer main verses table
+        const table = tr.verses;
+        const textColumn = "text_plain";
 
-        const nextSame = await db.get(
-          `SELECT verse FROM verses WHERE book_id = ? AND chapter = ? AND verse > ? ORDER BY verse ASC LIMIT 1`,
-          [bookId, chapter, verse]
-        );
+        let ast;
+        try {
+          ast = parseSearchQuery(q);
+        } catch (e) {
+          if (e instanceof SearchSyntaxError) return res.status(400).type("text/plain").send(e.message);
+          throw e;
+        }
+        const { limit, offset } = parsePaging(req.query, { limit: 500, max: 2000 });
 
-        const prevSame = await db.get(
-          `SELECT verse FROM verses WHERE book_id = ? AND chapter = ? AND verse < ? ORDER BY verse DESC LIMIT 1`,
-          [bookId, chapter, verse]
-        );
+        const { status, error, where: scopeWhere } = await resolveSearchScope(req.query);
+        if (status) return res.status(status).type("text/plain").send(error);
 
-        let next = null, prev = null;
+        let rows = [];
 
-        if (nextSame) {
-          next = { bookId, chapter, verse: nextSame.verse };
+        if (exact && (await hasTable(db, tr, "verses_fts"))) {
+          // FTS index: whole words as typed (prefix* terms match the word start)
+          try {
+            rows = await db.all(
+              `
+              SELECT b.name AS book, v.chapter, v.verse, COALESCE(v.${textColumn}, '') AS text
+              FROM ${tr.fts} f
+              JOIN ${table} v ON v.id = f.rowid
+              JOIN books b ON b.book_id = v.book_id
+              WHERE f.${tr.prefix}verses_fts MATCH ? AND ${scopeWhere.sql}
+              ORDER BY CAST(v.book_id AS INTEGER), v.chapter, v.verse
+              LIMIT ? OFFSET ?;
+              `,
+              [toFtsQuery(ast), ...scopeWhere.args, limit, offset]
+            );
+          } catch (e) {
+            if (/fts5|MATCH|syntax/i.test(e.message)) return res.status(400).type("text/plain").send("Invalid search query");
+            throw e;
+          }
         } else {
-          const books = await db.all(`SELECT book_id FROM books ORDER BY CAST(book_id AS INTEGER)`);
-          const idx = books.findIndex(b => String(b.book_id) === String(bookId));
-          if (idx >= 0 && idx < books.length - 1) {
-            const nextBook = books[idx + 1].book_id;
-            const nextChap = await db.get(`SELECT MIN(chapter) AS chapter FROM verses WHERE book_id = ?`, [nextBook]);
-            if (nextChap && nextChap.chapter !== null) {
-              const firstVerse = await db.get(`SELECT MIN(verse) AS verse FROM verses WHERE book_id = ? AND chapter = ?`, [nextBook, nextChap.chapter]);
-              if (firstVerse) next = { bookId: nextBook, chapter: nextChap.chapter, verse: firstVerse.verse };
-            }
+          // LIKE scan: substring search, or whole words without an FTS index
+          // (FTS_AUTOBUILD=0 or the build failed)
+          let where;
+          if (exact) {
+            // Whole-word (normalized) search; prefix* terms only need the word start
+            const normExpr = normalizedColumnExpr(`v.${textColumn}`);
+            where = toWhereClause(ast, n => ({
+              sql: `${normExpr} LIKE ?`,
+              args: [n.prefix ? `% ${n.text}%` : `% ${n.text} %`]
+            }));
+          } else {
+            // Substring match, case-insensitive; the FTS index can't find word middles
+            where = toWhereClause(ast, n => ({
+              sql: `LOWER(v.${textColumn}) LIKE ?`,
+              args: [`%${n.text}%`]
+            }));
           }
+
+          rows = await db.all(
+            `
+            SELECT b.name AS book, v.chapter, v.verse, COALESCE(v.${textColumn}, '') AS text
+            FROM ${table} v
+            JOIN books b ON b.book_id = v.book_id
+            WHERE ${where.sql} AND ${scopeWhere.sql}
+            ORDER BY CAST(v.book_id AS INTEGER), v.chapter, v.verse
+            LIMIT ? OFFSET ?;
+            `,
+            [...where.args, ...scopeWhere.args, limit, offset]
+          );
         }
 
-        if (prevSame) {
-          prev = { bookId, chapter, verse: prevSame.verse };
-        } else {
-          const books = await db.all(`SELECT book_id FROM books ORDER BY CAST(book_id AS INTEGER)`);
-          const idx = books.findIndex(b => String(b.book_id) === String(bookId));
-          if (idx > 0) {
-            const prevBook = books[idx - 1].book_id;
-            const prevChap = await db.get(`SELECT MAX(chapter) AS chapter FROM verses WHERE book_id = ?`, [prevBook]);
-            if (prevChap && prevChap.chapter !== null) {
-              const lastVerse = await db.get(`SELECT MAX(verse) AS verse FROM verses WHERE book_id = ? AND chapter = ?`, [prevBook, prevChap.chapter]);
-              if (lastVerse) prev = { bookId: prevBook, chapter: prevChap.chapter, verse: lastVerse.verse };
-            }
-          }
+        if (!rows || rows.length === 0) {
+          return res.type("text/plain").send("No results found.");
         }
 
-        res.json({ prev, next });
+        // Format and sanitize results
+        const out = rows
+          .map(r => `${r.book} ${r.chapter}:${r.verse}. ${sanitizeText(r.text)}`)
+          .join("\n");
+
+        res.type("text/plain").send(out);
+      } catch (err) {
+        logger.error("GET /api/search/plain error", err);
+        res.status(500).type("text/plain").send("Internal server error");
+      }
+    });
+
+    // -------------------------
+    // Navigation helper for next/previous verse coordinates (across chapters and books)
+    // GET /api/nav/verse/:bookId/:chapter/:verse?step=1
+    // -------------------------
+    app.get("/api/nav/verse/:bookId/:chapter/:verse", async (req, res) => {
+      try {
+        const { bookId: raw } = req.params;
+        const chapter = Number(req.params.chapter), verse = Number(req.params.verse);
+        if (!Number.isInteger(chapter) || !Number.isInteger(verse)) return res.status(400).json({ error: "chapter and verse must be numbers" });
+        const n = navStep(req);
+        if (n === null) return res.status(400).json({ error: "step must be a positive whole number", step: req.query.step });
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        const bookId = await resolveBookId(raw);
+        const nav = bookId && stepVerse(await outlineOf(tr), bookId, chapter, verse, n);
+        if (!nav) return res.status(404).json({ error: "Book not found", input: raw });
+        res.json(nav);
+      } catch (err) {
+        logger.error("GET /api/nav/verse error", err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // -------------------------
+    // Book/chapter/verse-count outline of a translation
+    // GET /api/outline?version=
+    // -------------------------
+    app.get("/api/outline", async (req, res) => {
+      try {
+        const tr = versionOf(req);
+        if (!tr) return res.status(404).json({ error: "Unknown version", version: req.query.version });
+        res.json({ version: tr.code, ...outlineSummary(await outlineOf(tr)) });
       } catch (err) {
-        console.error("GET /api/nav/verse error:", err);
+        logger.error("GET /api/outline error", err);
         res.status(500).json({ error: err.message });
       }
     });
 
+    // -------------------------
+    // GET /metrics  (admin; Prometheus text format: requests and latency per route, SQL
+    // timings, verse table fallbacks, response cache lookups). Scrapers send ADMIN_TOKEN
+    // as "Authorization: Bearer <token>".
+    // -------------------------
+    app.get("/metrics", requireAdmin, (req, res) => {
+      res.type("text/plain; version=0.0.4").send(metrics.render());
+    });
+
     // Fallback 404 to return JSON
     app.use((req, res) => {
       res.status(404).json({ error: "Not Found", path: req.path });
     });
+    app.use(errorHandler);
+
+    // outlines before the first request, so navigation never waits on a scan
+    for (const tr of translations.list) await outlineOf(tr);
 
     // start server
     app.listen(PORT, () => {
-      console.log(`Eden Bible API running on http://localhost:${PORT}`);
+      logger.info(`Eden Bible API running on http://localhost:${PORT}`, { port: Number(PORT) });
     });
 
   } catch (err) {
-    console.error("Failed to open DB or start server:", err);
+    if (err instanceof SchemaError) {
+      logger.error(err.message, { problems: err.problems });
+      process.exit(1);
+    }
+    logger.error("Failed to open DB or start server", err);
     process.exit(1);
   }
 }
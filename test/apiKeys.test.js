@@ -0,0 +1,122 @@
+// test/apiKeys.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { newApiKey, keyPrefix, normalizeScopes, normalizeOrigins, checkApiKey, checkAccess, createUsageTracker, rateLimitHeaders, utcDay } from "../lib/apiKeys.js";
+import { hashToken, tokenMatches } from "../lib/comments.js";
+
+const noUsage = { loadDay: async () => ({ requests: 0, limited: 0 }), saveUsage: async () => {}, flushMs: 1e9 };
+
+test("keys are random, stored hashed, and matched against the hash only", () => {
+  const key = newApiKey();
+  assert.match(key, /^eden_[A-Za-z0-9_-]{32}$/);
+  assert.notEqual(newApiKey(), key);
+  assert.equal(keyPrefix(key), key.slice(0, 12));
+  const hash = hashToken(key);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.ok(tokenMatches(key, hash));
+  assert.ok(!tokenMatches(newApiKey(), hash));
+  assert.ok(!tokenMatches("", hash));
+  assert.ok(!tokenMatches(key, null));
+});
+
+test("scopes, origins and limits are checked", () => {
+  assert.deepEqual(normalizeScopes("Comment, read read"), { scopes: ["read", "comment"] });
+  assert.deepEqual(normalizeScopes("write"), { error: "Unknown scope(s) write (known: read, comment, admin)" });
+  assert.deepEqual(normalizeScopes([]), { error: "At least one scope is required" });
+  assert.deepEqual(normalizeOrigins("https://a.org/ http://b.org:8080"), { origins: ["https://a.org", "http://b.org:8080"] });
+  assert.deepEqual(normalizeOrigins(null), { origins: null });
+  assert.deepEqual(normalizeOrigins(["https://a.org/path"]), { error: "Not an origin: https://a.org/path (scheme://host[:port])" });
+  assert.deepEqual(checkApiKey({ name: " partner ", rateLimit: "5" }), { name: "partner", scopes: ["read"], rateLimit: 5, dailyQuota: null, origins: null });
+  assert.deepEqual(checkApiKey({ name: "x", dailyQuota: -1 }), { error: "dailyQuota must be a whole number >= 0 (0 = unlimited)" });
+  assert.deepEqual(checkApiKey({ name: "  " }), { error: "name is required" });
+});
+
+test("checkAccess denies missing scopes, keys and origins", () => {
+  const read = { scope: "read" }, comment = { scope: "comment" }, admin = { scope: "admin" };
+  const key = { scopes: ["read"], origins: ["https://partner.org"] };
+
+  assert.equal(checkAccess(read, key, {}), null);
+  assert.equal(checkAccess(read, key, { origin: "https://partner.org" }), null);
+  const scope = checkAccess(comment, key, {});
+  assert.equal(scope.status, 403);
+  assert.equal(scope.body.code, "insufficient_scope");
+  assert.deepEqual(scope.body.scopes, ["read"]);
+  assert.equal(checkAccess(read, key, { origin: "https://evil.example" }).body.code, "origin_not_allowed");
+  // admin routes are decided by the admin check, not by the key's scopes
+  assert.equal(checkAccess(admin, key, {}), null);
+
+  assert.equal(checkAccess(read, null, { anonymousScopes: ["read"] }), null);
+  const anon = checkAccess(comment, null, { anonymousScopes: ["read"] });
+  assert.equal(anon.status, 401);
+  assert.equal(anon.body.code, "api_key_required");
+  assert.equal(checkAccess(read, null, { anonymousScopes: [] }).status, 401);
+  assert.equal(checkAccess(admin, null, { anonymousScopes: [] }), null);
+});
+
+test("per-minute limit: 429 past the limit, open again in the next window", async () => {
+  const usage = createUsageTracker(noUsage);
+  const key = { id: 1, rateLimit: 2, dailyQuota: 0 };
+  const now = Date.parse("2026-03-01T12:00:00Z");
+
+  assert.equal((await usage.hit(key, now)).exceeded, null);
+  const second = await usage.hit(key, now + 1000);
+  assert.equal(second.exceeded, null);
+  assert.deepEqual(second.minute, { limit: 2, remaining: 0, resetMs: 59000 });
+  assert.equal(second.day, null);
+
+  const third = await usage.hit(key, now + 2000);
+  assert.equal(third.exceeded, "rate");
+  assert.deepEqual(rateLimitHeaders(third), {
+    "RateLimit-Limit": "2",
+    "RateLimit-Remaining": "0",
+    "RateLimit-Reset": "58",
+    "RateLimit-Policy": "2;w=60"
+  });
+
+  assert.equal((await usage.hit(key, now + 60000)).exceeded, null);
+});
+
+test("daily quota counts stored usage and resets at the UTC day boundary", async () => {
+  const saved = [];
+  const usage = createUsageTracker({
+    loadDay: async (keyId, day) => (day === "2026-03-01" ? { requests: 1, limited: 0 } : { requests: 0, limited: 0 }),
+    saveUsage: async rows => saved.push(...rows),
+    flushMs: 1e9
+  });
+  const key = { id: 2, rateLimit: 0, dailyQuota: 3 };
+  const beforeMidnight = Date.parse("2026-03-01T23:59:00Z");
+
+  assert.equal((await usage.hit(key, beforeMidnight)).exceeded, null);
+  assert.equal((await usage.hit(key, beforeMidnight)).exceeded, null);
+  const over = await usage.hit(key, beforeMidnight);
+  assert.equal(over.exceeded, "quota");
+  assert.deepEqual(over.day, { limit: 3, remaining: 0, resetMs: 60000 });
+  assert.equal(rateLimitHeaders(over)["RateLimit-Reset"], "60");
+  assert.equal(rateLimitHeaders(over)["RateLimit-Policy"], "3;w=86400");
+
+  const nextDay = await usage.hit(key, Date.parse("2026-03-02T00:00:00Z"));
+  assert.equal(nextDay.exceeded, null);
+  assert.deepEqual(nextDay.day, { limit: 3, remaining: 2, resetMs: 86400000 });
+
+  // only the increments since the last flush are written, per key and day
+  await usage.flush();
+  assert.deepEqual(saved, [
+    { keyId: 2, day: "2026-03-01", requests: 2, limited: 1, lastUsedAt: "2026-03-01 23:59:00" },
+    { keyId: 2, day: "2026-03-02", requests: 1, limited: 0, lastUsedAt: "2026-03-02 00:00:00" }
+  ]);
+  saved.length = 0;
+  await usage.flush();
+  assert.deepEqual(saved, []);
+});
+
+test("RateLimit-* headers report the limit closest to running out", () => {
+  const headers = rateLimitHeaders({ minute: { limit: 60, remaining: 30, resetMs: 20000 }, day: { limit: 1000, remaining: 5, resetMs: 3600500 } });
+  assert.deepEqual(headers, {
+    "RateLimit-Limit": "1000",
+    "RateLimit-Remaining": "5",
+    "RateLimit-Reset": "3601",
+    "RateLimit-Policy": "60;w=60, 1000;w=86400"
+  });
+  assert.deepEqual(rateLimitHeaders({ minute: null, day: null }), {});
+  assert.equal(utcDay(Date.parse("2026-03-01T23:59:59Z")), "2026-03-01");
+});
@@ -0,0 +1,39 @@
+// test/comments.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeCommentBody, buildThreads } from "../lib/comments.js";
+
+test("script, style, iframe and object blocks are removed with their content", () => {
+  assert.equal(sanitizeCommentBody("hi <script>alert(1)</script> there"), "hi there");
+  assert.equal(sanitizeCommentBody("a <STYLE type=\"text/css\">p{}</style >b"), "a b");
+  assert.equal(sanitizeCommentBody("x\t<iframe src=\"//evil\"></iframe>\ty"), "x y");
+  assert.equal(sanitizeCommentBody("<object data=\"f\">\nfallback\n</object>ok"), "ok");
+});
+
+test("other tags are stripped and their text kept", () => {
+  assert.equal(sanitizeCommentBody("<p>In the <b>beginning</b></p>"), "In the beginning");
+  assert.equal(sanitizeCommentBody("<a href=\"javascript:alert(1)\">link</a> <!-- c -->"), "link");
+  assert.equal(sanitizeCommentBody("see JavaScript:void(0)"), "see void(0)");
+  assert.equal(sanitizeCommentBody("1 < 2 and 3 > 2"), "1 < 2 and 3 > 2");
+});
+
+test("whitespace: spaces collapsed, line breaks normalized, ends trimmed", () => {
+  assert.equal(sanitizeCommentBody("  one   two  "), "one two");
+  assert.equal(sanitizeCommentBody("a  \r\nb\r\rc"), "a\nb\n\nc");
+  assert.equal(sanitizeCommentBody("a\n\n\n\nb"), "a\n\nb");
+  assert.equal(sanitizeCommentBody(null), "");
+  assert.equal(sanitizeCommentBody("<script>only</script>"), "");
+});
+
+test("buildThreads nests replies and drops orphans and empty deleted comments", () => {
+  const threads = buildThreads([
+    { id: 1, parentId: null },
+    { id: 2, parentId: 1 },
+    { id: 3, parentId: null, deleted: true },
+    { id: 4, parentId: 3 },
+    { id: 5, parentId: null, deleted: true },
+    { id: 6, parentId: 99 }
+  ]);
+  const shape = list => list.map(c => [c.id, shape(c.replies)]);
+  assert.deepEqual(shape(threads), [[1, [[2, []]]], [3, [[4, []]]]]);
+});
@@ -0,0 +1,107 @@
+// test/importers.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseUsfm, parseOsis, parseJsonBible, parseDelimited, detectFormat, checkContinuity, cleanVerseText } from "../lib/importers.js";
+
+const verses = rows => rows.map(r => [r.book, r.chapter, r.verse, r.verseEnd, r.text]);
+
+test("cleanVerseText drops pilcrows and collapses whitespace", () => {
+  assert.equal(cleanVerseText(" In¶ the  beginning\n God "), "In the beginning God");
+  assert.equal(cleanVerseText(null), "");
+});
+
+test("USFM: headings, footnotes, cross references and word markup are removed", () => {
+  const source = String.raw`\id GEN Test
+\h Genesis
+\mt1 Genesis
+\c 1
+\s1 The Creation
+\p
+\v 1 In the \w beginning|strong="H7225"\w* God\f + \fr 1:1 \ft a note\f* created
+\q1 the heaven \add and\add* the earth.
+\v 2-3 And the earth¶ was \x - \xo 1:2 \xt Jer 4:23\x*without form.
+\c 2
+\v 1 Thus \+w the|x="y"\+w* heavens.
+\v x bad
+`;
+  const { rows, errors } = parseUsfm(source, "g.usfm");
+  assert.deepEqual(verses(rows), [
+    ["GEN", 1, 1, null, "In the beginning God created the heaven and the earth."],
+    ["GEN", 1, 2, 3, "And the earth was without form."],
+    ["GEN", 2, 1, null, "Thus the heavens."]
+  ]);
+  assert.equal(rows[1].at, "g.usfm GEN 1:2-3");
+  assert.deepEqual(errors, [`g.usfm GEN: bad verse "x" in chapter 2`]);
+});
+
+test("USFM: several books in one file, unknown \\id codes named by \\h", () => {
+  const { rows } = parseUsfm("\\id EXO\n\\c 1\n\\v 1 Now these\n\\id XXA\n\\h Odes\n\\c 1\n\\v 1 Sing\n");
+  assert.deepEqual(verses(rows), [["EXO", 1, 1, null, "Now these"], ["Odes", 1, 1, null, "Sing"]]);
+  assert.deepEqual(parseUsfm("no id here", "x.usfm").errors, ["x.usfm: no \\id line"]);
+});
+
+test("OSIS: container verses, sID/eID milestones, notes, titles and entities", () => {
+  const source = `<osis><osisText><div type="book" osisID="Gen"><title>Genesis</title>
+<chapter osisID="Gen.1"><verse osisID="Gen.1.1">In the <w lemma="strong:H7225">beginning</w><note type="study">note</note> God &amp; co</verse>
+<verse osisID="Gen.1.2 Gen.1.3">Joined verses</verse></chapter>
+<chapter sID="Gen.2"/><verse sID="Gen.2.1" osisID="Gen.2.1"/>Thus the <!-- c -->heavens<verse eID="Gen.2.1"/><verse sID="Gen.2.2" osisID="Gen.2.2"/>And on the seventh day &#x2014; done<verse eID="Gen.2.2"/>
+<verse osisID="Bad">x</verse></div></osisText></osis>`;
+  const { rows, errors } = parseOsis(source, "g.xml");
+  assert.deepEqual(verses(rows), [
+    ["Gen", 1, 1, null, "In the beginning God & co"],
+    ["Gen", 1, 2, 3, "Joined verses"],
+    ["Gen", 2, 1, null, "Thus the heavens"],
+    ["Gen", 2, 2, null, "And on the seventh day — done"]
+  ]);
+  assert.deepEqual(errors, [`g.xml: unrecognised osisID "Bad"`]);
+  assert.deepEqual(parseOsis("<osis/>", "e.xml").errors, ["e.xml: no <verse> elements with osisID"]);
+});
+
+test("JSON: flat verse lists and books of chapter arrays or objects", () => {
+  const flat = parseJsonBible(`[{"book":"Genesis","chapter":1,"verse":1,"text":" In  the beginning "},{"book":"Gen","chapter":1,"verse":"2-3","text":"x"},{"chapter":1,"verse":4}]`, "a.json");
+  assert.deepEqual(verses(flat.rows), [["Genesis", 1, 1, null, "In the beginning"], ["Gen", 1, 2, 3, "x"]]);
+  assert.deepEqual(flat.errors, ["a.json: row 3 needs book, chapter, verse"]);
+
+  const nested = parseJsonBible(`{"books":[{"book":"GEN","chapters":[["a","b"],{"2":"c"}]}]}`);
+  assert.deepEqual(verses(nested.rows), [["GEN", 1, 1, null, "a"], ["GEN", 1, 2, null, "b"], ["GEN", 2, 2, null, "c"]]);
+
+  assert.match(parseJsonBible("{oops", "c.json").errors[0], /^c\.json: invalid JSON/);
+  assert.deepEqual(parseJsonBible(`{"x":1}`, "d.json").errors, ["d.json: expected an array of verses or { books: [...] }"]);
+});
+
+test("CSV: BOM, CRLF, quoted fields with commas, quotes and newlines", () => {
+  const source = '﻿version,book,chapter,verse,text\r\ndefault,Genesis,1,1,"In the beginning, God ""created"""\r\ndefault,Genesis,1,2,"line\nbreak"\ndefault,Genesis,x,3,bad\n';
+  const { rows, errors } = parseDelimited(source, "a.csv");
+  assert.deepEqual(verses(rows), [["Genesis", 1, 1, null, `In the beginning, God "created"`], ["Genesis", 1, 2, null, "line break"]]);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^a\.csv: line \d+ has a bad book\/chapter\/verse$/);
+  assert.deepEqual(parseDelimited("book,verse\nx,1", "h.csv").errors, ["h.csv: header is missing chapter, text"]);
+});
+
+test("TSV: quotes are ordinary characters", () => {
+  const { rows } = parseDelimited('book\tchapter\tverse\ttext_plain\nGEN\t1\t1\t"quoted" stays\n', "a.tsv", "\t");
+  assert.deepEqual(verses(rows), [["GEN", 1, 1, null, `"quoted" stays`]]);
+});
+
+test("detectFormat uses the extension, then the content", () => {
+  const cases = [
+    ["a.usfm", "", "usfm"], ["A.SFM", "", "usfm"], ["a.xml", "", "osis"], ["a.json", "", "json"],
+    ["a.csv", "", "csv"], ["a.tab", "", "tsv"], ["a.txt", "  \\id GEN", "usfm"], ["a.txt", "<?xml", "osis"],
+    ["a.txt", "[1]", "json"], ["a.txt", "hello", null]
+  ];
+  for (const [file, source, format] of cases) assert.equal(detectFormat(file, source), format, file);
+});
+
+test("checkContinuity groups by canon book and reports gaps, repeats and unknown books", () => {
+  const row = (book, chapter, verse, at, verseEnd = null) => ({ book, chapter, verse, verseEnd, at });
+  const result = checkContinuity([
+    row("Gen", 1, 1, "a"), row("Gen", 1, 2, "b", 3), row("Gen", 1, 5, "c"), row("Genesis", 1, 1, "d"), row("Gen", 3, 1, "e"),
+    row("Exo", 1, 2, "g"), row("Exo", 1, 1, "h"),
+    row("Narnia", 1, 1, "f"), row("Narnia", 1, 2, "f2")
+  ]);
+  assert.deepEqual([...result.byBook].map(([num, b]) => [num, b.canon.code, b.rows.map(r => r.at)]), [[1, "GEN", ["a", "b", "c", "e"]], [2, "EXO", ["h", "g"]]]);
+  assert.deepEqual(result.duplicates, [{ ref: "Genesis 1:1", at: "d", first: "a" }]);
+  assert.deepEqual(result.missingVerses, ["Genesis 1:4"]);
+  assert.deepEqual(result.missingChapters, ["Genesis 2"]);
+  assert.deepEqual(result.unknownBooks, [{ book: "Narnia", rows: 2 }]);
+});
@@ -0,0 +1,38 @@
+// test/rateLimit.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../lib/rateLimit.js";
+
+// Minimal req/res pair; the result says whether next() ran or what was sent
+function call(limiter, ip = "1.2.3.4") {
+  const out = { next: false, status: 200, headers: {}, body: null };
+  const res = {
+    set(name, value) { out.headers[name] = value; return res; },
+    status(code) { out.status = code; return res; },
+    json(body) { out.body = body; return res; }
+  };
+  limiter({ ip }, res, () => { out.next = true; });
+  return out;
+}
+
+test("429 with Retry-After past the limit, per key, until the window ends", t => {
+  let now = Date.parse("2026-03-01T12:00:00Z");
+  t.mock.method(Date, "now", () => now);
+  const limiter = createRateLimiter({ windowMs: 60000, max: 2, message: "Slow down" });
+
+  assert.ok(call(limiter).next);
+  now += 1000;
+  assert.ok(call(limiter).next);
+  now += 9000;
+  const limited = call(limiter);
+  assert.equal(limited.next, false);
+  assert.equal(limited.status, 429);
+  assert.deepEqual(limited.body, { error: "Slow down" });
+  assert.equal(limited.headers["Retry-After"], "50");
+
+  // other callers have their own window
+  assert.ok(call(limiter, "5.6.7.8").next);
+
+  now = Date.parse("2026-03-01T12:01:00Z");
+  assert.ok(call(limiter).next);
+});
@@ -0,0 +1,67 @@
+// test/reference.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseReference, formatReference, RefParseError } from "../lib/reference.js";
+
+// passages as [book code, startChapter, startVerse, endChapter, endVerse]
+const parse = q => parseReference(q).map(p => [p.book && p.book.code, p.startChapter, p.startVerse, p.endChapter, p.endVerse]);
+const labels = q => parseReference(q).map(p => formatReference(p));
+
+test("single verses, verse ranges and whole chapters", () => {
+  assert.deepEqual(parse("Jn 3:16"), [["JHN", 3, 16, 3, 16]]);
+  assert.deepEqual(parse("John 3:16-18"), [["JHN", 3, 16, 3, 18]]);
+  assert.deepEqual(parse("Rom 8"), [["ROM", 8, null, 8, null]]);
+  assert.deepEqual(parse("Ps 1-3"), [["PSA", 1, null, 3, null]]);
+  assert.deepEqual(parse("Genesis"), [["GEN", null, null, null, null]]);
+});
+
+test("ranges across chapters", () => {
+  assert.deepEqual(parse("1 John 2:1-3:4"), [["1JN", 2, 1, 3, 4]]);
+  assert.deepEqual(labels("Gen 1:26-2:3"), ["Genesis 1:26-2:3"]);
+});
+
+test("comma lists continue the previous unit", () => {
+  assert.deepEqual(parse("Jn 3:16,18-20"), [["JHN", 3, 16, 3, 16], ["JHN", 3, 18, 3, 20]]);
+  assert.deepEqual(parse("Ps 1, 23"), [["PSA", 1, null, 1, null], ["PSA", 23, null, 23, null]]);
+});
+
+test("semicolons start a new passage, keeping the book", () => {
+  assert.deepEqual(parse("1 Cor 13:4,7; 14:1"), [["1CO", 13, 4, 13, 4], ["1CO", 13, 7, 13, 7], ["1CO", 14, 1, 14, 1]]);
+  assert.deepEqual(labels("Jn 3:16; 17"), ["John 3:16", "John 17"]);
+  assert.deepEqual(labels("Jn 3:16; Rom 8"), ["John 3:16", "Romans 8"]);
+});
+
+test("single-chapter books number verses", () => {
+  assert.deepEqual(parse("Jude 5"), [["JUD", 1, 5, 1, 5]]);
+  assert.deepEqual(labels("Jude 3-5"), ["Jude 1:3-5"]);
+});
+
+test("loose spellings", () => {
+  assert.deepEqual(parse("John 3.16"), [["JHN", 3, 16, 3, 16]]);
+  assert.deepEqual(parse("Gen 1:1–3"), [["GEN", 1, 1, 1, 3]]);
+  assert.deepEqual(parse("Jn 3:16a"), [["JHN", 3, 16, 3, 16]]);
+  assert.deepEqual(labels("Song of Solomon 2:1"), ["Song of Solomon 2:1"]);
+});
+
+test("unknown books are passed through for the caller to resolve", () => {
+  const [p] = parseReference("Foo 1:2");
+  assert.equal(p.book, null);
+  assert.equal(p.bookInput, "Foo");
+  assert.equal(formatReference(p), "Foo 1:2");
+});
+
+test("unreadable references throw RefParseError", () => {
+  const cases = [
+    ["", "Empty reference"],
+    ["3:16", "Reference must start with a book name"],
+    ["Gen 1:1-", `Cannot read "Gen 1:1-"`],
+    ["Gen 0:1", `Chapter and verse numbers start at 1 in "Gen 0:1"`],
+    ["Gen 1:0", `Chapter and verse numbers start at 1 in "Gen 1:0"`],
+    ["Gen 2-1", `Range runs backwards in "Gen 2-1"`],
+    ["Gen 1:5-3", `Range runs backwards in "Gen 1:5-3"`],
+    ["Jn 3:16,,17", "Empty item in reference list"]
+  ];
+  for (const [q, message] of cases) {
+    assert.throws(() => parseReference(q), err => err instanceof RefParseError && err.message === message, q);
+  }
+});
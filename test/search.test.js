@@ -0,0 +1,90 @@
+// test/search.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseSearchQuery, toFtsQuery, toWhereClause, positiveTerms, highlightSnippet, SearchSyntaxError } from "../lib/search.js";
+
+const term = (text, prefix = false) => ({ type: "term", text, prefix });
+const like = node => toWhereClause(node, n => ({ sql: "t LIKE ?", args: [`%${n.text}%`] }));
+
+test("words next to each other are ANDed", () => {
+  const ast = parseSearchQuery("Love world");
+  assert.deepEqual(ast, { type: "and", left: term("love"), right: term("world") });
+  assert.equal(toFtsQuery(ast), `("love" AND "world")`);
+  assert.deepEqual(like(ast), { sql: "(t LIKE ? AND t LIKE ?)", args: ["%love%", "%world%"] });
+});
+
+test("quoted phrases stay one node", () => {
+  const ast = parseSearchQuery(`"Only  begotten"`);
+  assert.deepEqual(ast, { type: "phrase", text: "only begotten" });
+  assert.equal(toFtsQuery(ast), `"only begotten"`);
+});
+
+test("OR, NOT and explicit AND", () => {
+  assert.equal(toFtsQuery(parseSearchQuery("faith OR hope")), `("faith" OR "hope")`);
+  assert.equal(toFtsQuery(parseSearchQuery("love AND joy")), `("love" AND "joy")`);
+  const not = parseSearchQuery("love NOT hate");
+  assert.deepEqual(not, { type: "not", left: term("love"), right: term("hate") });
+  assert.equal(toFtsQuery(not), `("love" NOT "hate")`);
+  assert.deepEqual(like(not), { sql: "(t LIKE ? AND NOT t LIKE ?)", args: ["%love%", "%hate%"] });
+});
+
+test("lowercase operators and a leading - are ordinary words", () => {
+  assert.deepEqual(parseSearchQuery("love or hate"), {
+    type: "and",
+    left: { type: "and", left: term("love"), right: term("or") },
+    right: term("hate")
+  });
+  // no -exclude syntax: the dash is dropped and the word is required
+  assert.deepEqual(parseSearchQuery("love -hate"), { type: "and", left: term("love"), right: term("hate") });
+});
+
+test("prefix* terms", () => {
+  const ast = parseSearchQuery("belie*");
+  assert.deepEqual(ast, term("belie", true));
+  assert.equal(toFtsQuery(ast), `"belie"*`);
+});
+
+test("parentheses group, OR binds looser than AND", () => {
+  assert.equal(toFtsQuery(parseSearchQuery("(faith OR hope) AND love")), `(("faith" OR "hope") AND "love")`);
+  assert.equal(toFtsQuery(parseSearchQuery("faith OR hope love")), `("faith" OR ("hope" AND "love"))`);
+});
+
+test("punctuation is stripped, apostrophes kept", () => {
+  assert.deepEqual(parseSearchQuery("Lord's, (amen)!"), { type: "and", left: term("lord's"), right: term("amen") });
+  assert.equal(toFtsQuery({ type: "phrase", text: `say "hi"` }), `"say ""hi"""`);
+});
+
+test("malformed queries throw SearchSyntaxError", () => {
+  const cases = [
+    ["", "Query has no searchable words"],
+    ["AND ?!", "Query has no searchable words"],
+    [`"only begotten`, "Unterminated quote in query"],
+    ["NOT hate", "NOT needs a word before it, e.g. love NOT hate"],
+    ["(faith OR hope", "Missing closing parenthesis"],
+    ["love OR", "Query ends where a word was expected"],
+    ["love)", "Unexpected ) in query"],
+    ["(AND love)", "Unexpected AND in query"],
+    [Array(33).fill("word").join(" "), "Too many search terms (max 32)"]
+  ];
+  for (const [q, message] of cases) {
+    assert.throws(() => parseSearchQuery(q), err => err instanceof SearchSyntaxError && err.message === message, q);
+  }
+});
+
+test("positiveTerms skips the right side of NOT", () => {
+  assert.deepEqual(positiveTerms(parseSearchQuery("love NOT hate OR joy")), [term("love"), term("joy")]);
+});
+
+test("highlightSnippet marks substrings, whole words and prefixes", () => {
+  const text = "the earthquake shook the earth";
+  assert.equal(highlightSnippet(text, [term("earth")]), "the <mark>earth</mark>quake shook the <mark>earth</mark>");
+  assert.equal(highlightSnippet(text, [term("earth")], { wholeWord: true }), "the earthquake shook the <mark>earth</mark>");
+  assert.equal(highlightSnippet(text, [term("earth", true)], { open: "[", close: "]" }), "the [earthquake] shook the [earth]");
+  assert.equal(highlightSnippet("created the  heaven", [{ type: "phrase", text: "the heaven" }]), "created <mark>the  heaven</mark>");
+});
+
+test("highlightSnippet cuts a window around the first match", () => {
+  const text = Array.from({ length: 100 }, (_, i) => `w${i}`).join(" ");
+  assert.equal(highlightSnippet(text, [term("w50")], { words: 3, wholeWord: true }), "… w49 <mark>w50</mark> w51…");
+  assert.equal(highlightSnippet("short text", []), "short text");
+});
@@ -0,0 +1,17 @@
+// test/versification.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mapVerse, fromEnglish } from "../lib/versification.js";
+
+test("Greek psalms that join or split Hebrew ones stop at the right verse", () => {
+  for (const scheme of ["lxx", "vulgate"]) {
+    // English 116 = Greek 114 (1-9) + 115 (1-10)
+    assert.deepEqual(fromEnglish(scheme, "Ps", 116, 9), { chapter: 114, verse: 9, partial: false });
+    assert.deepEqual(fromEnglish(scheme, "Ps", 116, 10), { chapter: 115, verse: 1, partial: false });
+    // English 147 = Greek 146 (1-11) + 147 (1-9)
+    assert.deepEqual(fromEnglish(scheme, "Ps", 147, 11), { chapter: 146, verse: 11, partial: false });
+    assert.deepEqual(fromEnglish(scheme, "Ps", 147, 12), { chapter: 147, verse: 1, partial: false });
+  }
+  assert.deepEqual(mapVerse("Ps", 147, 1, "lxx", "english"), { chapter: 147, verse: 12, partial: false });
+  assert.deepEqual(mapVerse("Ps", 115, 1, "lxx", "english"), { chapter: 116, verse: 10, partial: false });
+});